@@ -1,14 +1,42 @@
+import hashlib
+import json
+import os
+import re
+import secrets
+import time
 import uuid
-from fastapi import FastAPI, UploadFile, File, HTTPException
+from collections import Counter
+from typing import List, Optional
+from fastapi import Depends, FastAPI, UploadFile, File, Form, Header, HTTPException, Query
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import Response, StreamingResponse
+from pydantic import ValidationError
+from starlette.concurrency import run_in_threadpool
 
-from models.schemas import EvaluateRequest
-from services.resume_parser import parse_resume
+from models.schemas import ClarifyRequest, EvaluateRequest, PracticeRequest, QuestionBank, Rubric, RunCodeRequest
+from services.resume_parser import parse_resume, parse_resume_structured
+from services.session_store import get_session_store
+from services.invitation_store import get_invitation_store
+from services.document_store import get_document_store
+from services.question_banks import bank_to_csv, bank_to_json, normalize_bank, parse_bank_file, pick_questions, spread_slots
+from services.rubrics import DEFAULT_RUBRIC, DEFAULT_RUBRIC_ID, check_rubric, normalize_rubric, recommendation_labels
+from services.stt_service import get_stt_engine
+from services.code_runner import CodeRunnerError, run_tests
+from services.interview_loops import INTERVIEW_LOOPS, build_rounds, questions_before, round_index
 from services.groq_service import (
+    DIFFICULTY_LEVELS,
+    INTERVIEW_LANGUAGES,
+    INTERVIEWER_TONES,
     validate_resume,
+    answer_clarification,
     generate_first_question,
     generate_next_question,
+    stream_next_question,
+    generate_coding_question,
+    evaluate_answer,
+    evaluate_coding_answer,
     generate_final_report,
+    describe_diagram,
 )
 
 app = FastAPI(title="AI Interview Prep API")
@@ -22,27 +50,124 @@ app.add_middleware(
     allow_headers=["*"],
 )
 
-# In-memory session     
-sessions: dict = {}
+# Durable session storage (SQLite by default, see services/session_store.py)
+store = get_session_store()
+# Recruiter invitations, stored alongside the sessions they start
+invitations = get_invitation_store()
+# Question banks that sessions mix in with generated questions
+banks = get_document_store("question_banks", sort_key="name")
+# Custom scoring rubrics; the built-in DEFAULT_RUBRIC is always available as well
+rubrics = get_document_store("rubrics", sort_key="name")
 
-TOTAL_QUESTIONS = 6
+# Optional local speech-to-text (None when STT_ENGINE=none)
+stt_engine = get_stt_engine()
 
+DEFAULT_TOTAL_QUESTIONS = 6
+MIN_QUESTIONS = 3
+MAX_QUESTIONS = 15
+ANSWER_MODES = ("voice", "text")
+SCORE_FIELDS = ("technical_score", "clarity_score", "structure_score", "relevance_score")
+# Carried over from the original interview when practising from its report
+PRACTICE_INHERITED_FIELDS = (
+    "resume_text", "resume_name", "resume_profile", "resume_topics",
+    "hide_scores", "difficulty", "job_description", "answer_mode", "coding", "language", "tone", "rubric", "owner",
+)
+# Test cases the candidate sees (and can run) while coding; the rest run on submit
+CODING_EXAMPLE_TESTS = 2
+MAX_CLARIFICATIONS = 3  # per question
+DEFAULT_INVITATION_HOURS = 72
+MAX_INVITATION_HOURS = 30 * 24
+# When set, the recruiter endpoints require it in the X-Recruiter-Key header
+RECRUITER_KEY = os.getenv("RECRUITER_KEY", "")
 
-@app.post("/upload-resume")
-async def upload_resume(file: UploadFile = File(...)):
-    """Parse resume, create session, and generate the first interview question."""
+
+async def _read_resume(file: UploadFile) -> dict:
+    """Parse an uploaded resume into its text and structured sections."""
     if not file.filename:
         raise HTTPException(status_code=400, detail="No file provided.")
-
     try:
         file_bytes = await file.read()
-        resume_text = parse_resume(file_bytes, file.filename)
+        return parse_resume_structured(file_bytes, file.filename)
     except ValueError as e:
         raise HTTPException(status_code=400, detail=str(e))
     except Exception:
         raise HTTPException(status_code=500, detail="Failed to parse resume file.")
 
-    # Validate that the document is actually a resume
+
+@app.post("/parse-resume")
+async def parse_resume_preview(file: UploadFile = File(...)):
+    """Extract skills, projects and other sections so the user can review them before starting."""
+    parsed = await _read_resume(file)
+    del parsed["text"]
+    return {"resume": parsed}
+
+
+def _resume_topics(parsed: dict, skills: List[str], projects: List[str]) -> dict:
+    """The reviewed skills and projects, plus the extracted ones the user deselected."""
+    skills = [s.strip() for s in skills if s.strip()]
+    projects = [p.strip() for p in projects if p.strip()]
+    kept = {topic.lower() for topic in skills + projects}
+    extracted = parsed["skills"] + [project["name"] for project in parsed["projects"]]
+    return {
+        "skills": skills,
+        "projects": projects,
+        "excluded": [topic for topic in extracted if topic.lower() not in kept],
+    }
+
+
+def _check_interview_options(
+    num_questions: int, difficulty: str, answer_mode: str, language: str, tone: str, loop: str
+) -> None:
+    """Reject interview settings the backend does not support with a 400."""
+    if not MIN_QUESTIONS <= num_questions <= MAX_QUESTIONS:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Number of questions must be between {MIN_QUESTIONS} and {MAX_QUESTIONS}.",
+        )
+    if difficulty not in DIFFICULTY_LEVELS:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Difficulty must be one of: {', '.join(DIFFICULTY_LEVELS)}.",
+        )
+    if answer_mode not in ANSWER_MODES:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Answer mode must be one of: {', '.join(ANSWER_MODES)}.",
+        )
+    if language not in INTERVIEW_LANGUAGES:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Language must be one of: {', '.join(INTERVIEW_LANGUAGES)}.",
+        )
+    if tone not in INTERVIEWER_TONES:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Interviewer tone must be one of: {', '.join(INTERVIEWER_TONES)}.",
+        )
+    if loop and loop not in INTERVIEW_LOOPS:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Interview loop must be one of: {', '.join(INTERVIEW_LOOPS)}.",
+        )
+
+
+async def _read_job_description(job_description: str, job_description_file: Optional[UploadFile]) -> str:
+    """The target role — pasted text, an uploaded PDF/DOCX, or both."""
+    job_description = job_description.strip()
+    if job_description_file and job_description_file.filename:
+        try:
+            jd_bytes = await job_description_file.read()
+            jd_text = parse_resume(jd_bytes, job_description_file.filename)
+        except ValueError as e:
+            raise HTTPException(status_code=400, detail=f"Job description: {str(e)}")
+        except Exception:
+            raise HTTPException(status_code=500, detail="Failed to parse job description file.")
+        job_description = f"{job_description}\n\n{jd_text}".strip()
+    return job_description
+
+
+def _check_is_resume(resume_text: str) -> None:
+    """Reject documents that are clearly not a resume; a failed check lets the upload through."""
     try:
         if not validate_resume(resume_text):
             raise HTTPException(
@@ -56,72 +181,1374 @@ async def upload_resume(file: UploadFile = File(...)):
     except Exception:
         pass  # If validation itself fails, proceed anyway
 
+
+def _open_session(session: dict) -> dict:
+    """Ask the first question of a new session, save it and return what the client starts from."""
+    rounds = session["rounds"]
+    bank_question = _bank_question(session, 1)
     try:
-        first_question = generate_first_question(resume_text)
+        first_question = bank_question["question"] if bank_question else generate_first_question(
+            session["resume_text"],
+            difficulty=session["difficulty"],
+            focus_areas=session["focus_areas"],
+            job_description=session["job_description"],
+            resume_topics=session["resume_topics"],
+            interview_round={**rounds[0], "opening": True} if rounds else None,
+            language=session["language"],
+            tone=session["tone"],
+        )
     except Exception as e:
         raise HTTPException(status_code=500, detail=f"AI API error: {str(e)}")
 
+    # Opportunistically purge sessions that outlived their TTL
+    store.cleanup_expired()
+
     session_id = str(uuid.uuid4())
-    sessions[session_id] = {
+    session["questions"] = [first_question]
+    store.save(session_id, session)
+
+    return {
+        "session_id": session_id,
+        "first_question": first_question,
+        "total_questions": session["total_questions"],
+        "answer_mode": session["answer_mode"],
+        "language": session["language"],
+        "rounds": _rounds_view(rounds),
+        "round_index": 0 if rounds else None,
+    }
+
+
+def _new_session(
+    *,
+    parsed: dict,
+    resume_text: str,
+    resume_name: str,
+    resume_topics: Optional[dict],
+    hide_scores: bool,
+    num_questions: int,
+    difficulty: str,
+    focus_areas: List[str],
+    job_description: str,
+    answer_mode: str,
+    loop: str,
+    coding: bool,
+    language: str,
+    tone: str,
+    question_bank_id: str = "",
+    bank_question_count: int = 0,
+    rubric_id: str = DEFAULT_RUBRIC_ID,
+) -> dict:
+    """A session that has not asked anything yet; see _open_session."""
+    rubric = _get_rubric(rubric_id)
+    if not rubric:
+        raise HTTPException(status_code=400, detail="Scoring rubric not found.")
+    rounds = build_rounds(loop) if loop else None
+    if rounds:
+        num_questions = sum(r["questions"] for r in rounds)
+        rounds[0]["started_at"] = time.time()
+
+    session = {
         "resume_text": resume_text,
-        "questions": [first_question],
+        "resume_name": resume_name,
+        # Structured sections from the parser and the topics the user confirmed (None if not reviewed)
+        "resume_profile": parsed,
+        "resume_topics": resume_topics,
+        "questions": [],
         "answers": [],
+        "evaluations": [],
+        # When set, per-answer scores are only revealed with the final report
+        "hide_scores": hide_scores,
+        "total_questions": num_questions,
+        "difficulty": difficulty,
+        "focus_areas": focus_areas,
+        "job_description": job_description,
+        # Preferred mode chosen at upload; the mode each answer actually used is in answer_modes
+        "answer_mode": answer_mode,
+        "answer_modes": [],
+        "loop": loop or None,
+        "rounds": rounds,
+        # Coding exercises keyed by question number (as a string), with their hidden test cases
+        "coding": coding,
+        "coding_questions": {},
+        # Questions, feedback and the report come back in this language (ISO 639-1 code)
+        "language": language,
+        "tone": tone,
+        # Bank questions keyed by the question number they are asked at (as a string)
+        "bank_questions": {},
+        # A copy, so editing the rubric later doesn't change how this interview is scored
+        "rubric": rubric,
     }
+    if question_bank_id:
+        session["bank_questions"] = _plan_bank_questions(session, question_bank_id, bank_question_count)
+    return session
+
+
+@app.post("/upload-resume")
+async def upload_resume(
+    file: UploadFile = File(...),
+    hide_scores: bool = Form(False),
+    num_questions: int = Form(DEFAULT_TOTAL_QUESTIONS),
+    difficulty: str = Form("mid"),
+    focus_areas: List[str] = Form([]),
+    job_description: str = Form(""),
+    job_description_file: Optional[UploadFile] = File(None),
+    answer_mode: str = Form("voice"),
+    reviewed: bool = Form(False),
+    skills: List[str] = Form([]),
+    projects: List[str] = Form([]),
+    loop: str = Form(""),
+    coding: bool = Form(False),
+    language: str = Form("en"),
+    tone: str = Form("neutral"),
+    question_bank_id: str = Form(""),
+    bank_question_count: int = Form(0),
+    rubric_id: str = Form(DEFAULT_RUBRIC_ID),
+    x_owner_token: str = Header(""),
+):
+    """Parse resume, create session, and generate the first interview question.
+
+    When `reviewed` is set, `skills` and `projects` are the topics the user kept
+    after reviewing the /parse-resume output; questions stick to those.
+    A `loop` (see services/interview_loops.py) replaces `num_questions` with its
+    rounds' question budgets. With `coding`, one question mid-interview (the first
+    of the technical round in a loop) is a live coding exercise. With a
+    `question_bank_id`, `bank_question_count` of the questions come from that bank
+    and the rest are generated as usual. The final report is scored with the
+    `rubric_id` rubric (see GET /rubrics). The X-Owner-Token header ties the session
+    to the browser that started it, for its GET /sessions history.
+    """
+    _check_interview_options(num_questions, difficulty, answer_mode, language, tone, loop)
+    focus_areas = [area.strip() for area in focus_areas if area.strip()]
+
+    parsed = await _read_resume(file)
+    resume_text = parsed.pop("text")
+    resume_topics = _resume_topics(parsed, skills, projects) if reviewed else None
+
+    # Optional target role
+    job_description = await _read_job_description(job_description, job_description_file)
+
+    _check_is_resume(resume_text)
 
-    return {"session_id": session_id, "first_question": first_question}
+    session = _new_session(
+        parsed=parsed,
+        resume_text=resume_text,
+        resume_name=file.filename,
+        resume_topics=resume_topics,
+        hide_scores=hide_scores,
+        num_questions=num_questions,
+        difficulty=difficulty,
+        focus_areas=focus_areas,
+        job_description=job_description,
+        answer_mode=answer_mode,
+        loop=loop,
+        coding=coding,
+        language=language,
+        tone=tone,
+        question_bank_id=question_bank_id,
+        bank_question_count=bank_question_count,
+        rubric_id=rubric_id,
+    )
+    session["owner"] = _owner_id(x_owner_token)
+    return _open_session(session)
+
+
+def _owner_id(x_owner_token: str) -> Optional[str]:
+    """Hash of the browser's owner token; the token itself is never stored."""
+    token = x_owner_token.strip()
+    return hashlib.sha256(token.encode()).hexdigest() if token else None
+
+
+def _load_session(session_id: str) -> dict:
+    session = store.get(session_id)
+    if not session:
+        raise HTTPException(status_code=404, detail="Session not found or expired.")
+    return session
+
+
+def _score_answer(session: dict, question_number: int, answer: str) -> Optional[dict]:
+    """Score the answer against the question the server actually asked."""
+    code_answer = (session.get("code_answers") or {}).get(str(question_number))
+    try:
+        if code_answer:
+            return evaluate_coding_answer(
+                resume_text=session["resume_text"],
+                question=session["questions"][question_number - 1],
+                explanation=answer,
+                code=code_answer["code"],
+                code_language=code_answer["language"],
+                test_results=code_answer["results"],
+                difficulty=session["difficulty"],
+                language=session.get("language", "en"),
+            )
+        return evaluate_answer(
+            resume_text=session["resume_text"],
+            question=session["questions"][question_number - 1],
+            answer=answer,
+            difficulty=session["difficulty"],
+            diagram=(session.get("diagrams") or {}).get(str(question_number)),
+            language=session.get("language", "en"),
+            reference_answer=(_bank_question(session, question_number) or {}).get("reference_answer", ""),
+        )
+    except Exception:
+        return None  # A failed evaluation should not block the interview
+
+
+def _coding_spec(session: dict, question_number: int) -> Optional[dict]:
+    return (session.get("coding_questions") or {}).get(str(question_number))
+
+
+def _coding_view(session: dict, question_number: int) -> Optional[dict]:
+    """What the editor needs for a coding question: starter code and the example test cases only."""
+    coding = _coding_spec(session, question_number)
+    if not coding:
+        return None
+    return {
+        "function_name": coding["function_name"],
+        "starter_code": coding["starter_code"],
+        "examples": coding["tests"][:CODING_EXAMPLE_TESTS],
+    }
+
+
+def _coding_slot(session: dict) -> Optional[int]:
+    """Question number given over to the live coding exercise, or None when coding is off."""
+    if not session.get("coding"):
+        return None
+    rounds = session.get("rounds")
+    if not rounds:
+        # Mid-interview, once the candidate has warmed up
+        return session["total_questions"] // 2 + 1
+    technical = next((i for i, r in enumerate(rounds) if r["type"] == "technical"), None)
+    return None if technical is None else questions_before(rounds, technical) + 1
+
+
+def _generate_coding_question(session: dict, question_number: int) -> str:
+    """Create the coding exercise for this question number and return its prompt as the question."""
+    coding = generate_coding_question(
+        resume_text=session["resume_text"],
+        previous_questions=session["questions"],
+        difficulty=session["difficulty"],
+        focus_areas=session["focus_areas"],
+        job_description=session["job_description"],
+        resume_topics=session.get("resume_topics"),
+        interview_round=_enter_round(session, question_number),
+        language=session.get("language", "en"),
+        tone=session.get("tone", "neutral"),
+    )
+    session["coding_questions"][str(question_number)] = coding
+    return coding["prompt"]
+
+
+def _plan_bank_questions(session: dict, bank_id: str, count: int) -> dict:
+    """Draw `count` questions from a bank and spread them through the interview, around the coding slot."""
+    bank = banks.get(bank_id)
+    if not bank:
+        raise HTTPException(status_code=400, detail="Question bank not found.")
+    if not 1 <= count <= MAX_QUESTIONS:
+        raise HTTPException(
+            status_code=400, detail=f"Bank questions must be between 1 and {MAX_QUESTIONS}.",
+        )
+    coding_slot = _coding_slot(session)
+    picked = pick_questions(bank, count, session["difficulty"], session["focus_areas"])
+    slots = spread_slots(session["total_questions"], len(picked), [coding_slot] if coding_slot else [])
+    return {
+        str(number): {"bank_id": bank_id, "bank_name": bank["name"], **question}
+        for number, question in zip(slots, picked)
+    }
+
+
+def _bank_question(session: dict, question_number: int) -> Optional[dict]:
+    return (session.get("bank_questions") or {}).get(str(question_number))
+
+
+def _ask_bank_question(session: dict, question_number: int) -> str:
+    """Bank questions are asked as written; they still open their round's clock."""
+    _enter_round(session, question_number)
+    return _bank_question(session, question_number)["question"]
+
+
+def _question_sources(session: dict) -> List[str]:
+    """Whether each question asked so far came from a question bank or was generated."""
+    return [
+        "bank" if _bank_question(session, number) else "generated"
+        for number in range(1, len(session["questions"]) + 1)
+    ]
+
+
+async def _run_code_answer(session: dict, question_number: int, req: EvaluateRequest) -> None:
+    """Run a coding answer against all of its question's test cases and keep the outcome."""
+    coding = _coding_spec(session, question_number)
+    if not coding:
+        return
+    language = req.code_language or "python"
+    code = req.code or ""
+    try:
+        results = await run_in_threadpool(run_tests, language, code, coding["function_name"], coding["tests"])
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    except CodeRunnerError as e:
+        # Still accept the answer; the evaluation then rests on the explanation alone
+        results = {"passed": 0, "total": len(coding["tests"]), "error": str(e), "cases": []}
+    session.setdefault("code_answers", {})[str(question_number)] = {
+        "function_name": coding["function_name"],
+        "language": language,
+        "code": code,
+        "results": results,
+    }
+
+
+def _record_diagram(session: dict, question_number: int, req: EvaluateRequest) -> None:
+    """Keep the whiteboard sketch submitted with an answer, keyed like code answers."""
+    if req.diagram and req.diagram.nodes:
+        session.setdefault("diagrams", {})[str(question_number)] = req.diagram.model_dump()
+
+
+def _record_delivery(session: dict, question_number: int, req: EvaluateRequest) -> None:
+    """Keep the browser's delivery metrics (pace, fillers, pauses) for a spoken answer."""
+    if req.delivery and req.answer_mode == "voice":
+        session.setdefault("delivery", {})[str(question_number)] = req.delivery.model_dump()
+
+
+def _report_answers(session: dict) -> List[str]:
+    """Answers as the report sees them, with clarifications, code (and test outcome) and diagrams attached."""
+    answers = list(session["answers"])
+    for number, exchanges in (session.get("clarifications") or {}).items():
+        i = int(number) - 1
+        if i >= len(answers) or not exchanges:
+            continue
+        asked = "\n".join(f"Candidate: {c['question']}\nInterviewer: {c['answer']}" for c in exchanges)
+        answers[i] = f"[Clarifications before answering]\n{asked}\n[Answer]\n{answers[i]}"
+    for number, diagram in (session.get("diagrams") or {}).items():
+        i = int(number) - 1
+        answers[i] = f"{answers[i]}\n[Whiteboard diagram]\n{describe_diagram(diagram)}"
+    for number, code_answer in (session.get("code_answers") or {}).items():
+        results = code_answer["results"]
+        i = int(number) - 1
+        answers[i] = (
+            f"{answers[i]}\n[Code in {code_answer['language']}, "
+            f"{results['passed']}/{results['total']} tests passed]\n{code_answer['code']}"
+        )
+    return answers
+
+
+def _rounds_view(rounds: Optional[List[dict]]) -> Optional[List[dict]]:
+    """Round details the client needs to show progress (the prompt brief stays server-side)."""
+    if not rounds:
+        return None
+    return [{key: value for key, value in r.items() if key != "focus"} for r in rounds]
+
+
+def _round_state(session: dict, question_number: int) -> dict:
+    rounds = session.get("rounds")
+    return {
+        "rounds": _rounds_view(rounds),
+        "round_index": round_index(rounds, question_number) if rounds else None,
+        "total_questions": session["total_questions"],
+    }
+
+
+def _close_round_if_over_time(session: dict, question_number: int) -> None:
+    """End a round early once its time limit has passed, skipping its remaining questions."""
+    rounds = session.get("rounds")
+    if not rounds:
+        return
+    index = round_index(rounds, question_number)
+    current = rounds[index]
+    answered_in_round = question_number - questions_before(rounds, index)
+    if answered_in_round < current["questions"] and time.time() - current["started_at"] > current["time_limit"]:
+        current["questions"] = answered_in_round
+        session["total_questions"] = sum(r["questions"] for r in rounds)
+
+
+def _enter_round(session: dict, question_number: int) -> Optional[dict]:
+    """The round a question belongs to, starting its clock if this question opens it."""
+    rounds = session.get("rounds")
+    if not rounds:
+        return None
+    current = rounds[round_index(rounds, question_number)]
+    opening = current["started_at"] is None
+    if opening:
+        current["started_at"] = time.time()
+    return {**current, "opening": opening}
+
+
+def _round_scores(session: dict) -> Optional[List[dict]]:
+    """Average answer score per round, from the per-answer evaluations."""
+    rounds = session.get("rounds")
+    if not rounds:
+        return None
+    scores = []
+    for i, r in enumerate(rounds):
+        start = questions_before(rounds, i)
+        averages = [
+            _average_score(e) for e in session["evaluations"][start:start + r["questions"]] if e
+        ]
+        scores.append({
+            "name": r["name"],
+            "type": r["type"],
+            "questions": r["questions"],
+            "average": round(sum(averages) / len(averages), 1) if averages else None,
+        })
+    return scores
+
+
+def _delivery_summary(session: dict) -> Optional[dict]:
+    """Delivery across every spoken answer; pace is weighted by how long each answer was."""
+    metrics = list((session.get("delivery") or {}).values())
+    if not metrics:
+        return None
+    timed = [m for m in metrics if m["words_per_minute"] is not None]
+    timed_seconds = sum(m["speaking_seconds"] for m in timed)
+    words = sum(m["word_count"] for m in metrics)
+    fillers = Counter()
+    for m in metrics:
+        fillers.update(m["filler_words"])
+    first_words = [m["time_to_first_word_seconds"] for m in metrics if m["time_to_first_word_seconds"] is not None]
+    return {
+        "answers": len(metrics),
+        "words_per_minute": round(sum(m["word_count"] for m in timed) / (timed_seconds / 60)) if timed_seconds else None,
+        "word_count": words,
+        "filler_count": sum(fillers.values()),
+        "fillers_per_100_words": round(100 * sum(fillers.values()) / words, 1) if words else None,
+        "filler_words": dict(fillers.most_common()),
+        "long_pauses": sum(m["long_pauses"] for m in metrics),
+        "longest_pause_seconds": max(m["longest_pause_seconds"] for m in metrics),
+        "average_time_to_first_word_seconds": round(sum(first_words) / len(first_words), 1) if first_words else None,
+        "speaking_seconds": round(sum(m["speaking_seconds"] for m in metrics), 1),
+    }
+
+
+def _report_payload(session: dict) -> dict:
+    return {
+        "question_count": len(session["answers"]),
+        "final_report": session.get("final_report"),
+        "report_error": session.get("report_error"),
+        "questions": session["questions"],
+        "question_sources": _question_sources(session),
+        "answers": session["answers"],
+        "evaluations": session["evaluations"],
+        "answer_modes": session["answer_modes"],
+        "code_answers": session.get("code_answers") or {},
+        "diagrams": session.get("diagrams") or {},
+        "clarifications": session.get("clarifications") or {},
+        "delivery": session.get("delivery") or {},
+        "delivery_summary": _delivery_summary(session),
+        "practice": _practice_comparison(session),
+        "round_scores": _round_scores(session),
+    }
+
+
+def _for_candidate(session: dict, payload: dict) -> dict:
+    """Strip the scores from a payload when the session came from an invitation.
+
+    Invited candidates never see their report or evaluations, during or after the
+    interview; the recruiter reads them from the dashboard with the recruiter key.
+    """
+    if not session.get("invitation"):
+        return payload
+    return {
+        **payload,
+        "final_report": None,
+        "evaluations": [],
+        "round_scores": None,
+        "practice": None,
+        "scores_hidden": True,
+    }
+
+
+def _finish_interview(session_id: str, session: dict) -> dict:
+    """Generate and store the final report once every question has been answered.
+
+    A failed generation keeps the transcript and records `report_error` instead of
+    raising, so the client can retry with POST /session/{id}/report.
+    """
+    try:
+        session["final_report"] = generate_final_report(
+            resume_text=session["resume_text"],
+            questions=session["questions"],
+            answers=_report_answers(session),
+            difficulty=session["difficulty"],
+            job_description=session["job_description"],
+            answer_modes=session["answer_modes"],
+            previous_attempt=session.get("practice"),
+            rounds=[
+                {"name": r["name"], "questions": r["questions"]} for r in session.get("rounds") or []
+            ] or None,
+            language=session.get("language", "en"),
+            # Sessions from before rubrics were configurable have none
+            rubric=session.get("rubric"),
+        )
+        session.pop("report_error", None)
+    except Exception as e:
+        session["report_error"] = f"Final report error: {str(e)}"
+
+    store.save(session_id, session)
+    return _report_payload(session)
+
+
+def _average_score(evaluation: Optional[dict]) -> Optional[float]:
+    if not evaluation:
+        return None
+    return round(sum(evaluation[field] for field in SCORE_FIELDS) / len(SCORE_FIELDS), 1)
+
+
+def _practice_comparison(session: dict) -> Optional[dict]:
+    """Compare a finished practice session with the interview it was started from."""
+    practice = session.get("practice")
+    report = session.get("final_report")
+    if not practice or not report:
+        return None
+    evaluations = session["evaluations"]
+    return {
+        "parent_session_id": session["parent_session_id"],
+        "mode": practice["mode"],
+        "previous_overall_score": practice["overall_score"],
+        "overall_score": report["overall_score"],
+        # Re-asked questions line up one-to-one with this session's questions
+        "questions": [
+            {
+                "question": item["question"],
+                "previous_average": _average_score(item["evaluation"]),
+                "average": _average_score(evaluations[i] if i < len(evaluations) else None),
+            }
+            for i, item in enumerate(practice["retried"])
+        ],
+    }
+
+
+def _next_question_args(session: dict, current_question: str, current_answer: str) -> dict:
+    # Use server-side session history as the source of truth
+    # (the frontend may send stale data due to closure issues
+    return {
+        "resume_text": session["resume_text"],
+        "previous_questions": session["questions"][:-1],  # all except the current one
+        "previous_answers": session["answers"][:-1],      # all except the one just added
+        "current_question": current_question,
+        "current_answer": current_answer,
+        "difficulty": session["difficulty"],
+        "focus_areas": session["focus_areas"],
+        "job_description": session["job_description"],
+        "resume_topics": session.get("resume_topics"),
+        # Starts the next round's clock when this question opens it
+        "interview_round": _enter_round(session, len(session["answers"]) + 1),
+        "language": session.get("language", "en"),
+        "tone": session.get("tone", "neutral"),
+    }
 
 
 @app.post("/submit-answer")
 async def submit_answer(req: EvaluateRequest):
-    """Accept an answer, generate next question or final report after 5 questions."""
+    """Accept an answer, generate next question or final report after the last question."""
     session_id = req.session_id
-    current_question = req.current_question
-    current_answer = req.current_answer
-
-    session = sessions.get(session_id)
-    if not session:
-        raise HTTPException(status_code=404, detail="Session not found.")
+    session = _load_session(session_id)
+    await _run_code_answer(session, len(session["answers"]) + 1, req)
+    _record_diagram(session, len(session["answers"]) + 1, req)
+    _record_delivery(session, len(session["answers"]) + 1, req)
 
     # Store the answer
-    session["answers"].append(current_answer)
+    session["answers"].append(req.current_answer)
+    session["answer_modes"].append(req.answer_mode)
     question_number = len(session["answers"])
+    _close_round_if_over_time(session, question_number)
+
+    evaluation = _score_answer(session, question_number, req.current_answer)
+    session["evaluations"].append(evaluation)
 
     # If all questions answered → generate
-    if question_number >= TOTAL_QUESTIONS:
+    if question_number >= session["total_questions"]:
+        return _for_candidate(session, _finish_interview(session_id, session))
+
+    # Practice sessions queue re-asked questions up front; otherwise generate the next one
+    if len(session["questions"]) > question_number:
+        next_q = session["questions"][question_number]
+    else:
         try:
-            report = generate_final_report(
-                resume_text=session["resume_text"],
-                questions=session["questions"],
-                answers=session["answers"],
-            )
+            if _coding_slot(session) == question_number + 1:
+                next_q = _generate_coding_question(session, question_number + 1)
+            elif _bank_question(session, question_number + 1):
+                next_q = _ask_bank_question(session, question_number + 1)
+            else:
+                next_q = generate_next_question(
+                    **_next_question_args(session, req.current_question, req.current_answer)
+                )
         except Exception as e:
-            raise HTTPException(status_code=500, detail=f"Final report error: {str(e)}")
+            raise HTTPException(status_code=500, detail=f"AI API error: {str(e)}")
+
+        session["questions"].append(next_q)
+
+    # The answer is only saved together with the question after it, so when generation
+    # fails nothing is stored and the client can submit the same answer again
+    store.save(session_id, session)
+    return {
+        "next_question": next_q,
+        "question_count": question_number,
+        "evaluation": None if session["hide_scores"] else evaluation,
+        "coding": _coding_view(session, question_number + 1),
+        **_round_state(session, question_number + 1),
+    }
+
+
+def _sse(event: str, data: dict) -> str:
+    """Format one server-sent event."""
+    return f"event: {event}\ndata: {json.dumps(data)}\n\n"
+
 
-        return {
+@app.post("/submit-answer/stream")
+async def submit_answer_stream(req: EvaluateRequest):
+    """Like /submit-answer, but stream the next question as server-sent events.
+
+    Events: `round` ({rounds, round_index, total_questions}) first in multi-round
+    loops, `token` ({text}) while the question is generated, then `question`
+    ({next_question, question_count, coding}) and `evaluation` ({evaluation}). After the
+    last question a single `final_report` event carries the /submit-answer payload.
+    Failures after streaming has started arrive as an `error` event ({detail}).
+    """
+    session_id = req.session_id
+    session = _load_session(session_id)
+    await _run_code_answer(session, len(session["answers"]) + 1, req)
+    _record_diagram(session, len(session["answers"]) + 1, req)
+    _record_delivery(session, len(session["answers"]) + 1, req)
+
+    session["answers"].append(req.current_answer)
+    session["answer_modes"].append(req.answer_mode)
+    question_number = len(session["answers"])
+    _close_round_if_over_time(session, question_number)
+
+    headers = {"Cache-Control": "no-cache", "X-Accel-Buffering": "no"}
+
+    if question_number >= session["total_questions"]:
+        session["evaluations"].append(_score_answer(session, question_number, req.current_answer))
+        payload = _for_candidate(session, _finish_interview(session_id, session))
+        return StreamingResponse(
+            iter([_sse("final_report", payload)]),
+            media_type="text/event-stream",
+            headers=headers,
+        )
+
+    def events():
+        if len(session["questions"]) > question_number:
+            # Queued practice question — nothing to generate
+            next_q = session["questions"][question_number]
+            yield _sse("token", {"text": next_q})
+        elif _coding_slot(session) == question_number + 1:
+            # Coding exercises are structured JSON, so the prompt arrives whole rather than streamed
+            try:
+                next_q = _generate_coding_question(session, question_number + 1)
+            except Exception as e:
+                yield _sse("error", {"detail": f"AI API error: {str(e)}"})
+                return
+            if session.get("rounds"):
+                yield _sse("round", _round_state(session, question_number + 1))
+            yield _sse("token", {"text": next_q})
+            session["questions"].append(next_q)
+        elif _bank_question(session, question_number + 1):
+            next_q = _ask_bank_question(session, question_number + 1)
+            if session.get("rounds"):
+                yield _sse("round", _round_state(session, question_number + 1))
+            yield _sse("token", {"text": next_q})
+            session["questions"].append(next_q)
+        else:
+            args = _next_question_args(session, req.current_question, req.current_answer)
+            if session.get("rounds"):
+                # Sent before any tokens so the client can announce a new round first
+                yield _sse("round", _round_state(session, question_number + 1))
+            chunks = []
+            try:
+                for chunk in stream_next_question(**args):
+                    chunks.append(chunk)
+                    yield _sse("token", {"text": chunk})
+            except Exception as e:
+                yield _sse("error", {"detail": f"AI API error: {str(e)}"})
+                return
+
+            next_q = "".join(chunks).strip()
+            session["questions"].append(next_q)
+
+        # As in /submit-answer, nothing is saved until the next question exists. The answer's
+        # evaluation is held as None (like a failed score) until scoring below fills it in.
+        session["evaluations"].append(None)
+        store.save(session_id, session)
+        yield _sse("question", {
+            "next_question": next_q,
             "question_count": question_number,
-            "final_report": report,
-        }
+            "coding": _coding_view(session, question_number + 1),
+        })
 
-    # Use server-side session history as the source of truth
-    # (the frontend may send stale data due to closure issues
-    server_prev_questions = session["questions"][:-1]  # all except the current one
-    server_prev_answers = session["answers"][:-1]       # all except the one just added
+        # Scoring runs after the question so it never delays the interviewer's reply
+        evaluation = _score_answer(session, question_number, req.current_answer)
+        session["evaluations"][question_number - 1] = evaluation
+        store.save(session_id, session)
+        yield _sse("evaluation", {"evaluation": None if session["hide_scores"] else evaluation})
+
+    return StreamingResponse(events(), media_type="text/event-stream", headers=headers)
 
-    # Otherwise generate next question
+
+@app.post("/run-code")
+async def run_code(req: RunCodeRequest):
+    """Run code for the current coding question against its example test cases only."""
+    session = _load_session(req.session_id)
+    coding = _coding_spec(session, req.question_number)
+    if not coding:
+        raise HTTPException(status_code=400, detail="That question is not a coding question.")
+    if req.question_number != len(session["answers"]) + 1:
+        raise HTTPException(status_code=400, detail="That question has already been answered.")
     try:
-        next_q = generate_next_question(
-            resume_text=session["resume_text"],
-            previous_questions=server_prev_questions,
-            previous_answers=server_prev_answers,
-            current_question=current_question,
-            current_answer=current_answer,
+        return await run_in_threadpool(
+            run_tests, req.language, req.code, coding["function_name"], coding["tests"][:CODING_EXAMPLE_TESTS]
         )
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    except CodeRunnerError as e:
+        raise HTTPException(status_code=503, detail=str(e))
+
+
+@app.post("/clarify")
+async def clarify(req: ClarifyRequest):
+    """Answer a clarifying question about the current question without using up a question slot."""
+    session = _load_session(req.session_id)
+    if req.question_number != len(session["answers"]) + 1 or req.question_number > len(session["questions"]):
+        raise HTTPException(status_code=400, detail="That question has already been answered.")
+    key = str(req.question_number)
+    asked = (session.get("clarifications") or {}).get(key, [])
+    if len(asked) >= MAX_CLARIFICATIONS:
+        raise HTTPException(
+            status_code=400,
+            detail=f"You can ask up to {MAX_CLARIFICATIONS} clarifying questions per question. Please answer it now.",
+        )
+
+    rounds = session.get("rounds")
+    try:
+        answer = answer_clarification(
+            resume_text=session["resume_text"],
+            question=session["questions"][req.question_number - 1],
+            clarification=req.question.strip(),
+            previous_clarifications=asked,
+            difficulty=session["difficulty"],
+            interview_round=rounds[round_index(rounds, req.question_number)] if rounds else None,
+            language=session.get("language", "en"),
+            tone=session.get("tone", "neutral"),
+        ).strip()
     except Exception as e:
         raise HTTPException(status_code=500, detail=f"AI API error: {str(e)}")
 
-    session["questions"].append(next_q)
+    exchanges = [*asked, {"question": req.question.strip(), "answer": answer}]
+    session.setdefault("clarifications", {})[key] = exchanges
+    store.save(req.session_id, session)
+    return {"question_number": req.question_number, "answer": answer, "clarifications": exchanges}
+
+
+@app.post("/transcribe")
+async def transcribe(
+    session_id: str = Form(...),
+    question_number: int = Form(...),
+    language: str = Form("en"),
+    audio: UploadFile = File(...),
+):
+    """Transcribe one recorded answer with the server's speech-to-text engine."""
+    if stt_engine is None:
+        raise HTTPException(status_code=503, detail="Server-side transcription is not configured.")
+    _load_session(session_id)
+
+    audio_bytes = await audio.read()
+    if not audio_bytes:
+        raise HTTPException(status_code=400, detail="No audio provided.")
+
+    try:
+        # Transcription is CPU-bound — keep it off the event loop
+        transcript = await run_in_threadpool(
+            stt_engine.transcribe, audio_bytes, audio.filename or "answer.webm", language
+        )
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Transcription error: {str(e)}")
+
+    return {"question_number": question_number, "transcript": transcript}
+
+
+@app.post("/session/{session_id}/report")
+async def retry_final_report(session_id: str, x_recruiter_key: str = Header("")):
+    """Generate the final report again from the saved transcript after a failed attempt."""
+    session = _load_session(session_id)
+    if len(session["answers"]) < session["total_questions"]:
+        raise HTTPException(status_code=400, detail="The interview is not finished yet.")
+    payload = _report_payload(session) if session.get("final_report") else _finish_interview(session_id, session)
+    return payload if _is_recruiter(x_recruiter_key) else _for_candidate(session, payload)
+
+
+@app.get("/session/{session_id}")
+async def get_session(session_id: str, x_recruiter_key: str = Header("")):
+    """Return the question/answer history so a client can resume where it left off.
+
+    Scores from an invited interview are only included for the recruiter (X-Recruiter-Key).
+    """
+    session = _load_session(session_id)
+
+    questions = session["questions"]
+    answers = session["answers"]
+    final_report = session.get("final_report")
+    hide_scores = session["hide_scores"] and not final_report
+
+    payload = {
+        "session_id": session_id,
+        "question_count": len(answers),
+        "total_questions": session["total_questions"],
+        "questions": questions,
+        "question_sources": _question_sources(session),
+        "answers": answers,
+        # The question waiting for an answer, if generation got that far
+        "current_question": questions[len(answers)] if len(questions) > len(answers) else None,
+        "current_coding": _coding_view(session, len(answers) + 1),
+        "code_answers": session.get("code_answers") or {},
+        "diagrams": session.get("diagrams") or {},
+        "clarifications": session.get("clarifications") or {},
+        "delivery": session.get("delivery") or {},
+        "delivery_summary": _delivery_summary(session),
+        "evaluations": [] if hide_scores else session["evaluations"],
+        "answer_mode": session["answer_mode"],
+        "answer_modes": session["answer_modes"],
+        "language": session.get("language", "en"),
+        "tone": session.get("tone", "neutral"),
+        "final_report": final_report,
+        "report_error": session.get("report_error"),
+        "parent_session_id": session.get("parent_session_id"),
+        "practice": _practice_comparison(session),
+        "round_scores": _round_scores(session),
+        **_round_state(session, len(answers) + 1),
+    }
+    return payload if _is_recruiter(x_recruiter_key) else _for_candidate(session, payload)
+
 
+def _history_entry(session_id: str, session: dict) -> dict:
+    report = session["final_report"]
+    scored = [e for e in session["evaluations"] if e]
+    averages = {
+        field: round(sum(e[field] for e in scored) / len(scored), 1) for field in SCORE_FIELDS
+    } if scored else None
     return {
-        "next_question": next_q,
-        "question_count": question_number,
+        "session_id": session_id,
+        "created_at": session["created_at"],
+        "resume_name": session.get("resume_name") or "Resume",
+        "difficulty": session["difficulty"],
+        "parent_session_id": session.get("parent_session_id"),
+        "loop": session.get("loop"),
+        "question_count": len(session["answers"]),
+        "overall_score": report["overall_score"],
+        "hire_recommendation": report["hire_recommendation"],
+        # Best first, for colouring the recommendation; older reports used the built-in scale
+        "recommendation_scale": recommendation_labels(report.get("rubric") or DEFAULT_RUBRIC),
+        "strong_areas": report["strong_areas"],
+        "weak_areas": report["weak_areas"],
+        "score_averages": averages,
+    }
+
+
+@app.get("/sessions")
+async def list_sessions(limit: int = Query(50, ge=1, le=200), x_owner_token: str = Header("")):
+    """List the calling browser's finished interviews, newest first, for the history dashboard.
+
+    Only sessions started with the same X-Owner-Token are listed. Interviews taken through a
+    recruiter's invitation belong on the recruiter's dashboard instead.
+    """
+    owner = _owner_id(x_owner_token)
+    if not owner:
+        raise HTTPException(status_code=400, detail="Missing X-Owner-Token header.")
+    return {
+        "sessions": [
+            _history_entry(sid, s) for sid, s in store.list_completed(limit, owner) if not s.get("invitation")
+        ]
+    }
+
+
+def _split_areas(text: str) -> List[str]:
+    """Split the report's free-text weak areas into separate focus areas."""
+    return [area.strip(" .") for area in re.split(r"[,;\n]", text) if area.strip(" .")]
+
+
+@app.post("/sessions/{session_id}/practice")
+async def start_practice(session_id: str, req: PracticeRequest):
+    """Start a new session from a finished interview, on its weak areas or re-asking chosen questions."""
+    parent = _load_session(session_id)
+    if parent.get("invitation"):
+        raise HTTPException(status_code=403, detail="Invited interviews can't be practised from.")
+    report = parent.get("final_report")
+    if not report:
+        raise HTTPException(status_code=400, detail="Finish the interview before practising from its report.")
+
+    retried = []
+    focus_areas = parent["focus_areas"]
+    if req.mode == "questions":
+        answered = len(parent["answers"])
+        numbers = list(dict.fromkeys(req.question_numbers))
+        if not numbers:
+            raise HTTPException(status_code=400, detail="Choose at least one question to practise again.")
+        if any(not 1 <= n <= answered for n in numbers):
+            raise HTTPException(status_code=400, detail=f"Question numbers must be between 1 and {answered}.")
+        retried = [
+            {
+                "parent_question_number": n,
+                "question": parent["questions"][n - 1],
+                "answer": parent["answers"][n - 1],
+                "evaluation": parent["evaluations"][n - 1],
+            }
+            for n in numbers
+        ]
+        questions = [item["question"] for item in retried]
+        total_questions = len(questions)
+        # Re-asked coding questions keep their exercise and tests
+        coding_questions = {
+            str(i): _coding_spec(parent, item["parent_question_number"])
+            for i, item in enumerate(retried, 1)
+            if _coding_spec(parent, item["parent_question_number"])
+        }
+        # ...and bank questions stay marked as such, with their reference answers
+        bank_questions = {
+            str(i): _bank_question(parent, item["parent_question_number"])
+            for i, item in enumerate(retried, 1)
+            if _bank_question(parent, item["parent_question_number"])
+        }
+    else:
+        focus_areas = _split_areas(report["weak_areas"])[:5] or focus_areas
+        try:
+            first_question = generate_first_question(
+                parent["resume_text"],
+                difficulty=parent["difficulty"],
+                focus_areas=focus_areas,
+                job_description=parent["job_description"],
+                resume_topics=parent.get("resume_topics"),
+                language=parent.get("language", "en"),
+                tone=parent.get("tone", "neutral"),
+            )
+        except Exception as e:
+            raise HTTPException(status_code=500, detail=f"AI API error: {str(e)}")
+        questions = [first_question]
+        total_questions = parent["total_questions"]
+        coding_questions = {}
+        bank_questions = {}
+
+    new_session_id = str(uuid.uuid4())
+    session = {field: parent.get(field) for field in PRACTICE_INHERITED_FIELDS}
+    session.update({
+        "questions": questions,
+        "answers": [],
+        "evaluations": [],
+        "total_questions": total_questions,
+        "focus_areas": focus_areas,
+        "answer_modes": [],
+        "coding_questions": coding_questions,
+        "bank_questions": bank_questions,
+        "parent_session_id": session_id,
+        # What the report is compared against once this session finishes
+        "practice": {
+            "mode": req.mode,
+            "overall_score": report["overall_score"],
+            "weak_areas": report["weak_areas"],
+            "retried": retried,
+        },
+    })
+    store.save(new_session_id, session)
+
+    return {
+        "session_id": new_session_id,
+        "first_question": questions[0],
+        "total_questions": total_questions,
+        "answer_mode": session["answer_mode"],
+        "language": session.get("language") or "en",
+        "coding": _coding_view(session, 1),
+    }
+
+
+def _is_recruiter(x_recruiter_key: str) -> bool:
+    return bool(RECRUITER_KEY) and secrets.compare_digest(x_recruiter_key, RECRUITER_KEY)
+
+
+def _require_recruiter(x_recruiter_key: str = Header("")) -> None:
+    """Guard the recruiter dashboard's invitations with RECRUITER_KEY; without one configured they stay closed."""
+    if not RECRUITER_KEY:
+        raise HTTPException(
+            status_code=503, detail="The recruiter dashboard is disabled. Set RECRUITER_KEY on the server to use it."
+        )
+    if not _is_recruiter(x_recruiter_key):
+        raise HTTPException(status_code=401, detail="A valid recruiter key is required.")
+
+
+def _require_editor(x_recruiter_key: str = Header("")) -> None:
+    """Guard question-bank and rubric editing with RECRUITER_KEY when one is configured.
+
+    Unlike the invitation endpoints these hold no candidate data, so they stay open without a key.
+    """
+    if RECRUITER_KEY and not _is_recruiter(x_recruiter_key):
+        raise HTTPException(status_code=401, detail="A valid recruiter key is required.")
+
+
+def _invitation_total_questions(settings: dict) -> int:
+    loop = settings["loop"]
+    return sum(r["questions"] for r in build_rounds(loop)) if loop else settings["num_questions"]
+
+
+def _invitation_entry(token: str, invitation: dict) -> dict:
+    """Dashboard row: the invitation, where the candidate got to and, once finished, the report summary."""
+    session_id = invitation.get("session_id")
+    session = store.get(session_id) if session_id else None
+    if session and (session.get("final_report") or len(session["answers"]) >= session["total_questions"]):
+        status = "completed"
+    elif session:
+        status = "in_progress"
+    elif session_id:
+        status = "abandoned"  # started, then expired unfinished
+    elif time.time() > invitation["expires_at"]:
+        status = "expired"
+    else:
+        status = "pending"
+
+    settings = invitation["settings"]
+    resume = invitation.get("resume")
+    return {
+        "token": token,
+        "role": invitation["role"],
+        "candidate_name": invitation["candidate_name"],
+        "created_at": invitation["created_at"],
+        "expires_at": invitation["expires_at"],
+        "used_at": invitation.get("used_at"),
+        "status": status,
+        "session_id": session_id,
+        "resume_name": resume["name"] if resume else session and session.get("resume_name"),
+        "difficulty": settings["difficulty"],
+        "loop": settings["loop"] or None,
+        "language": settings["language"],
+        "total_questions": _invitation_total_questions(settings),
+        "question_count": len(session["answers"]) if session else 0,
+        "result": _history_entry(session_id, session) if session and session.get("final_report") else None,
     }
+
+
+def _load_invitation(token: str) -> dict:
+    """Return an invitation the candidate can still use, or raise 404/410."""
+    invitation = invitations.get(token)
+    if not invitation:
+        raise HTTPException(status_code=404, detail="Invitation not found.")
+    if invitation.get("session_id"):
+        raise HTTPException(status_code=410, detail="This invitation link has already been used.")
+    if time.time() > invitation["expires_at"]:
+        raise HTTPException(
+            status_code=410, detail="This invitation link has expired. Ask your recruiter for a new one."
+        )
+    return invitation
+
+
+@app.post("/invitations", dependencies=[Depends(_require_recruiter)])
+async def create_invitation(
+    role: str = Form(...),
+    candidate_name: str = Form(""),
+    file: Optional[UploadFile] = File(None),
+    num_questions: int = Form(DEFAULT_TOTAL_QUESTIONS),
+    difficulty: str = Form("mid"),
+    focus_areas: List[str] = Form([]),
+    job_description: str = Form(""),
+    job_description_file: Optional[UploadFile] = File(None),
+    answer_mode: str = Form("voice"),
+    loop: str = Form(""),
+    coding: bool = Form(False),
+    language: str = Form("en"),
+    tone: str = Form("neutral"),
+    question_bank_id: str = Form(""),
+    bank_question_count: int = Form(0),
+    rubric_id: str = Form(DEFAULT_RUBRIC_ID),
+    expires_in_hours: int = Form(DEFAULT_INVITATION_HOURS),
+):
+    """Create a single-use interview link for a candidate, with the settings fixed up front.
+
+    The candidate's resume can be attached now; otherwise they upload it when they open the link.
+    """
+    role = role.strip()
+    if not role:
+        raise HTTPException(status_code=400, detail="Enter the role the candidate is interviewing for.")
+    if not 1 <= expires_in_hours <= MAX_INVITATION_HOURS:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Invitations must expire within 1 to {MAX_INVITATION_HOURS} hours.",
+        )
+    _check_interview_options(num_questions, difficulty, answer_mode, language, tone, loop)
+    if question_bank_id and not banks.get(question_bank_id):
+        raise HTTPException(status_code=400, detail="Question bank not found.")
+    if not _get_rubric(rubric_id):
+        raise HTTPException(status_code=400, detail="Scoring rubric not found.")
+
+    resume = None
+    if file and file.filename:
+        parsed = await _read_resume(file)
+        resume_text = parsed.pop("text")
+        _check_is_resume(resume_text)
+        resume = {"name": file.filename, "text": resume_text, "profile": parsed}
+
+    now = time.time()
+    token = secrets.token_urlsafe(24)
+    invitation = {
+        "role": role,
+        "candidate_name": candidate_name.strip(),
+        "created_at": now,
+        "expires_at": now + expires_in_hours * 3600,
+        "settings": {
+            "num_questions": num_questions,
+            "difficulty": difficulty,
+            "focus_areas": [area.strip() for area in focus_areas if area.strip()],
+            "job_description": await _read_job_description(job_description, job_description_file),
+            "answer_mode": answer_mode,
+            "loop": loop,
+            "coding": coding,
+            "language": language,
+            "tone": tone,
+            "question_bank_id": question_bank_id,
+            "bank_question_count": bank_question_count,
+            "rubric_id": rubric_id,
+        },
+        "resume": resume,
+        # Set once the candidate opens the link and starts; the link can't be used again
+        "session_id": None,
+        "used_at": None,
+    }
+    invitations.save(token, invitation)
+    return _invitation_entry(token, invitation)
+
+
+@app.get("/invitations", dependencies=[Depends(_require_recruiter)])
+async def list_invitations(limit: int = Query(100, ge=1, le=500)):
+    """List invitations, newest first, with each candidate's status and scores for the recruiter dashboard."""
+    return {"invitations": [_invitation_entry(token, inv) for token, inv in invitations.list(limit)]}
+
+
+@app.delete("/invitations/{token}", dependencies=[Depends(_require_recruiter)])
+async def revoke_invitation(token: str):
+    """Withdraw an invitation. An interview already started from it is kept."""
+    if not invitations.get(token):
+        raise HTTPException(status_code=404, detail="Invitation not found.")
+    invitations.delete(token)
+    return {"token": token, "revoked": True}
+
+
+@app.get("/invitations/{token}")
+async def get_invitation(token: str):
+    """What a candidate opening the link sees before starting."""
+    invitation = _load_invitation(token)
+    settings = invitation["settings"]
+    return {
+        "role": invitation["role"],
+        "candidate_name": invitation["candidate_name"],
+        "expires_at": invitation["expires_at"],
+        "total_questions": _invitation_total_questions(settings),
+        "loop": settings["loop"] or None,
+        "coding": settings["coding"],
+        "answer_mode": settings["answer_mode"],
+        "language": settings["language"],
+        "has_resume": bool(invitation.get("resume")),
+    }
+
+
+@app.post("/invitations/{token}/start")
+async def start_invitation(token: str, file: Optional[UploadFile] = File(None)):
+    """Start the invited interview, using the attached resume or the one the candidate uploads.
+
+    Scores stay hidden from the candidate; the recruiter reads the report from the dashboard.
+    """
+    invitation = _load_invitation(token)
+    resume = invitation.get("resume")
+    if resume:
+        resume_name, resume_text, parsed = resume["name"], resume["text"], resume["profile"]
+    else:
+        if not file or not file.filename:
+            raise HTTPException(status_code=400, detail="Upload your resume to start the interview.")
+        parsed = await _read_resume(file)
+        resume_text = parsed.pop("text")
+        _check_is_resume(resume_text)
+        resume_name = file.filename
+
+    settings = invitation["settings"]
+    # A bank deleted since the invitation was sent just means every question is generated
+    bank_id = settings.get("question_bank_id", "")
+    if bank_id and not banks.get(bank_id):
+        bank_id = ""
+    # ...and a deleted rubric falls back to the built-in one
+    rubric_id = settings.get("rubric_id", DEFAULT_RUBRIC_ID)
+    if not _get_rubric(rubric_id):
+        rubric_id = DEFAULT_RUBRIC_ID
+    session = _new_session(
+        parsed=parsed,
+        resume_text=resume_text,
+        resume_name=resume_name,
+        resume_topics=None,
+        hide_scores=True,
+        num_questions=settings["num_questions"],
+        difficulty=settings["difficulty"],
+        focus_areas=settings["focus_areas"],
+        job_description=f"Role: {invitation['role']}\n\n{settings['job_description']}".strip(),
+        answer_mode=settings["answer_mode"],
+        loop=settings["loop"],
+        coding=settings["coding"],
+        language=settings["language"],
+        tone=settings["tone"],
+        question_bank_id=bank_id,
+        bank_question_count=settings.get("bank_question_count", 0),
+        rubric_id=rubric_id,
+    )
+    session["invitation"] = {"role": invitation["role"], "candidate_name": invitation["candidate_name"]}
+    started = _open_session(session)
+
+    # Two tabs racing on one link: only the first claim keeps its session
+    if not invitations.claim(token, started["session_id"]):
+        store.delete(started["session_id"])
+        raise HTTPException(status_code=410, detail="This invitation link has already been used.")
+    return {**started, "invitation": session["invitation"]}
+
+
+def _bank_summary(bank_id: str, bank: dict) -> dict:
+    return {
+        "id": bank_id,
+        "name": bank["name"],
+        "description": bank["description"],
+        "question_count": len(bank["questions"]),
+        "tags": sorted({tag for q in bank["questions"] for tag in q["tags"]}, key=str.lower),
+        "updated_at": bank["updated_at"],
+    }
+
+
+def _load_bank(bank_id: str) -> dict:
+    bank = banks.get(bank_id)
+    if not bank:
+        raise HTTPException(status_code=404, detail="Question bank not found.")
+    return bank
+
+
+def _validated_bank(data: dict) -> dict:
+    """Normalise a bank from the editor or an import and check it against the QuestionBank schema."""
+    try:
+        return QuestionBank.model_validate(normalize_bank(data)).model_dump()
+    except ValidationError as e:
+        error = e.errors()[0]
+        where = ".".join(str(part) for part in error["loc"])
+        raise HTTPException(status_code=400, detail=f"Invalid question bank ({where}): {error['msg']}")
+
+
+def _save_bank(bank_id: str, bank: dict, created_at: Optional[float] = None) -> dict:
+    now = time.time()
+    bank = {**bank, "created_at": created_at or now, "updated_at": now}
+    banks.save(bank_id, bank)
+    return {"id": bank_id, **bank}
+
+
+@app.get("/question-banks")
+async def list_question_banks():
+    """Bank names, tags and sizes, for picking one when setting up an interview."""
+    return {"banks": [_bank_summary(bank_id, bank) for bank_id, bank in banks.list()]}
+
+
+@app.post("/question-banks", dependencies=[Depends(_require_editor)])
+async def create_question_bank(req: QuestionBank):
+    return _save_bank(str(uuid.uuid4()), _validated_bank(req.model_dump()))
+
+
+@app.post("/question-banks/import", dependencies=[Depends(_require_editor)])
+async def import_question_bank(file: UploadFile = File(...)):
+    """Create a bank from a .json or .csv file (see services/question_banks.py for the formats)."""
+    try:
+        data = parse_bank_file(await file.read(), file.filename or "")
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    return _save_bank(str(uuid.uuid4()), _validated_bank(data))
+
+
+@app.get("/question-banks/{bank_id}", dependencies=[Depends(_require_editor)])
+async def get_question_bank(bank_id: str):
+    """The full bank, reference answers included, for the editor."""
+    return {"id": bank_id, **_load_bank(bank_id)}
+
+
+@app.put("/question-banks/{bank_id}", dependencies=[Depends(_require_editor)])
+async def update_question_bank(bank_id: str, req: QuestionBank):
+    """Replace a bank's questions. Sessions already started keep the questions they drew."""
+    existing = _load_bank(bank_id)
+    return _save_bank(bank_id, _validated_bank(req.model_dump()), existing["created_at"])
+
+
+@app.delete("/question-banks/{bank_id}", dependencies=[Depends(_require_editor)])
+async def delete_question_bank(bank_id: str):
+    _load_bank(bank_id)
+    banks.delete(bank_id)
+    return {"id": bank_id, "deleted": True}
+
+
+@app.get("/question-banks/{bank_id}/export", dependencies=[Depends(_require_editor)])
+async def export_question_bank(bank_id: str, format: str = Query("json", pattern="^(json|csv)$")):
+    """Download a bank as JSON or CSV, in the same formats the import accepts."""
+    bank = _load_bank(bank_id)
+    filename = re.sub(r"[^A-Za-z0-9_-]+", "-", bank["name"]).strip("-") or "question-bank"
+    if format == "csv":
+        content, media_type = bank_to_csv(bank), "text/csv"
+    else:
+        content, media_type = bank_to_json(bank), "application/json"
+    return Response(
+        content,
+        media_type=media_type,
+        headers={"Content-Disposition": f'attachment; filename="{filename}.{format}"'},
+    )
+
+
+def _get_rubric(rubric_id: str) -> Optional[dict]:
+    if rubric_id == DEFAULT_RUBRIC_ID:
+        return DEFAULT_RUBRIC
+    return rubrics.get(rubric_id)
+
+
+def _rubric_entry(rubric_id: str, rubric: dict) -> dict:
+    return {"id": rubric_id, "built_in": rubric_id == DEFAULT_RUBRIC_ID, **rubric}
+
+
+def _load_custom_rubric(rubric_id: str) -> dict:
+    if rubric_id == DEFAULT_RUBRIC_ID:
+        raise HTTPException(status_code=400, detail="The built-in rubric can't be changed. Duplicate it instead.")
+    rubric = rubrics.get(rubric_id)
+    if not rubric:
+        raise HTTPException(status_code=404, detail="Scoring rubric not found.")
+    return rubric
+
+
+def _validated_rubric(req: Rubric) -> dict:
+    try:
+        return check_rubric(Rubric.model_validate(normalize_rubric(req.model_dump())).model_dump())
+    except ValidationError as e:
+        error = e.errors()[0]
+        where = ".".join(str(part) for part in error["loc"])
+        raise HTTPException(status_code=400, detail=f"Invalid rubric ({where}): {error['msg']}")
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+
+def _save_rubric(rubric_id: str, rubric: dict, created_at: Optional[float] = None) -> dict:
+    now = time.time()
+    rubric = {**rubric, "created_at": created_at or now, "updated_at": now}
+    rubrics.save(rubric_id, rubric)
+    return _rubric_entry(rubric_id, rubric)
+
+
+@app.get("/rubrics")
+async def list_rubrics():
+    """Every scoring rubric, the built-in one first, for picking one when setting up an interview."""
+    return {
+        "rubrics": [_rubric_entry(DEFAULT_RUBRIC_ID, DEFAULT_RUBRIC)]
+        + [_rubric_entry(rubric_id, rubric) for rubric_id, rubric in rubrics.list()]
+    }
+
+
+@app.post("/rubrics", dependencies=[Depends(_require_editor)])
+async def create_rubric(req: Rubric):
+    return _save_rubric(str(uuid.uuid4()), _validated_rubric(req))
+
+
+@app.put("/rubrics/{rubric_id}", dependencies=[Depends(_require_editor)])
+async def update_rubric(rubric_id: str, req: Rubric):
+    """Replace a rubric. Interviews already started keep scoring with the version they began with."""
+    existing = _load_custom_rubric(rubric_id)
+    return _save_rubric(rubric_id, _validated_rubric(req), existing["created_at"])
+
+
+@app.delete("/rubrics/{rubric_id}", dependencies=[Depends(_require_editor)])
+async def delete_rubric(rubric_id: str):
+    _load_custom_rubric(rubric_id)
+    rubrics.delete(rubric_id)
+    return {"id": rubric_id, "deleted": True}
@@ -1,5 +1,37 @@
-from pydantic import BaseModel
-from typing import List, Optional
+from pydantic import BaseModel, Field
+from typing import Any, Dict, List, Literal, Optional
+
+
+class DiagramNode(BaseModel):
+    id: str = Field(max_length=40)
+    label: str = Field(max_length=80)
+    x: float
+    y: float
+
+
+class DiagramEdge(BaseModel):
+    id: str = Field(max_length=40)
+    source: str
+    target: str
+    label: str = Field("", max_length=80)
+
+
+class Diagram(BaseModel):
+    """A whiteboard sketch: labelled boxes and the arrows between them, with canvas positions."""
+    nodes: List[DiagramNode] = Field([], max_length=40)
+    edges: List[DiagramEdge] = Field([], max_length=80)
+
+
+class DeliveryMetrics(BaseModel):
+    """How a spoken answer was delivered, measured in the browser while the candidate talked."""
+    word_count: int = Field(ge=0)
+    speaking_seconds: float = Field(ge=0)
+    words_per_minute: Optional[int] = Field(None, ge=0)
+    filler_words: Dict[str, int] = Field(default_factory=dict, max_length=20)
+    filler_count: int = Field(0, ge=0)
+    long_pauses: int = Field(0, ge=0)
+    longest_pause_seconds: float = Field(0, ge=0)
+    time_to_first_word_seconds: Optional[float] = Field(None, ge=0)
 
 
 class EvaluateRequest(BaseModel):
@@ -8,32 +40,168 @@ class EvaluateRequest(BaseModel):
     current_answer: str
     previous_questions: List[str] = []
     previous_answers: List[str] = []
+    answer_mode: Literal["voice", "text"] = "voice"
+    # Set when answering a coding question; current_answer is then the spoken explanation
+    code: Optional[str] = None
+    code_language: Optional[Literal["python", "javascript"]] = None
+    # Optional whiteboard sketch drawn while answering (e.g. for system design)
+    diagram: Optional[Diagram] = None
+    # Spoken answers only
+    delivery: Optional[DeliveryMetrics] = None
+
+
+class RunCodeRequest(BaseModel):
+    session_id: str
+    question_number: int
+    language: Literal["python", "javascript"]
+    code: str
+
+
+# Sent by the backend to the separate code runner service (runner.py)
+class RunTestsRequest(BaseModel):
+    language: Literal["python", "javascript"]
+    code: str
+    function_name: str
+    tests: List[Dict[str, Any]]
+
+
+class ClarifyRequest(BaseModel):
+    session_id: str
+    question_number: int
+    # The candidate's clarifying question about the current interview question
+    question: str = Field(min_length=1, max_length=500)
 
 
 class EvaluationScore(BaseModel):
-    technical_score: float
-    clarity_score: float
-    structure_score: float
-    relevance_score: float
+    technical_score: float = Field(ge=0, le=10)
+    clarity_score: float = Field(ge=0, le=10)
+    structure_score: float = Field(ge=0, le=10)
+    relevance_score: float = Field(ge=0, le=10)
+    # Coding questions only: whether the code works, and the reasoning behind it
+    correctness_score: Optional[float] = Field(None, ge=0, le=10)
+    reasoning_score: Optional[float] = Field(None, ge=0, le=10)
     strengths: str
     weaknesses: str
     improvement_tip: str
 
 
+class CodeTestCase(BaseModel):
+    args: List[Any]
+    expected: Any
+
+
+class StarterCode(BaseModel):
+    python: str
+    javascript: str
+
+
+class CodingQuestion(BaseModel):
+    prompt: str
+    function_name: str = Field(pattern=r"^[A-Za-z_][A-Za-z0-9_]*$")
+    starter_code: StarterCode
+    tests: List[CodeTestCase] = Field(min_length=3, max_length=12)
+
+
 class EvaluateResponse(BaseModel):
-    evaluation: EvaluationScore
+    evaluation: Optional[EvaluationScore] = None
     next_question: Optional[str] = None
     question_count: int
 
 
+class RoleFit(BaseModel):
+    demonstrated: List[str] = []
+    weak: List[str] = []
+    not_covered: List[str] = []
+
+
+class ImprovementTopic(BaseModel):
+    topic: str
+    verdict: Literal["improved", "unchanged", "declined"]
+    note: str
+
+
+class Improvement(BaseModel):
+    summary: str
+    topics: List[ImprovementTopic] = []
+
+
+class RoundResult(BaseModel):
+    name: str
+    score: float = Field(ge=0, le=100)
+    # One of the session rubric's recommendation labels
+    recommendation: str
+    summary: str
+
+
+class CriterionScore(BaseModel):
+    name: str
+    score: float = Field(ge=0, le=10)
+    # The rubric level descriptor the answers matched best
+    level: str = ""
+    justification: str
+
+
 class FinalReport(BaseModel):
-    overall_score: float
+    # The model scores the rubric's criteria; the overall score and recommendation are worked out from them
+    criteria: List[CriterionScore] = Field(min_length=1, max_length=10)
+    resume_summary: Optional[str] = None
     summary: str
     strong_areas: str
     weak_areas: str
-    hire_recommendation: str
     improvement_roadmap: str
+    role_fit: Optional[RoleFit] = None
+    improvement: Optional[Improvement] = None
+    rounds: Optional[List[RoundResult]] = None
 
 
 class FinalReportResponse(BaseModel):
     final_report: FinalReport
+
+
+class PracticeRequest(BaseModel):
+    # weak_areas: new questions on the report's weak areas; questions: re-ask the chosen questions
+    mode: Literal["weak_areas", "questions"]
+    question_numbers: List[int] = []
+
+
+class BankQuestion(BaseModel):
+    question: str = Field(min_length=1, max_length=2000)
+    tags: List[str] = Field([], max_length=20)
+    # None: suitable for any level
+    difficulty: Optional[Literal["junior", "mid", "senior", "staff"]] = None
+    # What a strong answer covers; guides scoring and is never shown to the candidate
+    reference_answer: str = Field("", max_length=5000)
+
+
+class QuestionBank(BaseModel):
+    """A named set of questions a session can mix in with the generated ones."""
+    name: str = Field(min_length=1, max_length=100)
+    description: str = Field("", max_length=500)
+    questions: List[BankQuestion] = Field(min_length=1, max_length=500)
+
+
+class RubricLevel(BaseModel):
+    label: str = Field(min_length=1, max_length=40)
+    description: str = Field("", max_length=300)
+
+
+class RubricCriterion(BaseModel):
+    name: str = Field(min_length=1, max_length=60)
+    description: str = Field("", max_length=300)
+    # Relative; the report shows each criterion's share of the total
+    weight: int = Field(ge=1, le=100)
+    # Best first
+    levels: List[RubricLevel] = Field([], max_length=6)
+
+
+class RecommendationThreshold(BaseModel):
+    label: str = Field(min_length=1, max_length=40)
+    min_score: int = Field(ge=0, le=100)
+
+
+class Rubric(BaseModel):
+    """How final reports are scored: weighted criteria and the overall score each recommendation needs."""
+    name: str = Field(min_length=1, max_length=100)
+    description: str = Field("", max_length=500)
+    criteria: List[RubricCriterion] = Field(min_length=1, max_length=10)
+    recommendations: List[RecommendationThreshold] = Field(min_length=2, max_length=6)
@@ -0,0 +1,24 @@
+"""The code runner on its own: a small API the main backend calls when CODE_RUNNER_URL is set.
+
+It runs in a separate container, the only one given the privileges bubblewrap needs, with
+no secrets, no session data and no network beyond the backend. Start it with
+`uvicorn runner:app --port 8001`.
+"""
+from fastapi import FastAPI, HTTPException
+from starlette.concurrency import run_in_threadpool
+
+from models.schemas import RunTestsRequest
+from services.code_runner import CodeRunnerError, run_tests
+
+app = FastAPI(title="AI Interview Agent code runner")
+
+
+@app.post("/run")
+async def run(req: RunTestsRequest):
+    """Run `code` against `tests` in the local jail; same result shape as run_tests."""
+    try:
+        return await run_in_threadpool(run_tests, req.language, req.code, req.function_name, req.tests)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    except CodeRunnerError as e:
+        raise HTTPException(status_code=503, detail=str(e))
@@ -0,0 +1,288 @@
+import json
+import math
+import os
+import shutil
+import subprocess
+import sys
+import tempfile
+from typing import List
+
+import httpx
+from dotenv import load_dotenv
+
+try:
+    import resource
+except ImportError:  # Windows: no resource limits
+    resource = None
+
+load_dotenv()
+
+# Wall-clock limit for one run (all test cases) and memory cap per candidate process
+CODE_RUNNER_TIMEOUT = float(os.getenv("CODE_RUNNER_TIMEOUT", "5"))
+CODE_RUNNER_MEMORY_MB = int(os.getenv("CODE_RUNNER_MEMORY_MB", "256"))
+CODE_RUNNER_NODE = os.getenv("CODE_RUNNER_NODE", "node")
+# "bwrap" runs every answer in a bubblewrap jail; "none" runs it as a plain child process
+# of the server, which is only acceptable on a machine where you trust everyone who can code
+CODE_RUNNER_SANDBOX = os.getenv("CODE_RUNNER_SANDBOX", "bwrap")
+CODE_RUNNER_BWRAP = os.getenv("CODE_RUNNER_BWRAP", "bwrap")
+# When the server runs as root, answers run as this uid/gid instead (nobody by default)
+CODE_RUNNER_UID = int(os.getenv("CODE_RUNNER_UID", "65534"))
+CODE_RUNNER_GID = int(os.getenv("CODE_RUNNER_GID", "65534"))
+# When set, answers are sent to a separate runner service (runner.py) at this URL instead of
+# running here, so only that container needs the privileges bubblewrap asks for
+CODE_RUNNER_URL = os.getenv("CODE_RUNNER_URL", "").rstrip("/")
+# System directories the interpreters need, mounted read-only in the jail (missing ones are skipped)
+JAIL_SYSTEM_DIRS = ("/usr", "/bin", "/lib", "/lib64", "/lib32", "/etc/alternatives", "/etc/ld.so.cache")
+
+LANGUAGES = ("python", "javascript")
+MAX_CODE_LENGTH = 20000
+MAX_OUTPUT_CHARS = 2000
+
+# Each harness reads {code, function_name, args} on stdin, calls the function once per
+# argument list and prints {"results": [...]} (or {"error": ...}) as its last stdout line.
+PYTHON_HARNESS = r"""
+import contextlib, io, json, sys
+spec = json.load(sys.stdin)
+namespace = {"__name__": "solution"}
+captured = io.StringIO()
+try:
+    with contextlib.redirect_stdout(captured):
+        exec(compile(spec["code"], "solution.py", "exec"), namespace)
+    func = namespace.get(spec["function_name"])
+    if not callable(func):
+        raise NameError("Define a function named " + spec["function_name"])
+except BaseException as e:
+    print(json.dumps({"error": f"{type(e).__name__}: {e}"}))
+    sys.exit(0)
+results = []
+for args in spec["args"]:
+    captured = io.StringIO()
+    try:
+        with contextlib.redirect_stdout(captured):
+            output = func(*args)
+        results.append({"output": json.loads(json.dumps(output)), "stdout": captured.getvalue()})
+    except BaseException as e:
+        results.append({"error": f"{type(e).__name__}: {e}", "stdout": captured.getvalue()})
+print(json.dumps({"results": results}))
+"""
+
+# vm only keeps the candidate's globals apart from the harness and applies the per-call
+# timeout; it is not a security boundary (the jail around the whole process is)
+JAVASCRIPT_HARNESS = r"""
+const fs = require('node:fs');
+const vm = require('node:vm');
+const spec = JSON.parse(fs.readFileSync(0, 'utf8'));
+let logs = [];
+const context = vm.createContext({ console: { log: (...parts) => logs.push(parts.join(' ')) } });
+const write = (data) => process.stdout.write(JSON.stringify(data) + '\n');
+try {
+  vm.runInContext(spec.code, context, { filename: 'solution.js', timeout: spec.timeout_ms });
+  const found = vm.runInContext(`typeof ${spec.function_name} === 'function'`, context);
+  if (!found) throw new Error(`Define a function named ${spec.function_name}`);
+} catch (e) {
+  write({ error: String(e) });
+  process.exit(0);
+}
+const results = spec.args.map((args) => {
+  logs = [];
+  try {
+    context.__args = args;
+    const output = vm.runInContext(`${spec.function_name}(...__args)`, context, { timeout: spec.timeout_ms });
+    return { output: output === undefined ? null : JSON.parse(JSON.stringify(output)), stdout: logs.join('\n') };
+  } catch (e) {
+    return { error: String(e), stdout: logs.join('\n') };
+  }
+});
+write({ results });
+"""
+
+
+class CodeRunnerError(RuntimeError):
+    """The runner for a language (or the jail around it) is not available on this server."""
+
+
+def _limit_resources(memory: bool):
+    """Applied in the child process before the jail and harness start (POSIX only).
+
+    `resource` is imported up front: after the switch to CODE_RUNNER_UID the child may
+    not be able to read the server's Python install.
+    """
+    cpu = math.ceil(CODE_RUNNER_TIMEOUT) + 1
+    resource.setrlimit(resource.RLIMIT_CPU, (cpu, cpu))
+    # No large files and no core dumps
+    resource.setrlimit(resource.RLIMIT_FSIZE, (1 << 20, 1 << 20))
+    resource.setrlimit(resource.RLIMIT_CORE, (0, 0))
+    if memory:
+        limit = CODE_RUNNER_MEMORY_MB * 1024 * 1024
+        resource.setrlimit(resource.RLIMIT_AS, (limit, limit))
+    if os.getuid() == CODE_RUNNER_UID:
+        # Counted per uid, so this caps fork bombs without touching the server's own processes
+        resource.setrlimit(resource.RLIMIT_NPROC, (64, 64))
+
+
+def _interpreter(language: str) -> List[str]:
+    """The interpreter's real path, so the jail only needs its install prefix (not a virtualenv)."""
+    binary = sys.executable if language == "python" else shutil.which(CODE_RUNNER_NODE)
+    if not binary:
+        raise CodeRunnerError(f"The {language} runner is not installed on this server.")
+    binary = os.path.realpath(binary)
+    if language == "python":
+        return [binary, "-I", "-c", PYTHON_HARNESS]
+    # V8 reserves far more address space than it uses, so cap the heap instead of RLIMIT_AS
+    return [binary, f"--max-old-space-size={CODE_RUNNER_MEMORY_MB}", "-e", JAVASCRIPT_HARNESS]
+
+
+def _jail(command: List[str]) -> List[str]:
+    """Wrap `command` in bubblewrap: an empty root with the system directories read-only,
+    a private /tmp, and no /proc, network, host processes, environment or app files.
+    """
+    bwrap = shutil.which(CODE_RUNNER_BWRAP)
+    if not bwrap:
+        raise CodeRunnerError(
+            "The code sandbox (bubblewrap) is not installed on this server. "
+            "Install it, or set CODE_RUNNER_SANDBOX=none on a trusted machine."
+        )
+    # The interpreter's prefix (e.g. /usr/local for python:slim, ~/.nvm/... for Node) if outside /usr
+    prefix = os.path.dirname(os.path.dirname(command[0]))
+    app_dir = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+    if os.path.commonpath([prefix, app_dir]) in (prefix, app_dir):
+        raise CodeRunnerError(f"Install the {command[0]} interpreter outside the app directory to jail it.")
+    mounts = []
+    for path in dict.fromkeys((*JAIL_SYSTEM_DIRS, prefix)):
+        mounts += ["--ro-bind-try", path, path]
+    return [
+        bwrap,
+        "--unshare-all",
+        "--die-with-parent",
+        "--new-session",
+        "--clearenv",
+        "--setenv", "PATH", "/usr/local/bin:/usr/bin:/bin",
+        "--setenv", "HOME", "/tmp",
+        "--uid", str(CODE_RUNNER_UID),
+        "--gid", str(CODE_RUNNER_GID),
+        *mounts,
+        "--dev", "/dev",
+        "--tmpfs", "/tmp",
+        "--chdir", "/tmp",
+        *command,
+    ]
+
+
+def _matches(output, expected) -> bool:
+    """Equality after a JSON round trip, with a small tolerance for floats."""
+    if isinstance(output, (int, float)) and isinstance(expected, (int, float)) \
+            and not isinstance(output, bool) and not isinstance(expected, bool):
+        return math.isclose(output, expected, rel_tol=1e-6, abs_tol=1e-9)
+    if isinstance(output, list) and isinstance(expected, list):
+        return len(output) == len(expected) and all(_matches(o, e) for o, e in zip(output, expected))
+    if isinstance(output, dict) and isinstance(expected, dict):
+        return output.keys() == expected.keys() and all(_matches(output[k], expected[k]) for k in output)
+    return output == expected
+
+
+def _truncate(text: str) -> str:
+    return text if len(text) <= MAX_OUTPUT_CHARS else text[:MAX_OUTPUT_CHARS] + "…"
+
+
+def _run_remote(language: str, code: str, function_name: str, tests: List[dict]) -> dict:
+    """Hand the run to the runner service at CODE_RUNNER_URL, which calls run_tests itself."""
+    try:
+        response = httpx.post(
+            f"{CODE_RUNNER_URL}/run",
+            json={"language": language, "code": code, "function_name": function_name, "tests": tests},
+            timeout=CODE_RUNNER_TIMEOUT + 10,
+        )
+    except httpx.HTTPError as e:
+        raise CodeRunnerError(f"The code runner service is unreachable: {e}")
+    if response.status_code == 200:
+        return response.json()
+    try:
+        detail = response.json().get("detail")
+    except ValueError:  # e.g. a proxy's HTML error page
+        detail = None
+    if response.status_code == 400:
+        raise ValueError(detail or "Invalid code submission.")
+    raise CodeRunnerError(detail or f"The code runner service failed ({response.status_code}).")
+
+
+def run_tests(language: str, code: str, function_name: str, tests: List[dict]) -> dict:
+    """Run the candidate's function against each test case in a separate, resource-limited process.
+
+    With CODE_RUNNER_SANDBOX=bwrap (the default) the process runs in a bubblewrap jail, as
+    CODE_RUNNER_UID when the server is root; see _jail. Either way it gets an environment
+    without the server's secrets, a CPU/wall-clock limit and a memory cap. Returns
+    {passed, total, error, cases: [{args, expected, output, stdout, error, passed}]}.
+    """
+    if language not in LANGUAGES:
+        raise ValueError(f"Language must be one of: {', '.join(LANGUAGES)}.")
+    if len(code) > MAX_CODE_LENGTH:
+        raise ValueError(f"Code is too long (max {MAX_CODE_LENGTH} characters).")
+    if CODE_RUNNER_URL:
+        return _run_remote(language, code, function_name, tests)
+
+    if CODE_RUNNER_SANDBOX not in ("bwrap", "none"):
+        raise CodeRunnerError(f"Unknown CODE_RUNNER_SANDBOX: {CODE_RUNNER_SANDBOX}. Use 'bwrap' or 'none'.")
+    command = _interpreter(language)
+    if CODE_RUNNER_SANDBOX == "bwrap":
+        command = _jail(command)
+    spec = {
+        "code": code,
+        "function_name": function_name,
+        "args": [test["args"] for test in tests],
+        "timeout_ms": int(CODE_RUNNER_TIMEOUT * 1000),
+    }
+    error = None
+    results = []
+    # A root server hands the run to an unprivileged uid (subprocess switches before the preexec hook)
+    drop_root = os.name == "posix" and os.getuid() == 0
+    with tempfile.TemporaryDirectory() as workdir:
+        if drop_root:
+            os.chmod(workdir, 0o777)
+        try:
+            completed = subprocess.run(
+                command,
+                input=json.dumps(spec),
+                capture_output=True,
+                text=True,
+                cwd=workdir,
+                env={"PATH": os.environ.get("PATH", ""), "HOME": workdir},
+                timeout=CODE_RUNNER_TIMEOUT + 1,
+                preexec_fn=(lambda: _limit_resources(memory=language == "python")) if os.name == "posix" else None,
+                user=CODE_RUNNER_UID if drop_root else None,
+                group=CODE_RUNNER_GID if drop_root else None,
+                extra_groups=[] if drop_root else None,
+            )
+        except FileNotFoundError:
+            raise CodeRunnerError(f"The {language} runner is not installed on this server.")
+        except subprocess.TimeoutExpired:
+            error = f"Timed out after {CODE_RUNNER_TIMEOUT:g} seconds."
+        else:
+            lines = completed.stdout.strip().splitlines()
+            try:
+                outcome = json.loads(lines[-1]) if lines else {}
+            except json.JSONDecodeError:
+                outcome = {}
+            if "results" in outcome:
+                results = outcome["results"]
+            else:
+                error = outcome.get("error") or _truncate(completed.stderr.strip()) \
+                    or "The program exited without producing a result (out of time or memory?)."
+
+    cases = []
+    for i, test in enumerate(tests):
+        result = results[i] if i < len(results) else {"error": error}
+        case_error = result.get("error")
+        cases.append({
+            "args": test["args"],
+            "expected": test.get("expected"),
+            "output": result.get("output"),
+            "stdout": _truncate(result.get("stdout") or ""),
+            "error": _truncate(case_error) if case_error else None,
+            "passed": not case_error and _matches(result.get("output"), test.get("expected")),
+        })
+    return {
+        "passed": sum(case["passed"] for case in cases),
+        "total": len(cases),
+        "error": _truncate(error) if error else None,
+        "cases": cases,
+    }
@@ -0,0 +1,137 @@
+import json
+import os
+import sqlite3
+import threading
+from abc import ABC, abstractmethod
+from contextlib import contextmanager
+from typing import List, Optional, Tuple
+
+from services.session_store import SESSION_DB_PATH, SESSION_STORE
+
+
+class DocumentStore(ABC):
+    """Storage backend for JSON documents keyed by id, such as question banks, rubrics and invitations.
+
+    Each store holds one kind of document and lists them by one of their top-level fields
+    (`sort_key`), compared case-insensitively when it is text.
+    """
+
+    def __init__(self, table: str, sort_key: str, descending: bool = False):
+        self.table = table
+        self.sort_key = sort_key
+        self.descending = descending
+
+    @abstractmethod
+    def get(self, doc_id: str) -> Optional[dict]:
+        """Return the document, or None if it does not exist."""
+
+    @abstractmethod
+    def save(self, doc_id: str, doc: dict) -> None:
+        """Create or overwrite a document."""
+
+    @abstractmethod
+    def delete(self, doc_id: str) -> None:
+        """Remove a document if it exists."""
+
+    @abstractmethod
+    def list(self, limit: Optional[int] = None) -> List[Tuple[str, dict]]:
+        """Return (doc_id, doc) pairs ordered by the sort key, at most `limit` of them."""
+
+
+class InMemoryDocumentStore(DocumentStore):
+    """Process-local store. Documents are lost on restart and not shared between workers."""
+
+    def __init__(self, table: str, sort_key: str, descending: bool = False):
+        super().__init__(table, sort_key, descending)
+        self._docs: dict = {}
+        self._lock = threading.Lock()
+
+    def get(self, doc_id: str) -> Optional[dict]:
+        with self._lock:
+            doc = self._docs.get(doc_id)
+            return json.loads(json.dumps(doc)) if doc else None
+
+    def save(self, doc_id: str, doc: dict) -> None:
+        with self._lock:
+            self._docs[doc_id] = json.loads(json.dumps(doc))
+
+    def delete(self, doc_id: str) -> None:
+        with self._lock:
+            self._docs.pop(doc_id, None)
+
+    def _sort_value(self, doc: dict):
+        value = doc[self.sort_key]
+        return value.lower() if isinstance(value, str) else value
+
+    def list(self, limit: Optional[int] = None) -> List[Tuple[str, dict]]:
+        with self._lock:
+            items = sorted(self._docs.items(), key=lambda item: self._sort_value(item[1]), reverse=self.descending)
+            return json.loads(json.dumps(items[:limit]))
+
+
+class SQLiteDocumentStore(DocumentStore):
+    """Keeps documents in the sessions database so they survive restarts.
+
+    One table per kind of document: the id, the sort key copied into its own column and
+    the document as JSON.
+    """
+
+    def __init__(self, table: str, sort_key: str, descending: bool = False, path: str = SESSION_DB_PATH):
+        super().__init__(table, sort_key, descending)
+        self.path = path
+        directory = os.path.dirname(path)
+        if directory:
+            os.makedirs(directory, exist_ok=True)
+        with self._connect() as conn:
+            conn.execute(
+                f"""CREATE TABLE IF NOT EXISTS {table} (
+                    id TEXT PRIMARY KEY,
+                    {sort_key} NOT NULL,
+                    data TEXT NOT NULL
+                )"""
+            )
+
+    @contextmanager
+    def _connect(self):
+        conn = sqlite3.connect(self.path, timeout=10)
+        try:
+            with conn:
+                yield conn
+        finally:
+            conn.close()
+
+    def get(self, doc_id: str) -> Optional[dict]:
+        with self._connect() as conn:
+            row = conn.execute(f"SELECT data FROM {self.table} WHERE id = ?", (doc_id,)).fetchone()
+        return json.loads(row[0]) if row else None
+
+    def save(self, doc_id: str, doc: dict) -> None:
+        with self._connect() as conn:
+            conn.execute(
+                f"""INSERT INTO {self.table} (id, {self.sort_key}, data) VALUES (?, ?, ?)
+                    ON CONFLICT(id) DO UPDATE SET {self.sort_key} = excluded.{self.sort_key}, data = excluded.data""",
+                (doc_id, doc[self.sort_key], json.dumps(doc)),
+            )
+
+    def delete(self, doc_id: str) -> None:
+        with self._connect() as conn:
+            conn.execute(f"DELETE FROM {self.table} WHERE id = ?", (doc_id,))
+
+    def list(self, limit: Optional[int] = None) -> List[Tuple[str, dict]]:
+        # NOCASE only affects text columns; LIMIT -1 means no limit
+        order = "DESC" if self.descending else "ASC"
+        with self._connect() as conn:
+            rows = conn.execute(
+                f"SELECT id, data FROM {self.table} ORDER BY {self.sort_key} COLLATE NOCASE {order} LIMIT ?",
+                (-1 if limit is None else limit,),
+            ).fetchall()
+        return [(row[0], json.loads(row[1])) for row in rows]
+
+
+def get_document_store(table: str, sort_key: str, descending: bool = False) -> DocumentStore:
+    """Build the store matching SESSION_STORE, so documents live next to the sessions that use them."""
+    if SESSION_STORE == "memory":
+        return InMemoryDocumentStore(table, sort_key, descending)
+    if SESSION_STORE == "sqlite":
+        return SQLiteDocumentStore(table, sort_key, descending)
+    raise ValueError(f"Unknown SESSION_STORE: {SESSION_STORE}. Use 'sqlite' or 'memory'.")
@@ -1,33 +1,216 @@
 import json
-import os
-from groq import Groq
-from dotenv import load_dotenv
+from typing import Callable, Iterator, Optional, Type
+
+from pydantic import BaseModel, ValidationError
+
+from models.schemas import CodingQuestion, EvaluationScore, FinalReport
+from services.llm_provider import LLM_MAX_ATTEMPTS, get_llm_provider
+from services.rubrics import DEFAULT_RUBRIC, apply_rubric, recommendation_for, recommendation_labels
+
+# Groq, an OpenAI-compatible local server, or the offline mock (see LLM_PROVIDER)
+provider = get_llm_provider()
+
+
+def _ask(prompt: str, task: str) -> str:
+    """Send a prompt to the configured LLM provider and return the response text."""
+    return provider.complete(prompt, task=task)
+
+
+DIFFICULTY_LEVELS = {
+    "junior": "a JUNIOR engineer (0-2 years). Focus on fundamentals and hands-on work they did themselves; avoid deep architecture questions.",
+    "mid": "a MID-LEVEL engineer (2-5 years). Expect solid practical depth, debugging experience and sensible design trade-offs.",
+    "senior": "a SENIOR engineer (5+ years). Probe ownership, architecture decisions, trade-offs, scaling and mentoring.",
+    "staff": "a STAFF engineer. Probe cross-team technical strategy, ambiguous large-scale design, and organisational impact.",
+}
+
+
+# Languages the interview can be held in (ISO 639-1 codes, also used for speech-to-text)
+INTERVIEW_LANGUAGES = {
+    "en": "English",
+    "hi": "Hindi",
+    "es": "Spanish",
+    "de": "German",
+    "fr": "French",
+}
+
+INTERVIEWER_TONES = {
+    "friendly": "Be warm and encouraging. Acknowledge a good point in a few words before moving on, "
+                "and phrase follow-ups as invitations to go deeper.",
+    "neutral": "Be professional and even-handed: no praise or criticism, just clear, direct questions.",
+    "bar_raiser": "You are a tough \"bar raiser\". Be terse and sceptical, challenge claims, and press for "
+                  "specifics, numbers and trade-offs. Never soften a question or hint at the answer.",
+}
+
+
+def _tone_block(tone: str) -> str:
+    return f"\nInterviewer tone: {INTERVIEWER_TONES.get(tone, INTERVIEWER_TONES['neutral'])}\n"
+
+
+def _language_block(language: str, structured: bool = False) -> str:
+    """Ask for output in the interview language; JSON keys and fixed values stay in English."""
+    if not language or language == "en":
+        return ""
+    name = INTERVIEW_LANGUAGES.get(language, language)
+    if structured:
+        return (f"\nThe interview is held in {name}. Write every free-text value in {name}, but keep the JSON "
+                "keys, numbers and fixed values (such as the recommendation) exactly as specified in English.\n")
+    return (f"\nThe interview is held in {name}. Ask your question in {name}, keeping technology names "
+            "and code identifiers as they are.\n")
+
+
+def _interview_profile(difficulty: str, focus_areas: list) -> str:
+    """Describe the target seniority and focus areas for the prompts."""
+    level = DIFFICULTY_LEVELS.get(difficulty, DIFFICULTY_LEVELS["mid"])
+    profile = f"Calibrate every question for {level}"
+    if focus_areas:
+        profile += (
+            "\nThe interview should concentrate on these focus areas: "
+            + ", ".join(focus_areas)
+            + ". Spread the questions across them, always grounded in the candidate's resume."
+        )
+    return profile
+
+
+def _job_description_block(job_description: str) -> str:
+    """Describe the target role so questions probe the gaps between resume and JD."""
+    if not job_description:
+        return ""
+    return f"""
+The candidate is preparing for a specific role. Target job description:
+{job_description[:4000]}
+
+Prioritise requirements from the job description that the resume does NOT clearly demonstrate,
+and stress-test resume claims the role depends on. Name the requirement or resume item you are probing.
+"""
 
-load_dotenv()
 
-client = Groq(api_key=os.getenv("GROQ_API_KEY"))
-MODEL = "llama-3.3-70b-versatile"
+def _resume_topics_block(resume_topics: dict) -> str:
+    """Describe the skills and projects the candidate confirmed in the upload review step."""
+    if not resume_topics:
+        return ""
+    block = "\nThe candidate reviewed the topics extracted from their resume."
+    if resume_topics.get("skills"):
+        block += "\nConfirmed skills: " + ", ".join(resume_topics["skills"])
+    if resume_topics.get("projects"):
+        block += "\nConfirmed projects: " + ", ".join(resume_topics["projects"])
+    if resume_topics.get("excluded"):
+        block += (
+            "\nDo NOT ask about these — the candidate marked them as wrong or not relevant: "
+            + ", ".join(resume_topics["excluded"])
+        )
+    return block + "\nDraw your questions from the confirmed skills and projects.\n"
+
+
+def _round_block(interview_round: dict) -> str:
+    """Put the interviewer in character for the current round of a multi-round loop."""
+    if not interview_round:
+        return ""
+    if interview_round.get("opening"):
+        pacing = ("This question OPENS the round: introduce yourself and the round in one short sentence, "
+                  "then ask your first question.")
+    else:
+        pacing = "Stay within this round's brief."
+    return f"""
+This interview is a loop of several rounds. You are {interview_round['persona']}, running the {interview_round['name']} round.
+Round brief: {interview_round['focus']}
+{pacing}
+"""
 
 
-def _ask(prompt: str) -> str:
-    """Send a prompt to the Groq API and return the response text."""
-    response = client.chat.completions.create(
-        model=MODEL,
-        messages=[{"role": "user", "content": prompt}],
-        temperature=0.7,
-        max_tokens=2048,
-    )
-    return response.choices[0].message.content.strip()
+def describe_diagram(diagram: dict) -> str:
+    """Turn a whiteboard sketch into text a model can reason about: components, then connections."""
+    labels = {node["id"]: node["label"] or "(unlabelled)" for node in diagram["nodes"]}
+    lines = ["Components: " + (", ".join(labels.values()) or "none")]
+    for edge in diagram["edges"]:
+        if edge["source"] in labels and edge["target"] in labels:
+            label = f" ({edge['label']})" if edge.get("label") else ""
+            lines.append(f"- {labels[edge['source']]} -> {labels[edge['target']]}{label}")
+    return "\n".join(lines)
+
+
+def _diagram_block(diagram: dict) -> str:
+    if not diagram or not diagram.get("nodes"):
+        return ""
+    return f"""
+While answering, the candidate drew this diagram on a whiteboard (boxes and arrows):
+{describe_diagram(diagram)}
+Treat the diagram as part of the answer: judge whether its components and data flow are sound
+and whether the spoken answer and the diagram agree.
+"""
+
+
+def _reference_block(reference_answer: str) -> str:
+    if not reference_answer:
+        return ""
+    return f"""
+The interviewer's reference answer for this question (what a strong answer covers):
+{reference_answer}
+Use it as a guide to the key points, not a script: credit correct answers that take a different route.
+"""
+
+
+def _rubric_block(rubric: dict) -> str:
+    criteria = ""
+    for criterion in rubric["criteria"]:
+        criteria += f"- {criterion['name']} (weight {criterion['weight']})"
+        criteria += f": {criterion['description']}\n" if criterion["description"] else "\n"
+        for level in criterion["levels"]:
+            criteria += f"    * {level['label']}: {level['description']}\n"
+    return f"""
+Score each of these criteria from 0 to 10. Where levels are listed (best first), pick the one that fits
+the answers best and give a score consistent with it. Justify every score with evidence from the answers.
+{criteria}"""
 
 
 def _parse_json(text: str) -> dict:
-    """Extract JSON from a response that may contain markdown fences."""
+    """Extract JSON from a response that may contain markdown fences or surrounding prose."""
+    text = text.strip()
     if text.startswith("```"):
         text = text.split("\n", 1)[1] if "\n" in text else text[3:]
     if text.endswith("```"):
         text = text[:-3]
     text = text.strip()
-    return json.loads(text)
+    try:
+        return json.loads(text)
+    except json.JSONDecodeError:
+        # Models sometimes wrap the object in a sentence — fall back to the outermost braces
+        start, end = text.find("{"), text.rfind("}")
+        if start == -1 or end <= start:
+            raise
+        return json.loads(text[start:end + 1])
+
+
+class StructuredOutputError(ValueError):
+    """The model kept returning output that does not match the expected schema."""
+
+
+def _ask_structured(
+    prompt: str, task: str, model: Type[BaseModel], finish: Optional[Callable[[dict], dict]] = None,
+) -> dict:
+    """Ask for JSON matching `model`, feeding validation errors back for up to LLM_MAX_ATTEMPTS tries.
+
+    `finish` post-processes the validated result; a ValueError it raises is fed back the same way.
+    """
+    request = prompt
+    error = None
+    for _ in range(LLM_MAX_ATTEMPTS):
+        response = _ask(request, task=task)
+        try:
+            result = model.model_validate(_parse_json(response)).model_dump(exclude_none=True)
+            return finish(result) if finish else result
+        except (json.JSONDecodeError, ValidationError, ValueError) as e:
+            error = e
+            request = f"""{prompt}
+
+Your previous response could not be used:
+{response[:4000]}
+
+It failed validation with this error:
+{str(e)[:1000]}
+
+Return ONLY the corrected JSON object in the exact format requested above, with no other text.
+"""
+    raise StructuredOutputError(f"Invalid {task} output after {LLM_MAX_ATTEMPTS} attempts: {error}")
 
 
 def validate_resume(text: str) -> bool:
@@ -58,14 +241,26 @@ Respond with ONLY the word YES if it is a resume/CV, or NO if it is not.
 Document text:
 {text[:3000]}
 """
-    answer = _ask(prompt).strip().upper()
+    answer = _ask(prompt, task="validate_resume").strip().upper()
     return answer.startswith("YES")
 
 
-def generate_first_question(resume_text: str) -> str:
+def generate_first_question(
+    resume_text: str,
+    difficulty: str = "mid",
+    focus_areas: list = None,
+    job_description: str = "",
+    resume_topics: dict = None,
+    interview_round: dict = None,
+    language: str = "en",
+    tone: str = "neutral",
+) -> str:
     """Generate the first interview question based on resume content."""
     prompt = f"""You are a senior technical interviewer conducting a deep, personalized interview.
 
+{_interview_profile(difficulty, focus_areas)}
+{_job_description_block(job_description)}{_resume_topics_block(resume_topics)}{_round_block(interview_round)}{_tone_block(tone)}{_language_block(language)}
+
 Study the candidate's resume below carefully. Identify the MOST prominent skill, technology, or project they have listed.
 Generate ONE opening interview question that is SPECIFIC to something on their resume — reference the exact technology, project name, or experience they mentioned.
 
@@ -80,25 +275,34 @@ Return ONLY the question text, nothing else.
 Resume:
 {resume_text}
 """
-    return _ask(prompt)
+    return _ask(prompt, task="first_question")
 
 
 
 
-def generate_next_question(
+def _next_question_prompt(
     resume_text: str,
     previous_questions: list,
     previous_answers: list,
     current_question: str,
     current_answer: str,
+    difficulty: str = "mid",
+    focus_areas: list = None,
+    job_description: str = "",
+    resume_topics: dict = None,
+    interview_round: dict = None,
+    language: str = "en",
+    tone: str = "neutral",
 ) -> str:
-    """Generate the next adaptive interview question based on the conversation so far."""
+    """Build the prompt for the next adaptive interview question."""
     prev_qa = ""
     for i, (q, a) in enumerate(zip(previous_questions, previous_answers), 1):
         prev_qa += f"\nQ{i}: {q}\nA{i}: {a}\n"
 
-    prompt = f"""You are a senior technical interviewer conducting a deep, personalized interview.
+    return f"""You are a senior technical interviewer conducting a deep, personalized interview.
 
+{_interview_profile(difficulty, focus_areas)}
+{_job_description_block(job_description)}{_resume_topics_block(resume_topics)}{_round_block(interview_round)}{_tone_block(tone)}{_language_block(language)}
 Candidate's resume:
 {resume_text}
 
@@ -116,7 +320,7 @@ Before generating the next question, ANALYZE the latest answer:
 Based on your analysis:
 - If the answer was WEAK or VAGUE: ask a pointed follow-up that exposes the specific gap or forces them to go deeper on the same topic.
 - If the answer was WRONG: challenge them on the specific mistake with a question that tests the correct concept.
-- If the answer was STRONG: move to a DIFFERENT skill/project from their resume and ask something specific about it.
+- If the answer was STRONG: move to a DIFFERENT skill/project (or focus area) from their resume and ask something specific about it.
 - NEVER repeat a topic that was already covered well.
 
 Rules:
@@ -126,18 +330,312 @@ Rules:
 
 Return ONLY the next question text, nothing else.
 """
-    return _ask(prompt)
+
+
+def generate_next_question(**kwargs) -> str:
+    """Generate the next adaptive interview question based on the conversation so far."""
+    return _ask(_next_question_prompt(**kwargs), task="next_question")
+
+
+def stream_next_question(**kwargs) -> Iterator[str]:
+    """Like generate_next_question, but yield the question text as it is generated."""
+    return provider.stream(_next_question_prompt(**kwargs), task="next_question")
+
+
+def answer_clarification(
+    resume_text: str,
+    question: str,
+    clarification: str,
+    previous_clarifications: list = None,
+    difficulty: str = "mid",
+    interview_round: dict = None,
+    language: str = "en",
+    tone: str = "neutral",
+) -> str:
+    """Answer the candidate's clarifying question about the current question, without giving the answer away."""
+    asked = "".join(
+        f"\nCandidate: {c['question']}\nInterviewer: {c['answer']}" for c in previous_clarifications or []
+    )
+    prompt = f"""You are a senior technical interviewer. You just asked the candidate a question, and before
+answering it they asked you to clarify something.
+
+{_interview_profile(difficulty, [])}
+{_round_block(interview_round)}{_tone_block(tone)}{_language_block(language)}
+Candidate's resume:
+{resume_text}
+
+Your question: {question}
+{f"Clarifications so far:{asked}" if asked else ""}
+
+Candidate's clarifying question: {clarification}
+
+Reply as the interviewer, out loud, in 1-3 sentences:
+- Resolve the ambiguity: state the assumption to make, narrow the scope, or rephrase the question more plainly.
+- If a detail is genuinely open, say the candidate may choose and should state their assumption.
+- NEVER answer the question itself, hint at the expected answer, or ask a new question.
+
+Return ONLY your reply, nothing else.
+"""
+    return _ask(prompt, task="clarification")
+
+
+def generate_coding_question(
+    resume_text: str,
+    previous_questions: list,
+    difficulty: str = "mid",
+    focus_areas: list = None,
+    job_description: str = "",
+    resume_topics: dict = None,
+    interview_round: dict = None,
+    language: str = "en",
+    tone: str = "neutral",
+) -> dict:
+    """Generate a live coding exercise with starter code and test cases for the sandboxed runner."""
+    asked = "\n".join(f"- {q}" for q in previous_questions) or "None"
+    prompt = f"""You are a senior technical interviewer. The next part of the interview is a LIVE CODING exercise:
+the candidate implements ONE function in an in-browser editor (Python or JavaScript) while explaining their approach out loud.
+
+{_interview_profile(difficulty, focus_areas)}
+{_job_description_block(job_description)}{_resume_topics_block(resume_topics)}{_round_block(interview_round)}{_tone_block(tone)}{_language_block(language, structured=True)}
+Candidate's resume:
+{resume_text}
+
+Questions already asked:
+{asked}
+
+Design a self-contained problem that:
+- Relates to the domain of the candidate's resume (e.g. processing data like the systems they built), not a famous puzzle.
+- Can be solved in 15-25 lines in about 15 minutes.
+- Takes and returns only JSON values (numbers, strings, booleans, null, arrays, objects) — no classes, I/O or randomness.
+- Has one unambiguous correct output per input.
+
+Write the prompt as you would say it to the candidate: 2-4 sentences stating the task, the inputs, the output and one example.
+Give 5-8 test cases: the first two are simple examples shown to the candidate, the rest cover edge cases
+(empty input, duplicates, boundaries). Double-check every expected value.
+
+Return ONLY valid JSON in this exact format:
+{{
+  "prompt": "<the problem statement>",
+  "function_name": "<camelCase identifier, valid in both Python and JavaScript>",
+  "starter_code": {{
+    "python": "def <function_name>(<params>):\n    # your code here\n    pass\n",
+    "javascript": "function <function_name>(<params>) {{\n  // your code here\n}}\n"
+  }},
+  "tests": [
+    {{"args": [<argument 1>, <argument 2>], "expected": <return value>}}
+  ]
+}}
+"""
+    return _ask_structured(prompt, "coding_question", CodingQuestion)
+
+
+def evaluate_answer(
+    resume_text: str,
+    question: str,
+    answer: str,
+    difficulty: str = "mid",
+    diagram: dict = None,
+    language: str = "en",
+    reference_answer: str = "",
+) -> dict:
+    """Score a single answer on technical depth, clarity, structure and relevance."""
+    level = DIFFICULTY_LEVELS.get(difficulty, DIFFICULTY_LEVELS["mid"])
+    prompt = f"""You are a senior technical interviewer scoring ONE answer from a live interview.
+Judge the answer by the bar expected of {level}
+
+Candidate's resume (for context only):
+{resume_text}
+
+Question: {question}
+Answer: {answer}
+{_reference_block(reference_answer)}{_diagram_block(diagram)}{_language_block(language, structured=True)}
+Score the answer on each criterion from 0 to 10 (decimals allowed):
+- technical_score: correctness and depth of the technical content
+- clarity_score: how clearly and concisely the candidate communicated
+- structure_score: whether the answer was organised logically (context, approach, result)
+- relevance_score: how directly the answer addressed the question that was asked
+
+Be strict. A vague or textbook answer should not score above 5 on technical depth.
+
+Return ONLY valid JSON in this exact format:
+{{
+  "technical_score": <number 0-10>,
+  "clarity_score": <number 0-10>,
+  "structure_score": <number 0-10>,
+  "relevance_score": <number 0-10>,
+  "strengths": "<one sentence on what the answer did well>",
+  "weaknesses": "<one sentence on what was missing or wrong>",
+  "improvement_tip": "<one concrete tip to make this answer stronger>"
+}}
+"""
+    return _ask_structured(prompt, "evaluation", EvaluationScore)
+
+
+def evaluate_coding_answer(
+    resume_text: str,
+    question: str,
+    explanation: str,
+    code: str,
+    code_language: str,
+    test_results: dict,
+    difficulty: str = "mid",
+    language: str = "en",
+) -> dict:
+    """Score a live coding answer on correctness (from the test run) and the reasoning behind it."""
+    level = DIFFICULTY_LEVELS.get(difficulty, DIFFICULTY_LEVELS["mid"])
+    failures = "\n".join(
+        f"- args {json.dumps(case['args'])}: expected {json.dumps(case['expected'])}, "
+        + (f"error {case['error']}" if case["error"] else f"got {json.dumps(case['output'])}")
+        for case in test_results["cases"] if not case["passed"]
+    )
+    prompt = f"""You are a senior technical interviewer scoring ONE live coding answer.
+Judge it by the bar expected of {level}
+
+Candidate's resume (for context only):
+{resume_text}
+
+Problem: {question}
+
+Code ({code_language}):
+{code}
+
+Spoken explanation given while coding:
+{explanation or "(none)"}
+
+Automated tests: {test_results["passed"]} of {test_results["total"]} passed.
+{f"Run error: {test_results['error']}" if test_results.get("error") else ""}
+{f"Failing cases:{chr(10)}{failures}" if failures else ""}
+{_language_block(language, structured=True)}
+Score from 0 to 10 (decimals allowed):
+- correctness_score: does the code solve the problem? Anchor this on the test results.
+- reasoning_score: did the explanation justify the approach, complexity and edge cases?
+- technical_score: overall quality of the solution (approach, complexity, idiomatic code)
+- clarity_score: how clearly they explained while coding
+- structure_score: how readable and well organised the code is
+- relevance_score: whether they solved the problem that was asked
+
+Return ONLY valid JSON in this exact format:
+{{
+  "correctness_score": <number 0-10>,
+  "reasoning_score": <number 0-10>,
+  "technical_score": <number 0-10>,
+  "clarity_score": <number 0-10>,
+  "structure_score": <number 0-10>,
+  "relevance_score": <number 0-10>,
+  "strengths": "<one sentence on what the solution and explanation did well>",
+  "weaknesses": "<one sentence on bugs, missed edge cases or gaps in reasoning>",
+  "improvement_tip": "<one concrete tip to make this answer stronger>"
+}}
+"""
+    return _ask_structured(prompt, "coding_evaluation", EvaluationScore)
 
 
 def generate_final_report(
     resume_text: str,
     questions: list,
     answers: list,
+    difficulty: str = "mid",
+    job_description: str = "",
+    answer_modes: list = None,
+    previous_attempt: dict = None,
+    rounds: list = None,
+    language: str = "en",
+    rubric: dict = None,
 ) -> dict:
-    """Generate the final evaluation report based purely on interview answers."""
+    """Generate the final evaluation report based purely on interview answers.
+
+    The model scores each criterion of `rubric` (see services/rubrics.py; the built-in
+    one by default) and the overall_score and hire_recommendation are derived from
+    those scores, so the report carries a per-criterion `criteria` breakdown.
+
+    `previous_attempt` is set for practice sessions started from an earlier report:
+    {"overall_score", "weak_areas", "retried": [{"question", "answer"}]}. The report
+    then also says whether the candidate improved on those topics.
+
+    `rounds` ([{"name", "questions"}]) splits a multi-round loop so each round is scored
+    on its own and hire_recommendation becomes the aggregate across rounds.
+    """
+    rubric = rubric or DEFAULT_RUBRIC
+    scale = " / ".join(recommendation_labels(rubric))
+    level = DIFFICULTY_LEVELS.get(difficulty, DIFFICULTY_LEVELS["mid"])
+    answer_modes = answer_modes or []
+    # Question numbers that open each round, for the transcript headings
+    round_starts = {}
+    first_question = 1
+    for interview_round in rounds or []:
+        round_starts[first_question] = interview_round["name"]
+        first_question += interview_round["questions"]
+
     qa_text = ""
     for i, (q, a) in enumerate(zip(questions, answers), 1):
-        qa_text += f"\nQuestion {i}: {q}\nAnswer {i}: {a}\n"
+        if i in round_starts:
+            qa_text += f"\n--- {round_starts[i]} round ---\n"
+        typed = " (typed)" if i <= len(answer_modes) and answer_modes[i - 1] == "text" else ""
+        qa_text += f"\nQuestion {i}: {q}\nAnswer {i}{typed}: {a}\n"
+
+    rounds_instructions = ""
+    rounds_field = ""
+    if rounds:
+        rounds_instructions = f"""
+The interview was a loop of {len(rounds)} rounds: {", ".join(r["name"] for r in rounds)}.
+Score each round separately (0-100) with its own recommendation, judged by that round's purpose.
+The criteria scores are the aggregate judgement across all rounds, as a hiring committee would make it.
+"""
+        rounds_field = f""",
+  "rounds": [
+    {{"name": "<round name>", "score": <number 0-100>, "recommendation": "<{scale}>", "summary": "<one sentence on this round>"}}
+  ]"""
+
+    answer_mode_note = ""
+    if "text" in answer_modes:
+        answer_mode_note = (
+            "\nAnswers marked (typed) were typed rather than spoken. Do not judge them on verbal delivery, "
+            "and mention in the summary which answers were typed.\n"
+        )
+
+    # Role fit is only meaningful when the interview targeted a job description
+    role_fit_instructions = ""
+    role_fit_field = ""
+    if job_description:
+        role_fit_instructions = f"""
+The candidate was interviewed for this target role:
+{job_description[:4000]}
+
+For role_fit, extract the key requirements from the job description and put each one in exactly one list:
+- demonstrated: the answers showed solid, specific knowledge of it
+- weak: it came up, but the answers were shallow, vague or wrong
+- not_covered: it never came up in the interview
+"""
+        role_fit_field = """,
+  "role_fit": {
+    "demonstrated": ["<requirement>"],
+    "weak": ["<requirement>"],
+    "not_covered": ["<requirement>"]
+  }"""
+
+    # Practice sessions are compared against the attempt they were started from
+    improvement_instructions = ""
+    improvement_field = ""
+    if previous_attempt:
+        retried_text = ""
+        for item in previous_attempt.get("retried", []):
+            retried_text += f"\nQuestion: {item['question']}\nPrevious answer: {item['answer']}\n"
+        if retried_text:
+            retried_text = "Questions re-asked in this session, with the earlier answers:" + retried_text
+        improvement_instructions = f"""
+This was a practice session following an earlier interview. In that earlier attempt the candidate
+scored {previous_attempt['overall_score']}/100 and was weak at: {previous_attempt['weak_areas']}
+{retried_text}
+For improvement, compare this session's answers with the earlier attempt on each of those topics
+(or re-asked questions) and give each one a verdict of improved, unchanged or declined.
+"""
+        improvement_field = """,
+  "improvement": {
+    "summary": "<1-2 sentences on how the candidate progressed since the earlier attempt>",
+    "topics": [
+      {"topic": "<weak area or re-asked question topic>", "verdict": "<improved / unchanged / declined>", "note": "<one sentence of evidence>"}
+    ]
+  }"""
 
     prompt = f"""You are a senior technical interviewer writing a final evaluation report.
 
@@ -146,25 +644,36 @@ The candidate claimed the following skills on their resume:
 
 Here is the full interview transcript:
 {qa_text}
-
+{answer_mode_note}
 Evaluate the candidate SOLELY based on their interview answers (not the resume itself).
 Judge how well they actually demonstrated knowledge of what they claimed on their resume.
-The overall_score should be out of 100.
-
-Score criteria:
-- Technical depth and accuracy of answers (0-25 points)
-- Clarity and communication (0-25 points)
-- Practical understanding vs theoretical (0-25 points)
-- Consistency across questions and honesty (0-25 points)
-
+The candidate was interviewed as {level}
+Score relative to that level.
+{role_fit_instructions}{improvement_instructions}{rounds_instructions}{_language_block(language, structured=True)}{_rubric_block(rubric)}
 Return ONLY valid JSON in this exact format:
 {{
-  "overall_score": <number 0-100>,
+  "criteria": [
+    {{"name": "<criterion name, exactly as listed>", "score": <number 0-10>, "level": "<the level that fits best, or empty if none are listed>", "justification": "<one or two sentences citing the answers>"}}
+  ],
+  "resume_summary": "<1-2 sentence factual summary of the candidate's background as stated on the resume>",
   "summary": "<2-3 sentence overall assessment of the candidate based on their interview performance>",
   "strong_areas": "<skills/topics where the candidate demonstrated genuine knowledge>",
   "weak_areas": "<skills/topics where the candidate struggled or seemed unfamiliar despite listing on resume>",
-  "hire_recommendation": "<Strongly Recommend / Recommend / Consider / Do Not Recommend>",
-  "improvement_roadmap": "<specific actionable steps to improve their weak areas>"
+  "improvement_roadmap": "<specific actionable steps to improve their weak areas>"{role_fit_field}{improvement_field}{rounds_field}
 }}
 """
-    return _parse_json(_ask(prompt))
+
+    def score(report: dict) -> dict:
+        labels = recommendation_labels(rubric)
+        for interview_round in report.get("rounds", []):
+            # A label off the rubric's scale falls back to the one the round's score earns
+            if interview_round["recommendation"] not in labels:
+                interview_round["recommendation"] = recommendation_for(rubric, interview_round["score"])
+        return {
+            **report,
+            **apply_rubric(rubric, report["criteria"]),
+            # Enough of the rubric for the report to explain its scale later, even if the rubric is edited
+            "rubric": {"name": rubric["name"], "recommendations": rubric["recommendations"]},
+        }
+
+    return _ask_structured(prompt, "final_report", FinalReport, finish=score)
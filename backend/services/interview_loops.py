@@ -0,0 +1,73 @@
+from typing import List
+
+# Each round type has its own interviewer, brief, question budget and time limit
+ROUND_TYPES = {
+    "screening": {
+        "name": "Recruiter Screen",
+        "persona": "Sam, a friendly technical recruiter",
+        "focus": "A short screening call. Ask broad questions about the candidate's background, what they "
+                 "worked on most recently, why they are looking, and what they want next. Keep it conversational "
+                 "and avoid deep technical detail.",
+        "questions": 2,
+        "time_limit_minutes": 10,
+    },
+    "technical": {
+        "name": "Technical Deep Dive",
+        "persona": "Priya, a senior engineer on the hiring team",
+        "focus": "A hands-on technical round. Dig into the technologies and projects on the resume: how things "
+                 "work under the hood, debugging, correctness and trade-offs. Follow up hard on vague answers.",
+        "questions": 3,
+        "time_limit_minutes": 20,
+    },
+    "system_design": {
+        "name": "System Design",
+        "persona": "Alex, a staff engineer",
+        "focus": "A system design round. Pose one design problem close to the candidate's domain, then follow "
+                 "up on data model, APIs, scaling, failure modes and the trade-offs behind each choice.",
+        "questions": 2,
+        "time_limit_minutes": 20,
+    },
+    "behavioural": {
+        "name": "Behavioural",
+        "persona": "Jordan, an engineering manager",
+        "focus": "A behavioural round. Ask for specific past situations from the resume — conflict, ownership, "
+                 "failure, influence, collaboration — and push for a clear situation, action and result.",
+        "questions": 2,
+        "time_limit_minutes": 15,
+    },
+}
+
+INTERVIEW_LOOPS = {
+    "standard": ["screening", "technical", "behavioural"],
+    "onsite": ["screening", "technical", "system_design", "behavioural"],
+}
+
+
+def build_rounds(loop: str) -> List[dict]:
+    """Create the per-session round list for a loop; `started_at` is set when a round begins."""
+    return [
+        {
+            "type": round_type,
+            "name": ROUND_TYPES[round_type]["name"],
+            "persona": ROUND_TYPES[round_type]["persona"],
+            "focus": ROUND_TYPES[round_type]["focus"],
+            "questions": ROUND_TYPES[round_type]["questions"],
+            "time_limit": ROUND_TYPES[round_type]["time_limit_minutes"] * 60,
+            "started_at": None,
+        }
+        for round_type in INTERVIEW_LOOPS[loop]
+    ]
+
+
+def round_index(rounds: List[dict], question_number: int) -> int:
+    """Index of the round that the 1-based question number falls in."""
+    asked = 0
+    for i, interview_round in enumerate(rounds):
+        asked += interview_round["questions"]
+        if question_number <= asked:
+            return i
+    return len(rounds) - 1
+
+
+def questions_before(rounds: List[dict], index: int) -> int:
+    return sum(r["questions"] for r in rounds[:index])
@@ -0,0 +1,56 @@
+import time
+
+from services.document_store import DocumentStore, InMemoryDocumentStore, SQLiteDocumentStore
+from services.session_store import SESSION_STORE
+
+# Invitations are keyed by their link token and listed newest first
+TABLE = "invitations"
+SORT_KEY = "created_at"
+
+
+class InMemoryInvitationStore(InMemoryDocumentStore):
+    """Recruiter invitations, kept until the candidate opens the link and claims it for a session."""
+
+    def __init__(self):
+        super().__init__(TABLE, SORT_KEY, descending=True)
+
+    def claim(self, token: str, session_id: str) -> bool:
+        """Tie an unused invitation to the session it started; False if it was already used."""
+        with self._lock:
+            invitation = self._docs.get(token)
+            if not invitation or invitation.get("session_id"):
+                return False
+            invitation["session_id"] = session_id
+            invitation["used_at"] = time.time()
+            return True
+
+
+class SQLiteInvitationStore(SQLiteDocumentStore):
+    """Recruiter invitations, kept until the candidate opens the link and claims it for a session."""
+
+    def __init__(self):
+        super().__init__(TABLE, SORT_KEY, descending=True)
+
+    def claim(self, token: str, session_id: str) -> bool:
+        """Tie an unused invitation to the session it started; False if it was already used."""
+        # A single conditional UPDATE, so two candidates racing on one link can't both win
+        with self._connect() as conn:
+            cursor = conn.execute(
+                f"""UPDATE {self.table}
+                    SET data = json_set(data, '$.session_id', ?, '$.used_at', ?)
+                    WHERE id = ? AND json_extract(data, '$.session_id') IS NULL""",
+                (session_id, time.time(), token),
+            )
+            return cursor.rowcount == 1
+
+
+def get_invitation_store() -> DocumentStore:
+    """Build the store matching SESSION_STORE, so invitations live next to their sessions.
+
+    Besides the DocumentStore methods it has `claim(token, session_id)`.
+    """
+    if SESSION_STORE == "memory":
+        return InMemoryInvitationStore()
+    if SESSION_STORE == "sqlite":
+        return SQLiteInvitationStore()
+    raise ValueError(f"Unknown SESSION_STORE: {SESSION_STORE}. Use 'sqlite' or 'memory'.")
@@ -0,0 +1,280 @@
+import itertools
+import json
+import os
+import threading
+from abc import ABC, abstractmethod
+from typing import Iterator
+
+import httpx
+from dotenv import load_dotenv
+
+load_dotenv()
+
+LLM_PROVIDER = os.getenv("LLM_PROVIDER", "groq").lower()
+LLM_MODEL = os.getenv("LLM_MODEL", "")
+LLM_BASE_URL = os.getenv("LLM_BASE_URL", "http://localhost:11434/v1")
+LLM_API_KEY = os.getenv("LLM_API_KEY", "")
+LLM_MOCK_SCRIPT = os.getenv("LLM_MOCK_SCRIPT", "")
+# Total tries (first call plus repairs) for responses that must match a schema
+LLM_MAX_ATTEMPTS = max(1, int(os.getenv("LLM_MAX_ATTEMPTS", "3")))
+
+TEMPERATURE = 0.7
+MAX_TOKENS = 2048
+
+
+class LLMProvider(ABC):
+    """A chat model that turns a single user prompt into a text completion."""
+
+    @abstractmethod
+    def complete(self, prompt: str, task: str) -> str:
+        """Return the completion for the prompt.
+
+        `task` names the kind of request (e.g. "first_question", "final_report") so
+        providers that don't call a real model can answer appropriately.
+        """
+
+    def stream(self, prompt: str, task: str) -> Iterator[str]:
+        """Yield the completion in chunks as they arrive. Defaults to one chunk."""
+        yield self.complete(prompt, task)
+
+
+class GroqProvider(LLMProvider):
+    """Groq cloud API (the default)."""
+
+    def __init__(self, model: str = LLM_MODEL or "llama-3.3-70b-versatile"):
+        from groq import Groq
+
+        self.client = Groq(api_key=os.getenv("GROQ_API_KEY"))
+        self.model = model
+
+    def complete(self, prompt: str, task: str) -> str:
+        response = self.client.chat.completions.create(
+            model=self.model,
+            messages=[{"role": "user", "content": prompt}],
+            temperature=TEMPERATURE,
+            max_tokens=MAX_TOKENS,
+        )
+        return response.choices[0].message.content.strip()
+
+    def stream(self, prompt: str, task: str) -> Iterator[str]:
+        response = self.client.chat.completions.create(
+            model=self.model,
+            messages=[{"role": "user", "content": prompt}],
+            temperature=TEMPERATURE,
+            max_tokens=MAX_TOKENS,
+            stream=True,
+        )
+        for chunk in response:
+            text = chunk.choices[0].delta.content if chunk.choices else None
+            if text:
+                yield text
+
+
+class OpenAICompatibleProvider(LLMProvider):
+    """Any server speaking the OpenAI chat completions API (Ollama, llama.cpp, vLLM...)."""
+
+    def __init__(
+        self,
+        base_url: str = LLM_BASE_URL,
+        model: str = LLM_MODEL or "llama3.1",
+        api_key: str = LLM_API_KEY,
+    ):
+        self.base_url = base_url.rstrip("/")
+        self.model = model
+        self.headers = {"Authorization": f"Bearer {api_key}"} if api_key else {}
+
+    def complete(self, prompt: str, task: str) -> str:
+        response = httpx.post(
+            f"{self.base_url}/chat/completions",
+            headers=self.headers,
+            json={
+                "model": self.model,
+                "messages": [{"role": "user", "content": prompt}],
+                "temperature": TEMPERATURE,
+                "max_tokens": MAX_TOKENS,
+            },
+            timeout=120,
+        )
+        response.raise_for_status()
+        return response.json()["choices"][0]["message"]["content"].strip()
+
+    def stream(self, prompt: str, task: str) -> Iterator[str]:
+        with httpx.stream(
+            "POST",
+            f"{self.base_url}/chat/completions",
+            headers=self.headers,
+            json={
+                "model": self.model,
+                "messages": [{"role": "user", "content": prompt}],
+                "temperature": TEMPERATURE,
+                "max_tokens": MAX_TOKENS,
+                "stream": True,
+            },
+            timeout=120,
+        ) as response:
+            response.raise_for_status()
+            # Server-sent events: one "data: {json}" line per chunk, ending with "data: [DONE]"
+            for line in response.iter_lines():
+                if not line.startswith("data:"):
+                    continue
+                payload = line[len("data:"):].strip()
+                if payload == "[DONE]":
+                    break
+                choices = json.loads(payload).get("choices") or [{}]
+                text = choices[0].get("delta", {}).get("content")
+                if text:
+                    yield text
+
+
+# Canned responses for the mock provider, keyed by task. Lists are served in order and wrap around.
+DEFAULT_MOCK_SCRIPT = {
+    "validate_resume": ["YES"],
+    "first_question": [
+        "Your resume mentions building a REST API — how did you design its authentication and why?",
+    ],
+    "next_question": [
+        "How did you handle database migrations when that schema changed in production?",
+        "Walk me through how you would find the cause of a slow endpoint in that service.",
+        "What trade-offs did you weigh when choosing your caching strategy?",
+        "Describe a bug you shipped to production and how you found and fixed it.",
+        "How would you change the design if traffic grew tenfold?",
+    ],
+    "clarification": [
+        "Good question. Assume a single region and a few thousand requests per second; anything else is your call, just state it.",
+    ],
+    "evaluation": [
+        {
+            "technical_score": 7,
+            "clarity_score": 8,
+            "structure_score": 6,
+            "relevance_score": 8,
+            "strengths": "Gave a concrete example from real project work.",
+            "weaknesses": "Skipped over how failure cases were handled.",
+            "improvement_tip": "Close the answer with the measurable outcome of your decision.",
+        },
+    ],
+    "coding_question": [
+        {
+            "prompt": "Given a list of request latencies in milliseconds and a threshold, return how many "
+                      "consecutive runs of at least three requests exceeded the threshold. For example, "
+                      "[120, 300, 310, 305, 90] with threshold 250 has one such run.",
+            "function_name": "countSlowRuns",
+            "starter_code": {
+                "python": "def countSlowRuns(latencies, threshold):\n    # your code here\n    pass\n",
+                "javascript": "function countSlowRuns(latencies, threshold) {\n  // your code here\n}\n",
+            },
+            "tests": [
+                {"args": [[120, 300, 310, 305, 90], 250], "expected": 1},
+                {"args": [[300, 300, 100, 300, 300, 300, 300], 250], "expected": 1},
+                {"args": [[], 100], "expected": 0},
+                {"args": [[500, 500, 500, 10, 500, 500, 500], 100], "expected": 2},
+                {"args": [[250, 250, 250], 250], "expected": 0},
+            ],
+        },
+    ],
+    "coding_evaluation": [
+        {
+            "correctness_score": 8,
+            "reasoning_score": 7,
+            "technical_score": 7,
+            "clarity_score": 7,
+            "structure_score": 8,
+            "relevance_score": 9,
+            "strengths": "Single pass over the input with a clear running counter.",
+            "weaknesses": "Did not mention the empty-input case until the tests caught it.",
+            "improvement_tip": "State the edge cases you will handle before you start typing.",
+        },
+    ],
+    "final_report": [
+        {
+            "criteria": [
+                {"name": "Technical depth", "score": 7, "level": "Solid",
+                 "justification": "Explained the API design choices accurately but stayed general on scaling."},
+                {"name": "Communication", "score": 8, "level": "Strong",
+                 "justification": "Answers were structured and easy to follow, with clear trade-offs."},
+                {"name": "Practical understanding", "score": 7, "level": "Solid",
+                 "justification": "Drew on real project work, though failure handling stayed hypothetical."},
+                {"name": "Consistency and honesty", "score": 7, "level": "Solid",
+                 "justification": "Claims matched across questions; admitted gaps on incident response."},
+            ],
+            "resume_summary": "Backend developer with three years of Python and REST API experience "
+                              "and a couple of personal full-stack projects.",
+            "summary": "The candidate explained their projects clearly and showed solid practical experience. "
+                       "Answers were thinner on scaling and failure handling.",
+            "strong_areas": "API design, debugging workflow, communicating trade-offs",
+            "weak_areas": "Scaling strategy, production incident handling",
+            "improvement_roadmap": "Practise explaining a system design end to end, including how it fails "
+                                   "and how it scales.",
+            "role_fit": {
+                "demonstrated": ["REST API design"],
+                "weak": ["Scaling distributed systems"],
+                "not_covered": ["Kubernetes"],
+            },
+            "improvement": {
+                "summary": "Answers on scaling were more concrete than last time; incident handling is still thin.",
+                "topics": [
+                    {"topic": "Scaling strategy", "verdict": "improved",
+                     "note": "Named specific bottlenecks and how to measure them."},
+                    {"topic": "Production incident handling", "verdict": "unchanged",
+                     "note": "Still no clear rollback or communication plan."},
+                ],
+            },
+            "rounds": [
+                {"name": "Recruiter Screen", "score": 80, "recommendation": "Recommend",
+                 "summary": "Clear, well-motivated account of recent work."},
+                {"name": "Technical Deep Dive", "score": 68, "recommendation": "Consider",
+                 "summary": "Solid on API design, thin on scaling."},
+                {"name": "Behavioural", "score": 74, "recommendation": "Recommend",
+                 "summary": "Good ownership examples with measurable results."},
+            ],
+        },
+    ],
+}
+
+
+OPTIONAL_REPORT_FIELDS = ("role_fit", "improvement", "rounds")
+
+
+class MockProvider(LLMProvider):
+    """Deterministic offline provider for development and end-to-end tests.
+
+    Responses come from DEFAULT_MOCK_SCRIPT, or from the JSON file named by
+    LLM_MOCK_SCRIPT, which may override any task's list of responses.
+    """
+
+    def __init__(self, script_path: str = LLM_MOCK_SCRIPT):
+        script = dict(DEFAULT_MOCK_SCRIPT)
+        if script_path:
+            with open(script_path, encoding="utf-8") as f:
+                script.update(json.load(f))
+        self._cycles = {task: itertools.cycle(responses) for task, responses in script.items()}
+        self._lock = threading.Lock()
+
+    def complete(self, prompt: str, task: str) -> str:
+        with self._lock:
+            cycle = self._cycles.get(task)
+            response = next(cycle) if cycle else ""
+        if isinstance(response, dict):
+            # Only include optional report sections the prompt asked for, like a real model would
+            response = {
+                key: value for key, value in response.items()
+                if key not in OPTIONAL_REPORT_FIELDS or f'"{key}"' in prompt
+            }
+            return json.dumps(response)
+        return response
+
+    def stream(self, prompt: str, task: str) -> Iterator[str]:
+        # Word-sized chunks so clients exercise the same incremental path as a real model
+        for word in self.complete(prompt, task).split(" "):
+            yield word + " "
+
+
+def get_llm_provider() -> LLMProvider:
+    """Build the provider selected by the LLM_PROVIDER env var (groq | openai | mock)."""
+    if LLM_PROVIDER == "groq":
+        return GroqProvider()
+    if LLM_PROVIDER == "openai":
+        return OpenAICompatibleProvider()
+    if LLM_PROVIDER == "mock":
+        return MockProvider()
+    raise ValueError(f"Unknown LLM_PROVIDER: {LLM_PROVIDER}. Use 'groq', 'openai' or 'mock'.")
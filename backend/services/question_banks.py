@@ -0,0 +1,121 @@
+import csv
+import io
+import json
+import os
+import random
+from typing import List
+
+# A bank is {"name", "description", "questions": [{"question", "tags", "difficulty", "reference_answer"}]}.
+# It imports from and exports to JSON (that shape, or a bare list of questions) and CSV
+# (one question per row, tags separated by semicolons).
+CSV_COLUMNS = ("question", "tags", "difficulty", "reference_answer")
+TAG_SEPARATOR = ";"
+
+
+def _clean_question(question: dict) -> dict:
+    tags = question.get("tags") or []
+    if isinstance(tags, str):
+        tags = tags.split(TAG_SEPARATOR)
+    return {
+        "question": str(question.get("question") or "").strip(),
+        "tags": list(dict.fromkeys(str(tag).strip() for tag in tags if str(tag).strip())),
+        "difficulty": str(question.get("difficulty") or "").strip().lower() or None,
+        "reference_answer": str(question.get("reference_answer") or "").strip(),
+    }
+
+
+def normalize_bank(bank: dict) -> dict:
+    """Trim text, split tag strings and drop blank questions, before schema validation."""
+    return {
+        "name": str(bank.get("name") or "").strip(),
+        "description": str(bank.get("description") or "").strip(),
+        "questions": [
+            q for q in (_clean_question(q) for q in bank.get("questions") or [] if isinstance(q, dict))
+            if q["question"]
+        ],
+    }
+
+
+def parse_bank_file(file_bytes: bytes, filename: str) -> dict:
+    """Read an uploaded .json or .csv bank. The file name stands in for a missing bank name."""
+    extension = os.path.splitext(filename)[1].lower()
+    try:
+        text = file_bytes.decode("utf-8-sig")
+    except UnicodeDecodeError:
+        raise ValueError("Question bank files must be UTF-8 text.")
+
+    if extension == ".json":
+        try:
+            data = json.loads(text)
+        except json.JSONDecodeError as e:
+            raise ValueError(f"Invalid JSON: {e.msg} (line {e.lineno}).")
+        if isinstance(data, list):
+            data = {"questions": data}
+        if not isinstance(data, dict):
+            raise ValueError("A JSON bank must be an object with a 'questions' list, or a list of questions.")
+    elif extension == ".csv":
+        reader = csv.DictReader(io.StringIO(text))
+        if not reader.fieldnames or "question" not in [f.strip().lower() for f in reader.fieldnames]:
+            raise ValueError(f"A CSV bank needs a header row with a 'question' column ({', '.join(CSV_COLUMNS)}).")
+        data = {
+            "questions": [
+                {(key or "").strip().lower(): value for key, value in row.items()} for row in reader
+            ]
+        }
+    else:
+        raise ValueError("Unsupported file type. Import a .json or .csv question bank.")
+
+    bank = normalize_bank(data)
+    bank["name"] = bank["name"] or os.path.splitext(os.path.basename(filename))[0]
+    return bank
+
+
+def bank_to_json(bank: dict) -> str:
+    return json.dumps(
+        {"name": bank["name"], "description": bank["description"], "questions": bank["questions"]},
+        indent=2,
+        ensure_ascii=False,
+    )
+
+
+def bank_to_csv(bank: dict) -> str:
+    output = io.StringIO()
+    writer = csv.DictWriter(output, fieldnames=CSV_COLUMNS)
+    writer.writeheader()
+    for question in bank["questions"]:
+        writer.writerow({
+            "question": question["question"],
+            "tags": TAG_SEPARATOR.join(question["tags"]),
+            "difficulty": question["difficulty"] or "",
+            "reference_answer": question["reference_answer"],
+        })
+    return output.getvalue()
+
+
+def pick_questions(bank: dict, count: int, difficulty: str, focus_areas: List[str]) -> List[dict]:
+    """Choose `count` questions, preferring ones at the session's level and tagged with its focus areas.
+
+    Within each preference tier the order is random, so repeat candidates don't always get the same set.
+    """
+    focus = {area.lower() for area in focus_areas}
+
+    def tier(question: dict) -> int:
+        if question["difficulty"] not in (None, difficulty):
+            return 2
+        return 0 if focus & {tag.lower() for tag in question["tags"]} else 1
+
+    shuffled = random.sample(bank["questions"], len(bank["questions"]))
+    return sorted(shuffled, key=tier)[:count]
+
+
+def spread_slots(total_questions: int, count: int, reserved: List[int]) -> List[int]:
+    """Question numbers for `count` bank questions, spaced evenly through the interview.
+
+    The opening question stays generated (it sets the scene from the resume) unless the
+    bank has to fill every slot, and reserved slots (the coding exercise) are skipped.
+    """
+    free = [n for n in range(2, total_questions + 1) if n not in reserved]
+    if count > len(free) and 1 not in reserved:
+        free = [1] + free
+    count = min(count, len(free))
+    return [free[(2 * i + 1) * len(free) // (2 * count)] for i in range(count)]
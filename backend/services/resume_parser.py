@@ -1,18 +1,62 @@
 import io
+import os
+import re
+
 import pdfplumber
 from docx import Document
+from docx.oxml.ns import qn
+from docx.table import Table
+from dotenv import load_dotenv
+
+load_dotenv()
+
+# Optional OCR for scanned (image-only) PDFs: none | tesseract (pip install pytesseract + tesseract binary)
+RESUME_OCR = os.getenv("RESUME_OCR", "none").lower()
+
+# Heading keywords (lower-case) that start each structured section
+SECTION_HEADINGS = {
+    "skills": ("skills", "technical skills", "core skills", "key skills", "technologies", "tech stack",
+               "tools", "competencies", "core competencies"),
+    "experience": ("experience", "work experience", "professional experience", "employment",
+                   "employment history", "work history", "career history"),
+    "projects": ("projects", "personal projects", "key projects", "academic projects", "side projects"),
+    "education": ("education", "academic background", "qualifications", "education and training"),
+    "other": ("summary", "profile", "objective", "professional summary", "about me", "certifications",
+              "certificates", "awards", "achievements", "publications", "languages", "interests",
+              "volunteering", "references"),
+}
+
+EMAIL_RE = re.compile(r"[\w.+-]+@[\w-]+\.[\w.-]+")
+PHONE_RE = re.compile(r"\+?\d[\d\s().-]{7,}\d")
+LINK_RE = re.compile(r"(?:https?://)?(?:www\.)?(?:linkedin\.com|github\.com|gitlab\.com)/[\w/.-]+", re.I)
+DATE_RANGE_RE = re.compile(
+    r"((?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s*)?\d{4}\s*[-–—to]+\s*"
+    r"((?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s*)?\d{4}|present|current|now)",
+    re.I,
+)
+BULLET_RE = re.compile(r"^\s*(?:[-*•▪◦●‣–]|\d+[.)])\s+")
 
 
 def parse_resume(file_bytes: bytes, filename: str) -> str:
-    """Extract text from a PDF or DOCX resume file."""
+    """Extract text from a PDF, DOCX, plain-text or Markdown resume file."""
     extension = filename.lower().rsplit(".", 1)[-1] if "." in filename else ""
 
     if extension == "pdf":
         return _parse_pdf(file_bytes)
     elif extension in ("docx", "doc"):
         return _parse_docx(file_bytes)
+    elif extension in ("txt", "md"):
+        return _parse_text(file_bytes)
     else:
-        raise ValueError(f"Unsupported file type: .{extension}. Please upload a PDF or DOCX file.")
+        raise ValueError(
+            f"Unsupported file type: .{extension}. Please upload a PDF, DOCX, TXT or Markdown file."
+        )
+
+
+def parse_resume_structured(file_bytes: bytes, filename: str) -> dict:
+    """Extract the resume text plus contact details, skills, experience, projects and education."""
+    text = parse_resume(file_bytes, filename)
+    return {"text": text, **extract_sections(text)}
 
 
 def _parse_pdf(file_bytes: bytes) -> str:
@@ -22,16 +66,163 @@ def _parse_pdf(file_bytes: bytes) -> str:
             page_text = page.extract_text()
             if page_text:
                 text_parts.append(page_text)
-    text = "\n".join(text_parts).strip()
+        text = "\n".join(text_parts).strip()
+        if not text and RESUME_OCR == "tesseract":
+            text = _ocr_pdf(pdf)
     if not text:
-        raise ValueError("Could not extract any text from the PDF. Please ensure it is not image-based.")
+        raise ValueError(
+            "Could not extract any text from the PDF. It looks image-based — upload a text PDF or DOCX, "
+            "or enable OCR on the server (RESUME_OCR=tesseract)."
+        )
     return text
 
 
+def _ocr_pdf(pdf) -> str:
+    import pytesseract
+
+    pages = [pytesseract.image_to_string(page.to_image(resolution=300).original) for page in pdf.pages]
+    return "\n".join(p.strip() for p in pages if p.strip())
+
+
+def _table_lines(table: Table) -> list:
+    """One line per row with the distinct cell texts; nested tables are flattened after their row."""
+    lines = []
+    for row in table.rows:
+        cells = []
+        for cell in row.cells:
+            text = " ".join(p.text.strip() for p in cell.paragraphs if p.text.strip())
+            # Merged cells repeat across the row — keep each once
+            if text and text not in cells:
+                cells.append(text)
+        if cells:
+            lines.append(" | ".join(cells))
+        for cell in row.cells:
+            for nested in cell.tables:
+                lines.extend(_table_lines(nested))
+    return lines
+
+
+def _text_box_lines(element) -> list:
+    """Text boxes and shapes live outside the normal paragraph flow."""
+    boxes = []
+    for box in element.iter(qn("w:txbxContent")):
+        text = "\n".join(
+            "".join(t.text or "" for t in p.iter(qn("w:t")))
+            for p in box.iter(qn("w:p"))
+        ).strip()
+        # Word stores a modern and a legacy copy of each text box
+        if text and text not in boxes:
+            boxes.append(text)
+    return boxes
+
+
 def _parse_docx(file_bytes: bytes) -> str:
     doc = Document(io.BytesIO(file_bytes))
-    text_parts = [para.text for para in doc.paragraphs if para.text.strip()]
+    text_parts = []
+
+    # Contact details are often placed in the page header
+    for section in doc.sections:
+        for para in section.header.paragraphs:
+            if para.text.strip() and para.text not in text_parts:
+                text_parts.append(para.text)
+        for table in section.header.tables:
+            text_parts.extend(_table_lines(table))
+
+    for block in doc.iter_inner_content():
+        if isinstance(block, Table):
+            text_parts.extend(_table_lines(block))
+        elif block.text.strip():
+            text_parts.append(block.text)
+
+    text_parts.extend(_text_box_lines(doc.element.body))
     text = "\n".join(text_parts).strip()
     if not text:
         raise ValueError("Could not extract any text from the DOCX file.")
     return text
+
+
+def _parse_text(file_bytes: bytes) -> str:
+    text = file_bytes.decode("utf-8", errors="replace").replace("\r\n", "\n").strip()
+    if not text:
+        raise ValueError("The text file is empty.")
+    return text
+
+
+def _heading_section(line: str):
+    """Return the section a heading line opens, or None for ordinary lines."""
+    heading = line.strip().lstrip("#").strip().strip("*_:").strip().lower()
+    if not heading or len(heading) > 40:
+        return None
+    for section, names in SECTION_HEADINGS.items():
+        if heading in names:
+            return section
+    return None
+
+
+def _group_entries(lines: list) -> list:
+    """Group a section into entries: a short title line (or two) followed by its details."""
+    entries = []
+    for line in lines:
+        text = BULLET_RE.sub("", line).strip()
+        if entries and (BULLET_RE.match(line) or len(text) > 60):
+            # Bullets and long description lines belong to the entry above
+            entries[-1]["details"].append(text)
+        elif entries and not entries[-1]["details"] and " — " not in entries[-1]["title"]:
+            # A second title line, e.g. "Acme Corp · 2021 – Present" under "Backend Engineer"
+            entries[-1]["title"] += f" — {text}"
+        else:
+            entries.append({"title": text, "details": []})
+    for entry in entries:
+        match = DATE_RANGE_RE.search(entry["title"])
+        entry["dates"] = match.group(0) if match else ""
+    return entries
+
+
+def _split_skills(lines: list) -> list:
+    skills = []
+    for line in lines:
+        line = BULLET_RE.sub("", line)
+        # "Languages: Python, Go" — the label is a category, not a skill
+        if ":" in line:
+            line = line.split(":", 1)[1]
+        for skill in re.split(r"[,|;•·/]|\s{2,}", line):
+            skill = skill.strip(" .*_")
+            if skill and len(skill) <= 40 and skill.lower() not in (s.lower() for s in skills):
+                skills.append(skill)
+    return skills
+
+
+def extract_sections(text: str) -> dict:
+    """Split resume text into contact details and the main sections using common headings."""
+    sections = {"header": [], "skills": [], "experience": [], "projects": [], "education": [], "other": []}
+    current = "header"
+    for line in text.splitlines():
+        if not line.strip():
+            continue
+        section = _heading_section(line)
+        if section:
+            current = section
+            continue
+        # Drop Markdown emphasis so "**Backend Engineer**" reads as a plain title
+        sections[current].append(re.sub(r"\*\*|__", "", line).strip())
+
+    header = sections["header"]
+    name = next(
+        (line for line in header if not EMAIL_RE.search(line) and not PHONE_RE.search(line) and len(line) <= 60),
+        "",
+    )
+    return {
+        "contact": {
+            "name": name.lstrip("# ").strip(),
+            "email": (EMAIL_RE.search(text) or [""])[0],
+            "phone": (PHONE_RE.search("\n".join(header)) or [""])[0].strip(),
+            "links": list(dict.fromkeys(LINK_RE.findall(text))),
+        },
+        "skills": _split_skills(sections["skills"]),
+        "experience": _group_entries(sections["experience"]),
+        "projects": [
+            {"name": entry["title"], "details": entry["details"]}
+            for entry in _group_entries(sections["projects"])
+        ],
+        "education": sections["education"],
+    }
@@ -0,0 +1,161 @@
+from typing import List
+
+# A rubric is {"name", "description", "criteria": [...], "recommendations": [...]}:
+# - criteria: [{"name", "description", "weight", "levels": [{"label", "description"}]}], levels best first
+# - recommendations: [{"label", "min_score"}], highest min_score first, the last one at 0
+# The model scores each criterion 0-10 against its level descriptors. The overall score is the
+# weighted average on a 0-100 scale, and the recommendation is the first one that score reaches.
+DEFAULT_RUBRIC_ID = "default"
+
+# The criteria and scale every report used before rubrics were configurable
+DEFAULT_RUBRIC = {
+    "name": "Standard",
+    "description": "Four equally weighted criteria and the four-level hiring scale.",
+    "criteria": [
+        {
+            "name": "Technical depth",
+            "description": "Technical depth and accuracy of answers",
+            "weight": 25,
+            "levels": [
+                {"label": "Strong", "description": "Accurate, detailed answers that go beyond the basics."},
+                {"label": "Solid", "description": "Mostly accurate with reasonable detail; minor gaps."},
+                {"label": "Shallow", "description": "Surface-level answers or noticeable mistakes."},
+                {"label": "Weak", "description": "Frequently wrong, vague or unable to answer."},
+            ],
+        },
+        {
+            "name": "Communication",
+            "description": "Clarity and communication",
+            "weight": 25,
+            "levels": [
+                {"label": "Strong", "description": "Clear, well-structured and easy to follow."},
+                {"label": "Solid", "description": "Generally clear, with some rambling or jumps."},
+                {"label": "Shallow", "description": "Often hard to follow or poorly organised."},
+                {"label": "Weak", "description": "Unclear or incoherent most of the time."},
+            ],
+        },
+        {
+            "name": "Practical understanding",
+            "description": "Practical understanding vs theoretical",
+            "weight": 25,
+            "levels": [
+                {"label": "Strong", "description": "Grounds answers in real work, trade-offs and outcomes."},
+                {"label": "Solid", "description": "Some concrete experience alongside the theory."},
+                {"label": "Shallow", "description": "Mostly textbook answers with few real examples."},
+                {"label": "Weak", "description": "No sign of having applied the skills in practice."},
+            ],
+        },
+        {
+            "name": "Consistency and honesty",
+            "description": "Consistency across questions and honesty",
+            "weight": 25,
+            "levels": [
+                {"label": "Strong", "description": "Consistent throughout; open about the limits of their knowledge."},
+                {"label": "Solid", "description": "Largely consistent with minor contradictions."},
+                {"label": "Shallow", "description": "Answers contradict each other or overstate experience."},
+                {"label": "Weak", "description": "Claims fall apart under follow-up questions."},
+            ],
+        },
+    ],
+    "recommendations": [
+        {"label": "Strongly Recommend", "min_score": 85},
+        {"label": "Recommend", "min_score": 70},
+        {"label": "Consider", "min_score": 50},
+        {"label": "Do Not Recommend", "min_score": 0},
+    ],
+}
+
+
+def normalize_rubric(rubric: dict) -> dict:
+    """Trim text and drop anything that isn't an object, before schema validation."""
+    return {
+        "name": str(rubric.get("name") or "").strip(),
+        "description": str(rubric.get("description") or "").strip(),
+        "criteria": [
+            {
+                **criterion,
+                "name": str(criterion.get("name") or "").strip(),
+                "description": str(criterion.get("description") or "").strip(),
+                "levels": [
+                    {**level, "label": str(level.get("label") or "").strip(),
+                     "description": str(level.get("description") or "").strip()}
+                    for level in criterion.get("levels") or [] if isinstance(level, dict)
+                ],
+            }
+            for criterion in rubric.get("criteria") or [] if isinstance(criterion, dict)
+        ],
+        "recommendations": [
+            {**r, "label": str(r.get("label") or "").strip()}
+            for r in rubric.get("recommendations") or [] if isinstance(r, dict)
+        ],
+    }
+
+
+def check_rubric(rubric: dict) -> dict:
+    """Order a validated rubric's recommendations highest threshold first and check the rules
+    the schema can't express. Raises ValueError with a message for the editor.
+    """
+    rubric = {**rubric, "recommendations": sorted(rubric["recommendations"], key=lambda r: r["min_score"], reverse=True)}
+    names = [c["name"].lower() for c in rubric["criteria"]]
+    if len(set(names)) != len(names):
+        raise ValueError("Each criterion needs a different name.")
+    labels = [r["label"].lower() for r in rubric["recommendations"]]
+    if len(set(labels)) != len(labels):
+        raise ValueError("Each recommendation needs a different label.")
+    thresholds = [r["min_score"] for r in rubric["recommendations"]]
+    if len(set(thresholds)) != len(thresholds):
+        raise ValueError("Each recommendation needs a different minimum score.")
+    if thresholds[-1] != 0:
+        raise ValueError("The lowest recommendation must start at 0 so every score gets one.")
+    return rubric
+
+
+def recommendation_labels(rubric: dict) -> List[str]:
+    """The recommendation scale, best first."""
+    return [r["label"] for r in rubric["recommendations"]]
+
+
+def recommendation_for(rubric: dict, score: float) -> str:
+    for recommendation in rubric["recommendations"]:
+        if score >= recommendation["min_score"]:
+            return recommendation["label"]
+    return rubric["recommendations"][-1]["label"]
+
+
+def match_criteria(rubric: dict, scored: List[dict]) -> List[dict]:
+    """Line the model's criterion scores up with the rubric: by name, falling back to position.
+
+    Raises ValueError naming the criteria the model left out.
+    """
+    by_name = {item["name"].strip().lower(): item for item in scored}
+    matched, missing = [], []
+    for i, criterion in enumerate(rubric["criteria"]):
+        item = by_name.get(criterion["name"].lower()) or (scored[i] if i < len(scored) else None)
+        if item is None:
+            missing.append(criterion["name"])
+        else:
+            matched.append(item)
+    if missing:
+        raise ValueError(f"Score every rubric criterion; missing: {', '.join(missing)}.")
+    return matched
+
+
+def apply_rubric(rubric: dict, scored: List[dict]) -> dict:
+    """The report's per-criterion breakdown, overall score and recommendation under `rubric`."""
+    breakdown = [
+        {
+            "name": criterion["name"],
+            "weight": criterion["weight"],
+            "score": item["score"],
+            "level": item.get("level", ""),
+            "justification": item["justification"],
+        }
+        for criterion, item in zip(rubric["criteria"], match_criteria(rubric, scored))
+    ]
+    total_weight = sum(c["weight"] for c in breakdown)
+    overall_score = round(sum(c["weight"] * c["score"] for c in breakdown) * 10 / total_weight)
+    return {
+        "criteria": breakdown,
+        "overall_score": overall_score,
+        "hire_recommendation": recommendation_for(rubric, overall_score),
+    }
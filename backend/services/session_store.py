@@ -0,0 +1,188 @@
+import json
+import os
+import sqlite3
+import threading
+import time
+from abc import ABC, abstractmethod
+from contextlib import contextmanager
+from typing import List, Optional, Tuple
+
+from dotenv import load_dotenv
+
+load_dotenv()
+
+SESSION_STORE = os.getenv("SESSION_STORE", "sqlite").lower()
+SESSION_DB_PATH = os.getenv("SESSION_DB_PATH", "data/sessions.db")
+SESSION_TTL_SECONDS = int(float(os.getenv("SESSION_TTL_HOURS", "24")) * 3600)
+
+
+class SessionStore(ABC):
+    """Storage backend for interview sessions (resume text, Q&A, reports, timestamps)."""
+
+    def __init__(self, ttl_seconds: int = SESSION_TTL_SECONDS):
+        self.ttl_seconds = ttl_seconds
+
+    def _is_expired(self, session: dict) -> bool:
+        # Finished interviews are kept for the history view; only abandoned ones expire
+        if session.get("final_report"):
+            return False
+        return self.ttl_seconds > 0 and time.time() - session["updated_at"] > self.ttl_seconds
+
+    @staticmethod
+    def _stamp(session: dict) -> dict:
+        now = time.time()
+        session.setdefault("created_at", now)
+        session["updated_at"] = now
+        return session
+
+    @abstractmethod
+    def get(self, session_id: str) -> Optional[dict]:
+        """Return the session, or None if it does not exist or has expired."""
+
+    @abstractmethod
+    def save(self, session_id: str, session: dict) -> None:
+        """Create or overwrite a session and refresh its updated_at timestamp."""
+
+    @abstractmethod
+    def delete(self, session_id: str) -> None:
+        """Remove a session if it exists."""
+
+    @abstractmethod
+    def cleanup_expired(self) -> int:
+        """Delete every unfinished session idle for longer than the TTL; return how many went."""
+
+    @abstractmethod
+    def list_completed(self, limit: int = 50, owner: Optional[str] = None) -> List[Tuple[str, dict]]:
+        """Return (session_id, session) pairs for finished interviews, newest first.
+
+        With `owner`, only sessions whose "owner" field matches it.
+        """
+
+
+class InMemorySessionStore(SessionStore):
+    """Process-local store. Sessions are lost on restart and not shared between workers."""
+
+    def __init__(self, ttl_seconds: int = SESSION_TTL_SECONDS):
+        super().__init__(ttl_seconds)
+        self._sessions: dict = {}
+        self._lock = threading.Lock()
+
+    def get(self, session_id: str) -> Optional[dict]:
+        with self._lock:
+            session = self._sessions.get(session_id)
+            if session and self._is_expired(session):
+                del self._sessions[session_id]
+                return None
+            # Hand out a copy so callers must save() to persist changes, as with SQLite
+            return json.loads(json.dumps(session)) if session else None
+
+    def save(self, session_id: str, session: dict) -> None:
+        with self._lock:
+            self._sessions[session_id] = json.loads(json.dumps(self._stamp(session)))
+
+    def delete(self, session_id: str) -> None:
+        with self._lock:
+            self._sessions.pop(session_id, None)
+
+    def cleanup_expired(self) -> int:
+        with self._lock:
+            expired = [sid for sid, s in self._sessions.items() if self._is_expired(s)]
+            for sid in expired:
+                del self._sessions[sid]
+            return len(expired)
+
+    def list_completed(self, limit: int = 50, owner: Optional[str] = None) -> List[Tuple[str, dict]]:
+        with self._lock:
+            completed = [
+                (sid, s) for sid, s in self._sessions.items()
+                if s.get("final_report") and (owner is None or s.get("owner") == owner)
+            ]
+            completed.sort(key=lambda item: item[1]["created_at"], reverse=True)
+            return json.loads(json.dumps(completed[:limit]))
+
+
+class SQLiteSessionStore(SessionStore):
+    """File-backed store that survives restarts and can be shared by several workers."""
+
+    def __init__(self, path: str = SESSION_DB_PATH, ttl_seconds: int = SESSION_TTL_SECONDS):
+        super().__init__(ttl_seconds)
+        self.path = path
+        directory = os.path.dirname(path)
+        if directory:
+            os.makedirs(directory, exist_ok=True)
+        with self._connect() as conn:
+            conn.execute("PRAGMA journal_mode=WAL")
+            conn.execute(
+                """CREATE TABLE IF NOT EXISTS sessions (
+                    id TEXT PRIMARY KEY,
+                    data TEXT NOT NULL,
+                    created_at REAL NOT NULL,
+                    updated_at REAL NOT NULL
+                )"""
+            )
+            conn.execute("CREATE INDEX IF NOT EXISTS idx_sessions_updated ON sessions (updated_at)")
+
+    @contextmanager
+    def _connect(self):
+        # A short-lived connection per call keeps this safe across threads and workers
+        conn = sqlite3.connect(self.path, timeout=10)
+        try:
+            with conn:
+                yield conn
+        finally:
+            conn.close()
+
+    def get(self, session_id: str) -> Optional[dict]:
+        with self._connect() as conn:
+            row = conn.execute("SELECT data FROM sessions WHERE id = ?", (session_id,)).fetchone()
+        if not row:
+            return None
+        session = json.loads(row[0])
+        if self._is_expired(session):
+            self.delete(session_id)
+            return None
+        return session
+
+    def save(self, session_id: str, session: dict) -> None:
+        self._stamp(session)
+        with self._connect() as conn:
+            conn.execute(
+                """INSERT INTO sessions (id, data, created_at, updated_at) VALUES (?, ?, ?, ?)
+                   ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at""",
+                (session_id, json.dumps(session), session["created_at"], session["updated_at"]),
+            )
+
+    def delete(self, session_id: str) -> None:
+        with self._connect() as conn:
+            conn.execute("DELETE FROM sessions WHERE id = ?", (session_id,))
+
+    def cleanup_expired(self) -> int:
+        if self.ttl_seconds <= 0:
+            return 0
+        with self._connect() as conn:
+            cursor = conn.execute(
+                """DELETE FROM sessions
+                   WHERE updated_at < ? AND json_extract(data, '$.final_report') IS NULL""",
+                (time.time() - self.ttl_seconds,),
+            )
+            return cursor.rowcount
+
+    def list_completed(self, limit: int = 50, owner: Optional[str] = None) -> List[Tuple[str, dict]]:
+        with self._connect() as conn:
+            rows = conn.execute(
+                """SELECT id, data FROM sessions
+                   WHERE json_extract(data, '$.final_report') IS NOT NULL
+                     AND (? IS NULL OR json_extract(data, '$.owner') = ?)
+                   ORDER BY created_at DESC LIMIT ?""",
+                (owner, owner, limit),
+            ).fetchall()
+        return [(row[0], json.loads(row[1])) for row in rows]
+
+
+def get_session_store() -> SessionStore:
+    """Build the store selected by the SESSION_STORE env var (sqlite | memory)."""
+    if SESSION_STORE == "memory":
+        return InMemorySessionStore()
+    if SESSION_STORE == "sqlite":
+        return SQLiteSessionStore()
+    raise ValueError(f"Unknown SESSION_STORE: {SESSION_STORE}. Use 'sqlite' or 'memory'.")
@@ -0,0 +1,80 @@
+import os
+import subprocess
+import tempfile
+from abc import ABC, abstractmethod
+from typing import Optional
+
+from dotenv import load_dotenv
+
+load_dotenv()
+
+STT_ENGINE = os.getenv("STT_ENGINE", "none").lower()
+STT_MODEL = os.getenv("STT_MODEL", "base")
+WHISPER_CPP_BIN = os.getenv("WHISPER_CPP_BIN", "whisper-cli")
+WHISPER_CPP_MODEL = os.getenv("WHISPER_CPP_MODEL", "models/ggml-base.bin")
+FFMPEG_BIN = os.getenv("FFMPEG_BIN", "ffmpeg")
+
+
+class STTEngine(ABC):
+    """Local speech-to-text engine that turns one recorded answer into text."""
+
+    @abstractmethod
+    def transcribe(self, audio_bytes: bytes, filename: str, language: str = "en") -> str:
+        """Return the transcript of the audio clip."""
+
+
+class FasterWhisperEngine(STTEngine):
+    """faster-whisper on CPU (pip install faster-whisper). Models download on first use."""
+
+    def __init__(self, model_size: str = STT_MODEL):
+        from faster_whisper import WhisperModel
+
+        self.model = WhisperModel(model_size, device="cpu", compute_type="int8")
+
+    def transcribe(self, audio_bytes: bytes, filename: str, language: str = "en") -> str:
+        suffix = os.path.splitext(filename)[1] or ".webm"
+        with tempfile.NamedTemporaryFile(suffix=suffix) as f:
+            f.write(audio_bytes)
+            f.flush()
+            segments, _ = self.model.transcribe(f.name, language=language, vad_filter=True)
+            return " ".join(segment.text.strip() for segment in segments).strip()
+
+
+class WhisperCppEngine(STTEngine):
+    """whisper.cpp command-line binary. Audio is converted to 16 kHz mono WAV with ffmpeg first."""
+
+    def __init__(self, binary: str = WHISPER_CPP_BIN, model_path: str = WHISPER_CPP_MODEL):
+        self.binary = binary
+        self.model_path = model_path
+
+    def transcribe(self, audio_bytes: bytes, filename: str, language: str = "en") -> str:
+        suffix = os.path.splitext(filename)[1] or ".webm"
+        with tempfile.TemporaryDirectory() as tmp:
+            source = os.path.join(tmp, f"answer{suffix}")
+            wav = os.path.join(tmp, "answer.wav")
+            with open(source, "wb") as f:
+                f.write(audio_bytes)
+            subprocess.run(
+                [FFMPEG_BIN, "-y", "-loglevel", "error", "-i", source, "-ar", "16000", "-ac", "1", wav],
+                check=True,
+                timeout=60,
+            )
+            result = subprocess.run(
+                [self.binary, "-m", self.model_path, "-f", wav, "-l", language, "-nt", "-np"],
+                check=True,
+                capture_output=True,
+                text=True,
+                timeout=300,
+            )
+            return " ".join(line.strip() for line in result.stdout.splitlines() if line.strip())
+
+
+def get_stt_engine() -> Optional[STTEngine]:
+    """Build the engine selected by STT_ENGINE (none | faster-whisper | whisper-cpp)."""
+    if STT_ENGINE == "none":
+        return None
+    if STT_ENGINE == "faster-whisper":
+        return FasterWhisperEngine()
+    if STT_ENGINE == "whisper-cpp":
+        return WhisperCppEngine()
+    raise ValueError(f"Unknown STT_ENGINE: {STT_ENGINE}. Use 'none', 'faster-whisper' or 'whisper-cpp'.")
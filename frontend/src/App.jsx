@@ -2,28 +2,282 @@ import { useState, useEffect } from 'react';
 import ResumeUploader from './components/ResumeUploader';
 import InterviewSession from './components/InterviewSession';
 import FinalReport from './components/FinalReport';
+import HistoryDashboard from './components/HistoryDashboard';
+import RecruiterDashboard from './components/RecruiterDashboard';
+import InvitationLanding from './components/InvitationLanding';
+import QuestionBanks from './components/QuestionBanks';
+import Rubrics from './components/Rubrics';
+import { getSession, startPractice, retryFinalReport, SessionExpiredError } from './api';
+import { loadRecruiterKey, loadSavedSession, saveSession, updateSavedSession, clearSavedSession } from './storage';
 import './App.css';
 
+const EMPTY_FEEDBACK = {
+  questions: [],
+  questionSources: [],
+  answers: [],
+  evaluations: [],
+  answerModes: [],
+  codeAnswers: {},
+  diagrams: {},
+  clarifications: {},
+  delivery: {},
+  deliverySummary: null,
+  practice: null,
+  roundScores: null,
+};
+
 // Cancel any leftover TTS immediately on page load (runs before React mounts)
 window.speechSynthesis?.cancel();
 
+// A recruiter's invitation link: /?invite=<token>
+const INVITE_TOKEN = new URLSearchParams(window.location.search).get('invite');
+
 export default function App() {
-  const [phase, setPhase] = useState('upload'); // upload | interview | report
+  const [phase, setPhase] = useState(() => {
+    if (INVITE_TOKEN) return 'invitation';
+    return loadSavedSession()?.sessionId ? 'restoring' : 'upload';
+  }); // restoring | invitation | upload | interview | submitted | report | history | recruiter
   const [sessionId, setSessionId] = useState('');
   const [firstQuestion, setFirstQuestion] = useState('');
+  const [totalQuestions, setTotalQuestions] = useState(6);
+  const [answerMode, setAnswerMode] = useState('voice');
+  const [rounds, setRounds] = useState(null);
+  const [coding, setCoding] = useState(null);
+  const [language, setLanguage] = useState('en');
+  const [clarifications, setClarifications] = useState([]);
+  const [history, setHistory] = useState({ questions: [], answers: [] });
+  const [notice, setNotice] = useState('');
   const [finalReport, setFinalReport] = useState(null);
+  const [reportError, setReportError] = useState('');
+  const [answerFeedback, setAnswerFeedback] = useState(EMPTY_FEEDBACK);
+  // Where a report opened from a dashboard goes back to: 'history' | 'recruiter' | null
+  const [reportFrom, setReportFrom] = useState(null);
+  // Invited candidates hand their interview in rather than seeing the report
+  const [invited, setInvited] = useState(false);
+
+  // ─── Put a returning user back where they left off ───
+  useEffect(() => {
+    const saved = loadSavedSession();
+    if (INVITE_TOKEN || !saved?.sessionId) return;
+    let cancelled = false;
+
+    getSession(saved.sessionId, loadRecruiterKey())
+      .then((data) => {
+        if (cancelled) return;
+        setSessionId(data.session_id);
+        setInvited(Boolean(saved.invited));
+
+        // Finished — including interviews whose report still needs to be (re)generated
+        if (saved.invited && data.question_count >= data.total_questions) {
+          setPhase('submitted');
+          return;
+        }
+        if (data.final_report || data.question_count >= data.total_questions) {
+          setFinalReport(data.final_report);
+          setReportError(data.report_error || '');
+          setAnswerFeedback({
+            questions: data.questions,
+            questionSources: data.question_sources || [],
+            answers: data.answers,
+            evaluations: data.evaluations,
+            answerModes: data.answer_modes,
+            codeAnswers: data.code_answers || {},
+            diagrams: data.diagrams || {},
+            clarifications: data.clarifications || {},
+            delivery: data.delivery || {},
+            deliverySummary: data.delivery_summary,
+            practice: data.practice,
+            roundScores: data.round_scores,
+          });
+          updateSavedSession({ phase: 'report' });
+          setPhase('report');
+          return;
+        }
+        if (!data.current_question) {
+          throw new Error('No pending question to resume.');
+        }
+
+        setHistory({
+          questions: data.questions.slice(0, data.question_count),
+          answers: data.answers,
+        });
+        setFirstQuestion(data.current_question);
+        setTotalQuestions(data.total_questions);
+        setAnswerMode(data.answer_mode);
+        setRounds(data.rounds);
+        setCoding(data.current_coding);
+        setLanguage(data.language);
+        setClarifications(data.clarifications?.[String(data.question_count + 1)] || []);
+        updateSavedSession({ phase: 'interview', questionNumber: data.question_count + 1 });
+        setPhase('interview');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        clearSavedSession();
+        setNotice(err instanceof SessionExpiredError
+          ? err.message
+          : 'Your previous interview could not be restored. Please start a new one.');
+        setPhase('upload');
+      });
+
+    return () => { cancelled = true; };
+  }, []);
 
   const handleUploadSuccess = (data) => {
     setSessionId(data.session_id);
+    setInvited(Boolean(data.invitation));
     setFirstQuestion(data.first_question);
+    setTotalQuestions(data.total_questions);
+    setAnswerMode(data.answer_mode);
+    setRounds(data.rounds);
+    setCoding(data.coding || null);
+    setLanguage(data.language);
+    setClarifications([]);
+    setHistory({ questions: [], answers: [] });
+    saveSession({
+      sessionId: data.session_id,
+      phase: 'interview',
+      questionNumber: 1,
+      totalQuestions: data.total_questions,
+      currentQuestion: data.first_question,
+      previousQuestions: [],
+      previousAnswers: [],
+      invited: Boolean(data.invitation),
+    });
     setPhase('interview');
   };
 
-  const handleInterviewComplete = (report) => {
-    setFinalReport(report);
+  const handleInvitationStart = (data) => {
+    // Drop ?invite= so a reload resumes this interview instead of reopening the used link
+    window.history.replaceState(null, '', window.location.pathname);
+    handleUploadSuccess(data);
+  };
+
+  const handleInterviewComplete = (data) => {
+    // The recruiter reads the report from their dashboard
+    if (invited) {
+      updateSavedSession({ phase: 'submitted' });
+      setPhase('submitted');
+      return;
+    }
+    setFinalReport(data.final_report);
+    setReportError(data.report_error || '');
+    setAnswerFeedback({
+      questions: data.questions,
+      questionSources: data.question_sources || [],
+      answers: data.answers,
+      evaluations: data.evaluations,
+      answerModes: data.answer_modes,
+      codeAnswers: data.code_answers || {},
+      diagrams: data.diagrams || {},
+      clarifications: data.clarifications || {},
+      delivery: data.delivery || {},
+      deliverySummary: data.delivery_summary,
+      practice: data.practice,
+      roundScores: data.round_scores,
+    });
+    updateSavedSession({ phase: 'report' });
     setPhase('report');
   };
 
+  const handleSessionExpired = (message) => {
+    window.speechSynthesis?.cancel();
+    clearSavedSession();
+    setSessionId('');
+    setNotice(message);
+    setPhase('upload');
+  };
+
+  const handleRestart = () => {
+    window.speechSynthesis?.cancel();
+    clearSavedSession();
+    setSessionId('');
+    setFirstQuestion('');
+    setHistory({ questions: [], answers: [] });
+    setFinalReport(null);
+    setReportError('');
+    setAnswerFeedback(EMPTY_FEEDBACK);
+    setReportFrom(null);
+    setInvited(false);
+    setNotice('');
+    window.history.replaceState(null, '', window.location.pathname);
+    setPhase('upload');
+  };
+
+  // Throws on network failure; a model failure comes back as report_error
+  const handleRetryReport = async () => {
+    const data = await retryFinalReport(sessionId, loadRecruiterKey());
+    if (data.final_report) {
+      handleInterviewComplete(data);
+    } else {
+      setReportError(data.report_error || 'The report could not be generated.');
+    }
+  };
+
+  // Throws so FinalReport can show the error next to the practice buttons
+  const handlePractice = async (options) => {
+    const data = await startPractice(sessionId, options);
+    window.speechSynthesis?.cancel();
+    setFinalReport(null);
+    setReportError('');
+    setAnswerFeedback(EMPTY_FEEDBACK);
+    setReportFrom(null);
+    handleUploadSuccess(data);
+  };
+
+  const handleOpenHistory = () => {
+    window.speechSynthesis?.cancel();
+    setPhase('history');
+  };
+
+  const handleCloseHistory = () => {
+    setPhase(finalReport ? 'report' : 'upload');
+  };
+
+  const handleOpenRecruiter = () => {
+    window.speechSynthesis?.cancel();
+    setPhase('recruiter');
+  };
+
+  const handleOpenBanks = () => {
+    window.speechSynthesis?.cancel();
+    setPhase('banks');
+  };
+
+  const handleOpenRubrics = () => {
+    window.speechSynthesis?.cancel();
+    setPhase('rubrics');
+  };
+
+  const handleOpenPastReport = async (id, from = 'history') => {
+    try {
+      const data = await getSession(id, loadRecruiterKey());
+      setSessionId(data.session_id);
+      setFinalReport(data.final_report);
+      setReportError('');
+      setAnswerFeedback({
+        questions: data.questions,
+        questionSources: data.question_sources || [],
+        answers: data.answers,
+        evaluations: data.evaluations,
+        answerModes: data.answer_modes,
+        codeAnswers: data.code_answers || {},
+        diagrams: data.diagrams || {},
+        clarifications: data.clarifications || {},
+        delivery: data.delivery || {},
+        deliverySummary: data.delivery_summary,
+        practice: data.practice,
+        roundScores: data.round_scores,
+      });
+      setReportFrom(from);
+      saveSession({ sessionId: data.session_id, phase: 'report' });
+      setPhase('report');
+    } catch (err) {
+      setNotice(err.message);
+      setPhase('upload');
+    }
+  };
+
   return (
     <div className="app">
       <header className="app-header">
@@ -39,22 +293,101 @@ export default function App() {
           </svg>
           <span className="logo-text">InterviewAI</span>
         </span>
+        {(phase === 'upload' || phase === 'report') && (
+          <nav className="header-nav">
+            <button className="header-nav-btn" onClick={handleOpenHistory}>
+              📈 History
+            </button>
+            <button className="header-nav-btn" onClick={handleOpenRecruiter}>
+              🧑‍💼 Recruiter
+            </button>
+            <button className="header-nav-btn" onClick={handleOpenBanks}>
+              📚 Question Banks
+            </button>
+            <button className="header-nav-btn" onClick={handleOpenRubrics}>
+              ⚖️ Rubrics
+            </button>
+          </nav>
+        )}
       </header>
 
       <main className="app-main">
+        {phase === 'restoring' && (
+          <div className="restore-state">
+            <span className="spinner" />
+            <span>Restoring your interview…</span>
+          </div>
+        )}
+        {phase === 'invitation' && (
+          <InvitationLanding token={INVITE_TOKEN} onStart={handleInvitationStart} onDismiss={handleRestart} />
+        )}
         {phase === 'upload' && (
-          <ResumeUploader onUploadSuccess={handleUploadSuccess} />
+          <ResumeUploader onUploadSuccess={handleUploadSuccess} initialError={notice} />
         )}
         {phase === 'interview' && (
           <InterviewSession
             sessionId={sessionId}
             firstQuestion={firstQuestion}
+            totalQuestions={totalQuestions}
+            initialAnswerMode={answerMode}
+            initialRounds={rounds}
+            initialCoding={coding}
+            initialClarifications={clarifications}
+            language={language}
+            initialHistory={history}
             onComplete={handleInterviewComplete}
+            onSessionExpired={handleSessionExpired}
           />
         )}
         {phase === 'report' && (
-          <FinalReport report={finalReport} />
+          <FinalReport
+            sessionId={sessionId}
+            report={finalReport}
+            reportError={reportError}
+            onRetryReport={handleRetryReport}
+            questions={answerFeedback.questions}
+            questionSources={answerFeedback.questionSources}
+            answers={answerFeedback.answers}
+            evaluations={answerFeedback.evaluations}
+            answerModes={answerFeedback.answerModes}
+            codeAnswers={answerFeedback.codeAnswers}
+            diagrams={answerFeedback.diagrams}
+            clarifications={answerFeedback.clarifications}
+            delivery={answerFeedback.delivery}
+            deliverySummary={answerFeedback.deliverySummary}
+            practice={answerFeedback.practice}
+            roundScores={answerFeedback.roundScores}
+            onPractice={reportFrom === 'recruiter' ? undefined : handlePractice}
+            onRestart={handleRestart}
+            onBack={reportFrom === 'recruiter' ? handleOpenRecruiter : reportFrom ? handleOpenHistory : undefined}
+            backLabel={reportFrom === 'recruiter' ? '← Back to Candidates' : undefined}
+          />
+        )}
+        {phase === 'submitted' && (
+          <div className="history-container">
+            <div className="report-section submitted-section">
+              <h3>✅ Interview submitted</h3>
+              <p>
+                Thanks for your time. Your answers have been sent to the recruiter who invited you,
+                and they'll be in touch about next steps.
+              </p>
+            </div>
+            <button className="btn btn-secondary" onClick={handleRestart}>
+              Practise on your own
+            </button>
+          </div>
+        )}
+        {phase === 'history' && (
+          <HistoryDashboard onOpenReport={handleOpenPastReport} onClose={handleCloseHistory} />
+        )}
+        {phase === 'recruiter' && (
+          <RecruiterDashboard
+            onOpenReport={(id) => handleOpenPastReport(id, 'recruiter')}
+            onClose={handleCloseHistory}
+          />
         )}
+        {phase === 'banks' && <QuestionBanks onClose={handleCloseHistory} />}
+        {phase === 'rubrics' && <Rubrics onClose={handleCloseHistory} />}
       </main>
     </div>
   );
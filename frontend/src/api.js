@@ -1,15 +1,83 @@
+import { loadOwnerToken } from './storage';
+
 // In production (Docker), nginx proxies API calls — use relative URLs.
 // In local dev (Vite on :5173), point to the backend directly.
 const API_BASE = window.location.port === '5173'
     ? 'http://localhost:8000'
     : '';
 
-export async function uploadResume(file) {
+// Thrown when the backend no longer knows the session (TTL cleanup or restart)
+export class SessionExpiredError extends Error {
+    constructor(message = 'Your interview session has expired. Please upload your resume to start a new one.') {
+        super(message);
+        this.name = 'SessionExpiredError';
+    }
+}
+
+// Extracts contact details, skills, experience, projects and education for the review step
+export async function parseResume(file) {
     const formData = new FormData();
     formData.append('file', file);
 
+    const res = await fetch(`${API_BASE}/parse-resume`, {
+        method: 'POST',
+        body: formData,
+    });
+
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to read resume');
+    }
+
+    return res.json();
+}
+
+export async function uploadResume(file, options = {}) {
+    const {
+        hideScores = false,
+        numQuestions = 6,
+        difficulty = 'mid',
+        focusAreas = [],
+        jobDescription = '',
+        jobDescriptionFile = null,
+        answerMode = 'voice',
+        reviewedTopics = null,
+        loop = '',
+        coding = false,
+        language = 'en',
+        tone = 'neutral',
+        questionBankId = '',
+        bankQuestions = 0,
+        rubricId = 'default',
+    } = options;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('hide_scores', hideScores);
+    formData.append('num_questions', numQuestions);
+    formData.append('difficulty', difficulty);
+    focusAreas.forEach((area) => formData.append('focus_areas', area));
+    formData.append('job_description', jobDescription);
+    if (jobDescriptionFile) formData.append('job_description_file', jobDescriptionFile);
+    formData.append('answer_mode', answerMode);
+    formData.append('loop', loop);
+    formData.append('coding', coding);
+    formData.append('language', language);
+    formData.append('tone', tone);
+    formData.append('rubric_id', rubricId);
+    if (questionBankId) {
+        formData.append('question_bank_id', questionBankId);
+        formData.append('bank_question_count', bankQuestions);
+    }
+    if (reviewedTopics) {
+        formData.append('reviewed', true);
+        reviewedTopics.skills.forEach((skill) => formData.append('skills', skill));
+        reviewedTopics.projects.forEach((project) => formData.append('projects', project));
+    }
+
     const res = await fetch(`${API_BASE}/upload-resume`, {
         method: 'POST',
+        headers: { 'X-Owner-Token': loadOwnerToken() },
         body: formData,
     });
 
@@ -28,10 +96,391 @@ export async function submitAnswer(payload) {
         body: JSON.stringify(payload),
     });
 
+    if (res.status === 404) throw new SessionExpiredError();
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to submit answer');
+    }
+
+    return res.json();
+}
+
+// Scores of an invited interview only come back with the recruiter key
+export async function getSession(sessionId, recruiterKey = '') {
+    const res = await fetch(`${API_BASE}/session/${encodeURIComponent(sessionId)}`, {
+        headers: { 'X-Recruiter-Key': recruiterKey },
+    });
+
+    if (res.status === 404) throw new SessionExpiredError();
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to load session');
+    }
+
+    return res.json();
+}
+
+// Regenerates the final report from the saved transcript after a failed attempt
+export async function retryFinalReport(sessionId, recruiterKey = '') {
+    const res = await fetch(`${API_BASE}/session/${encodeURIComponent(sessionId)}/report`, {
+        method: 'POST',
+        headers: { 'X-Recruiter-Key': recruiterKey },
+    });
+
+    if (res.status === 404) throw new SessionExpiredError();
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to generate the report');
+    }
+
+    return res.json();
+}
+
+// This browser's finished interviews, newest first, for the history dashboard
+export async function listSessions(limit = 50) {
+    const res = await fetch(`${API_BASE}/sessions?limit=${limit}`, {
+        headers: { 'X-Owner-Token': loadOwnerToken() },
+    });
+
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to load interview history');
+    }
+
+    return res.json();
+}
+
+// Starts a new session from a finished report: mode 'weak_areas', or 'questions' with questionNumbers
+export async function startPractice(sessionId, { mode, questionNumbers = [] }) {
+    const res = await fetch(`${API_BASE}/sessions/${encodeURIComponent(sessionId)}/practice`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode, question_numbers: questionNumbers }),
+    });
+
+    if (res.status === 404) throw new SessionExpiredError();
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to start practice session');
+    }
+
+    return res.json();
+}
+
+// Runs code for the current coding question against its example test cases
+export async function runCode(sessionId, questionNumber, language, code) {
+    const res = await fetch(`${API_BASE}/run-code`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session_id: sessionId, question_number: questionNumber, language, code }),
+    });
+
+    if (res.status === 404) throw new SessionExpiredError();
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to run code');
+    }
+
+    return res.json();
+}
+
+// Asks the interviewer to clarify the current question; doesn't use up a question
+export async function askClarification(sessionId, questionNumber, question) {
+    const res = await fetch(`${API_BASE}/clarify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session_id: sessionId, question_number: questionNumber, question }),
+    });
+
+    if (res.status === 404) throw new SessionExpiredError();
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to ask for clarification');
+    }
+
+    return res.json();
+}
+
+// Parses one "event: x\ndata: {...}" block from a server-sent event stream
+function parseEvent(block) {
+    let event = 'message';
+    let data = '';
+    for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    return { event, data: data ? JSON.parse(data) : {} };
+}
+
+// Streaming variant of submitAnswer: calls onToken with each chunk of the next
+// question as it is generated, then resolves with the same shape submitAnswer returns.
+// In multi-round loops onRound receives {rounds, round_index} before the first token.
+// onQuestion receives the finished question as soon as it is complete, before the answer's
+// evaluation arrives and the stream ends.
+export async function submitAnswerStream(payload, { onToken, onRound, onQuestion } = {}) {
+    const res = await fetch(`${API_BASE}/submit-answer/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+    });
+
+    if (res.status === 404) throw new SessionExpiredError();
     if (!res.ok) {
         const err = await res.json().catch(() => ({}));
         throw new Error(err.detail || 'Failed to submit answer');
     }
 
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const result = {};
+    let buffer = '';
+
+    for (;;) {
+        let chunk;
+        try {
+            chunk = await reader.read();
+        } catch (err) {
+            // The server saved the answer with the question; only the evaluation is lost
+            if ('next_question' in result) break;
+            throw err;
+        }
+        const { value, done } = chunk;
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const { event, data } = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+
+            if (event === 'token') onToken?.(data.text);
+            else if (event === 'round') {
+                Object.assign(result, data);
+                onRound?.(data);
+            } else if (event === 'question') {
+                Object.assign(result, data);
+                onQuestion?.(data);
+            } else if (event === 'error') throw new Error(data.detail || 'Failed to generate next question');
+            else Object.assign(result, data);
+        }
+    }
+
+    // A dropped connection ends the stream without an error event
+    if (!('next_question' in result) && !('final_report' in result)) {
+        throw new Error('The connection closed before the next question arrived. Please try again.');
+    }
+    return result;
+}
+
+// Thrown when the backend has no speech-to-text engine configured
+export class TranscriptionUnavailableError extends Error {
+    constructor(message = 'Server-side transcription is not configured.') {
+        super(message);
+        this.name = 'TranscriptionUnavailableError';
+    }
+}
+
+export async function transcribeAudio(sessionId, questionNumber, audio, language = 'en') {
+    const ext = audio.type.includes('ogg') ? 'ogg' : audio.type.includes('mp4') ? 'mp4' : 'webm';
+    const formData = new FormData();
+    formData.append('session_id', sessionId);
+    formData.append('question_number', questionNumber);
+    formData.append('language', language);
+    formData.append('audio', audio, `answer-${questionNumber}.${ext}`);
+
+    const res = await fetch(`${API_BASE}/transcribe`, {
+        method: 'POST',
+        body: formData,
+    });
+
+    if (res.status === 503) throw new TranscriptionUnavailableError();
+    if (res.status === 404) throw new SessionExpiredError();
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to transcribe answer');
+    }
+
+    return res.json();
+}
+
+// Thrown by the recruiter endpoints when our copy of the backend's RECRUITER_KEY is missing or wrong
+export class RecruiterKeyError extends Error {
+    constructor(message = 'Enter the recruiter key to open the dashboard.') {
+        super(message);
+        this.name = 'RecruiterKeyError';
+    }
+}
+
+async function recruiterFetch(path, recruiterKey, options = {}, fallbackError) {
+    const res = await fetch(`${API_BASE}${path}`, {
+        ...options,
+        headers: { ...options.headers, 'X-Recruiter-Key': recruiterKey || '' },
+    });
+
+    if (res.status === 401) throw new RecruiterKeyError();
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || fallbackError);
+    }
+
+    return res.json();
+}
+
+// Creates a single-use interview link; `resume` is optional, else the candidate uploads one
+export async function createInvitation(recruiterKey, { role, candidateName = '', resume = null, expiresInHours = 72, options }) {
+    const formData = new FormData();
+    formData.append('role', role);
+    formData.append('candidate_name', candidateName);
+    if (resume) formData.append('file', resume);
+    formData.append('expires_in_hours', expiresInHours);
+    formData.append('num_questions', options.numQuestions);
+    formData.append('difficulty', options.difficulty);
+    options.focusAreas.forEach((area) => formData.append('focus_areas', area));
+    formData.append('job_description', options.jobDescription);
+    if (options.jobDescriptionFile) formData.append('job_description_file', options.jobDescriptionFile);
+    formData.append('answer_mode', options.answerMode);
+    formData.append('loop', options.loop);
+    formData.append('coding', options.coding);
+    formData.append('language', options.language);
+    formData.append('tone', options.tone);
+    formData.append('rubric_id', options.rubricId);
+    if (options.questionBankId) {
+        formData.append('question_bank_id', options.questionBankId);
+        formData.append('bank_question_count', options.bankQuestions);
+    }
+
+    return recruiterFetch('/invitations', recruiterKey, { method: 'POST', body: formData }, 'Failed to create the invitation');
+}
+
+// Invitations, newest first, with each candidate's status and report summary
+export async function listInvitations(recruiterKey) {
+    return recruiterFetch('/invitations', recruiterKey, {}, 'Failed to load invitations');
+}
+
+export async function revokeInvitation(recruiterKey, token) {
+    return recruiterFetch(
+        `/invitations/${encodeURIComponent(token)}`, recruiterKey, { method: 'DELETE' }, 'Failed to revoke the invitation',
+    );
+}
+
+// What the candidate sees on opening their link; throws if it is unknown, used or expired
+export async function getInvitation(token) {
+    const res = await fetch(`${API_BASE}/invitations/${encodeURIComponent(token)}`);
+
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to open the invitation');
+    }
+
+    return res.json();
+}
+
+// Starts the invited interview; resolves with the same shape as uploadResume
+export async function startInvitation(token, file = null) {
+    const formData = new FormData();
+    if (file) formData.append('file', file);
+
+    const res = await fetch(`${API_BASE}/invitations/${encodeURIComponent(token)}/start`, {
+        method: 'POST',
+        body: formData,
+    });
+
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to start the interview');
+    }
+
+    return res.json();
+}
+
+// Bank names, tags and sizes for the interview options; open to everyone
+export async function listQuestionBanks() {
+    const res = await fetch(`${API_BASE}/question-banks`);
+
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to load question banks');
+    }
+
+    return res.json();
+}
+
+// The full bank, reference answers included
+export async function getQuestionBank(recruiterKey, bankId) {
+    return recruiterFetch(`/question-banks/${encodeURIComponent(bankId)}`, recruiterKey, {}, 'Failed to load the question bank');
+}
+
+// Creates a bank, or replaces the questions of an existing one when `bankId` is given
+export async function saveQuestionBank(recruiterKey, bank, bankId = null) {
+    return recruiterFetch(
+        bankId ? `/question-banks/${encodeURIComponent(bankId)}` : '/question-banks',
+        recruiterKey,
+        {
+            method: bankId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(bank),
+        },
+        'Failed to save the question bank',
+    );
+}
+
+export async function deleteQuestionBank(recruiterKey, bankId) {
+    return recruiterFetch(
+        `/question-banks/${encodeURIComponent(bankId)}`, recruiterKey, { method: 'DELETE' }, 'Failed to delete the question bank',
+    );
+}
+
+// Creates a bank from a .json or .csv file
+export async function importQuestionBank(recruiterKey, file) {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    return recruiterFetch('/question-banks/import', recruiterKey, { method: 'POST', body: formData }, 'Failed to import the question bank');
+}
+
+// Resolves with the file as a Blob
+export async function exportQuestionBank(recruiterKey, bankId, format) {
+    const res = await fetch(`${API_BASE}/question-banks/${encodeURIComponent(bankId)}/export?format=${format}`, {
+        headers: { 'X-Recruiter-Key': recruiterKey || '' },
+    });
+
+    if (res.status === 401) throw new RecruiterKeyError();
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to export the question bank');
+    }
+
+    return res.blob();
+}
+
+// Every scoring rubric, the built-in one first; open to everyone
+export async function listRubrics() {
+    const res = await fetch(`${API_BASE}/rubrics`);
+
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.detail || 'Failed to load scoring rubrics');
+    }
+
     return res.json();
 }
+
+// Creates a rubric, or replaces an existing one when `rubricId` is given
+export async function saveRubric(recruiterKey, rubric, rubricId = null) {
+    return recruiterFetch(
+        rubricId ? `/rubrics/${encodeURIComponent(rubricId)}` : '/rubrics',
+        recruiterKey,
+        {
+            method: rubricId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(rubric),
+        },
+        'Failed to save the rubric',
+    );
+}
+
+export async function deleteRubric(recruiterKey, rubricId) {
+    return recruiterFetch(
+        `/rubrics/${encodeURIComponent(rubricId)}`, recruiterKey, { method: 'DELETE' }, 'Failed to delete the rubric',
+    );
+}
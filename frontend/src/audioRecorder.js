@@ -0,0 +1,73 @@
+// Records answers with MediaRecorder so the backend can transcribe them.
+// The microphone stream is requested once and reused for every answer.
+let micStreamPromise = null;
+
+export function isAudioRecordingSupported() {
+    return Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+}
+
+function getMicrophone() {
+    if (!micStreamPromise) {
+        micStreamPromise = navigator.mediaDevices.getUserMedia({ audio: true })
+            .catch((err) => {
+                micStreamPromise = null;
+                throw err;
+            });
+    }
+    return micStreamPromise;
+}
+
+// Starts recording and returns a handle whose stop() resolves with the audio Blob.
+// elapsed() is the length of the recording so far in seconds, leaving out paused time,
+// so it lines up with positions in the recorded audio.
+export async function startAudioRecording() {
+    const stream = await getMicrophone();
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    let recordedMs = 0;
+    let runningSince = performance.now();
+
+    recorder.ondataavailable = (e) => {
+        if (e.data.size) chunks.push(e.data);
+    };
+    recorder.start(1000);
+
+    const elapsed = () => (recordedMs + (runningSince === null ? 0 : performance.now() - runningSince)) / 1000;
+
+    return {
+        elapsed,
+        // Pausing leaves a gap-free recording of just the parts that were spoken
+        pause: () => {
+            if (recorder.state !== 'recording') return;
+            recorder.pause();
+            recordedMs += performance.now() - runningSince;
+            runningSince = null;
+        },
+        resume: () => {
+            if (recorder.state !== 'paused') return;
+            recorder.resume();
+            runningSince = performance.now();
+        },
+        stop: () => new Promise((resolve) => {
+            const finish = () => resolve(new Blob(chunks, { type: recorder.mimeType }));
+            if (runningSince !== null) {
+                recordedMs += performance.now() - runningSince;
+                runningSince = null;
+            }
+            if (recorder.state === 'inactive') {
+                finish();
+                return;
+            }
+            recorder.onstop = finish;
+            recorder.stop();
+        }),
+    };
+}
+
+export function releaseMicrophone() {
+    if (!micStreamPromise) return;
+    micStreamPromise
+        .then((stream) => stream.getTracks().forEach((track) => track.stop()))
+        .catch(() => { /* never granted */ });
+    micStreamPromise = null;
+}
@@ -0,0 +1,68 @@
+import { useEffect, useMemo, useState } from 'react';
+
+// Start time (seconds into the audio) of each word of the answer. The recognizer's phrases
+// carry real timings; their words are spread evenly within each phrase and then mapped onto
+// the answer's words, which may come from the server's transcript instead of the browser's.
+function wordTimes(words, segments, duration) {
+  const timed = segments.flatMap((segment) => {
+    const parts = segment.text.split(/\s+/).filter(Boolean);
+    const step = parts.length ? (segment.end - segment.start) / parts.length : 0;
+    return parts.map((_, i) => segment.start + step * i);
+  });
+  if (!timed.length) {
+    return words.map((_, i) => (duration * i) / words.length);
+  }
+  return words.map((_, i) => timed[Math.floor((i * timed.length) / words.length)]);
+}
+
+// Plays back a recorded answer with its transcript highlighted as it is spoken
+export default function AnswerReplay({ recording, answer }) {
+  const [url, setUrl] = useState('');
+  const [currentTime, setCurrentTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(recording.audio);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [recording.audio]);
+
+  const words = useMemo(() => answer.split(/\s+/).filter(Boolean), [answer]);
+  const times = useMemo(
+    () => wordTimes(words, recording.segments || [], recording.duration || 0),
+    [words, recording],
+  );
+
+  const ext = recording.audio.type.includes('ogg') ? 'ogg' : recording.audio.type.includes('mp4') ? 'mp4' : 'webm';
+
+  // Index of the word being spoken; everything before it has been said
+  let current = -1;
+  if (playing || currentTime > 0) {
+    times.forEach((t, i) => { if (t <= currentTime) current = i; });
+  }
+
+  return (
+    <div className="answer-replay">
+      {url && (
+        <audio
+          controls
+          src={url}
+          onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+          onPlay={() => setPlaying(true)}
+          onPause={() => setPlaying(false)}
+          onEnded={() => { setPlaying(false); setCurrentTime(0); }}
+        />
+      )}
+      <p className="replay-transcript">
+        {words.map((word, i) => (
+          <span key={i} className={i < current ? 'spoken' : i === current ? 'speaking' : ''}>
+            {word}{' '}
+          </span>
+        ))}
+      </p>
+      <a className="replay-download" href={url} download={`answer-${recording.questionNumber}.${ext}`}>
+        ⬇️ Download audio
+      </a>
+    </div>
+  );
+}
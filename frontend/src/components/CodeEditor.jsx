@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { runCode } from '../api';
+
+export const CODE_LANGUAGES = [
+  { value: 'python', label: 'Python' },
+  { value: 'javascript', label: 'JavaScript' },
+];
+
+const INDENT = '    ';
+
+function formatCall(functionName, args) {
+  return `${functionName}(${args.map((arg) => JSON.stringify(arg)).join(', ')})`;
+}
+
+// Pass/fail list for a test run; shared with the report's per-question feedback
+export function CodeResults({ functionName, results }) {
+  return (
+    <div className="code-results">
+      <p className={`code-results-summary ${results.passed === results.total ? 'all-passed' : ''}`}>
+        {results.passed}/{results.total} tests passed
+      </p>
+      {results.error && <pre className="code-results-error">{results.error}</pre>}
+      <ul className="code-case-list">
+        {results.cases.map((c, i) => (
+          <li key={i} className={c.passed ? 'passed' : 'failed'}>
+            <code>{c.passed ? '✅' : '❌'} {formatCall(functionName, c.args)}</code>
+            {!c.passed && (
+              <span>
+                expected <code>{JSON.stringify(c.expected ?? null)}</code>
+                {c.error ? <>, error <code>{c.error}</code></> : <>, got <code>{JSON.stringify(c.output)}</code></>}
+              </span>
+            )}
+            {c.stdout && <pre className="code-case-stdout">{c.stdout}</pre>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function CodeEditor({
+  sessionId,
+  questionNumber,
+  coding,
+  language,
+  code,
+  onLanguageChange,
+  onCodeChange,
+  disabled = false,
+}) {
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleKeyDown = (e) => {
+    // Tab indents instead of moving focus out of the editor
+    if (e.key !== 'Tab') return;
+    e.preventDefault();
+    const editor = e.target;
+    const { selectionStart, selectionEnd, value } = editor;
+    onCodeChange(value.slice(0, selectionStart) + INDENT + value.slice(selectionEnd));
+    requestAnimationFrame(() => {
+      editor.selectionStart = editor.selectionEnd = selectionStart + INDENT.length;
+    });
+  };
+
+  const run = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      setResult(await runCode(sessionId, questionNumber, language, code));
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const lineCount = code.split('\n').length;
+
+  return (
+    <div className="code-editor">
+      <div className="code-editor-toolbar">
+        <div className="segmented">
+          {CODE_LANGUAGES.map((l) => (
+            <button
+              key={l.value}
+              type="button"
+              className={`segment ${language === l.value ? 'selected' : ''}`}
+              onClick={() => onLanguageChange(l.value)}
+              disabled={disabled}
+            >
+              {l.label}
+            </button>
+          ))}
+        </div>
+        <button type="button" className="btn btn-secondary" onClick={run} disabled={disabled || running}>
+          {running ? '⏳ Running…' : '▶ Run Examples'}
+        </button>
+      </div>
+
+      <div className="code-editor-body">
+        <pre className="code-editor-gutter" aria-hidden="true">
+          {Array.from({ length: lineCount }, (_, i) => i + 1).join('\n')}
+        </pre>
+        <textarea
+          className="code-editor-input"
+          value={code}
+          rows={lineCount + 1}
+          wrap="off"
+          spellCheck={false}
+          disabled={disabled}
+          onChange={(e) => onCodeChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+      </div>
+
+      {result ? (
+        <CodeResults functionName={coding.function_name} results={result} />
+      ) : (
+        <ul className="code-case-list">
+          {coding.examples.map((example, i) => (
+            <li key={i}>
+              <code>{formatCall(coding.function_name, example.args)} → {JSON.stringify(example.expected ?? null)}</code>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="error-text">{error}</p>}
+    </div>
+  );
+}
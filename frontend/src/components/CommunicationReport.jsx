@@ -0,0 +1,91 @@
+// Conversational pace for interview answers, in words per minute
+const PACE_RANGE = [110, 170];
+
+function paceNote(wpm) {
+  if (wpm === null || wpm === undefined) return '';
+  if (wpm < PACE_RANGE[0]) return 'a little slow';
+  if (wpm > PACE_RANGE[1]) return 'on the fast side';
+  return 'easy to follow';
+}
+
+function formatSeconds(seconds) {
+  if (seconds === null || seconds === undefined) return '–';
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+}
+
+function topFillers(fillerWords, limit = 3) {
+  return Object.entries(fillerWords)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit)
+    .map(([word, count]) => `"${word}" ×${count}`)
+    .join(', ');
+}
+
+// Delivery across the spoken answers: pace, filler words, pauses and how quickly answers started
+export default function CommunicationReport({ summary, delivery = {}, questions = [] }) {
+  const numbers = Object.keys(delivery).sort((a, b) => Number(a) - Number(b));
+
+  const stats = [
+    { label: 'Pace', value: summary.words_per_minute ? `${summary.words_per_minute} wpm` : '–', note: paceNote(summary.words_per_minute) },
+    {
+      label: 'Filler words',
+      value: summary.filler_count,
+      note: summary.fillers_per_100_words !== null ? `${summary.fillers_per_100_words} per 100 words` : '',
+    },
+    { label: 'Long pauses', value: summary.long_pauses, note: `longest ${formatSeconds(summary.longest_pause_seconds)}` },
+    { label: 'Time to first word', value: formatSeconds(summary.average_time_to_first_word_seconds), note: 'on average' },
+    { label: 'Speaking time', value: formatSeconds(summary.speaking_seconds), note: `${summary.word_count} words` },
+  ];
+
+  return (
+    <div className="report-section">
+      <h3>🗣️ Communication</h3>
+      <p>
+        How you delivered your {summary.answers} spoken answer{summary.answers === 1 ? '' : 's'}.
+        A pace of {PACE_RANGE[0]}–{PACE_RANGE[1]} words per minute with few fillers is easy for an interviewer to follow.
+        {summary.filler_count > 0 && ` Most used fillers: ${topFillers(summary.filler_words)}.`}
+      </p>
+      <div className="delivery-stats">
+        {stats.map((stat) => (
+          <div key={stat.label} className="delivery-stat">
+            <span className="delivery-stat-label">{stat.label}</span>
+            <strong>{stat.value}</strong>
+            {stat.note && <span className="delivery-stat-note">{stat.note}</span>}
+          </div>
+        ))}
+      </div>
+
+      <div className="delivery-table-wrap">
+        <table className="delivery-table">
+          <thead>
+            <tr>
+              <th>Question</th>
+              <th>Pace</th>
+              <th>Fillers</th>
+              <th>Long pauses</th>
+              <th>First word</th>
+              <th>Speaking</th>
+            </tr>
+          </thead>
+          <tbody>
+            {numbers.map((number) => {
+              const m = delivery[number];
+              return (
+                <tr key={number}>
+                  <td title={questions[Number(number) - 1]}>
+                    <span className="question-badge">Q{number}</span>
+                  </td>
+                  <td>{m.words_per_minute ? `${m.words_per_minute} wpm` : '–'}</td>
+                  <td title={topFillers(m.filler_words, 10)}>{m.filler_count}</td>
+                  <td>{m.long_pauses}</td>
+                  <td>{formatSeconds(m.time_to_first_word_seconds)}</td>
+                  <td>{formatSeconds(m.speaking_seconds)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -6,7 +6,10 @@ export default function EvaluationCard({ evaluation }) {
     { label: 'Clarity', value: evaluation.clarity_score, color: '#00C9A7' },
     { label: 'Structure', value: evaluation.structure_score, color: '#FF6B6B' },
     { label: 'Relevance', value: evaluation.relevance_score, color: '#FFC75F' },
-  ];
+    // Only present for live coding answers
+    { label: 'Correctness', value: evaluation.correctness_score, color: '#4FC3F7' },
+    { label: 'Reasoning', value: evaluation.reasoning_score, color: '#F06292' },
+  ].filter((s) => s.value !== undefined && s.value !== null);
 
   return (
     <div className="evaluation-card">
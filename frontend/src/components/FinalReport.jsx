@@ -1,16 +1,177 @@
-export default function FinalReport({ report }) {
-  if (!report) return null;
+import { useEffect, useState } from 'react';
+import EvaluationCard from './EvaluationCard';
+import { CodeResults } from './CodeEditor';
+import Whiteboard from './Whiteboard';
+import PracticeAgain from './PracticeAgain';
+import CommunicationReport from './CommunicationReport';
+import AnswerReplay from './AnswerReplay';
+import {
+  buildExportBundle, downloadJSON, downloadMarkdown, downloadPDF, roundResults,
+} from '../reportExport';
+import { deleteAllRecordings, isRecordingStorageSupported, loadRecordings } from '../recordingStore';
+
+const RECOMMENDATION_PALETTE = ['#00C9A7', '#6C63FF', '#FFC75F', '#FF6B6B'];
+
+// The built-in rubric's scale, for reports from before rubrics were configurable
+const DEFAULT_RECOMMENDATION_SCALE = ['Strongly Recommend', 'Recommend', 'Consider', 'Do Not Recommend'];
+
+// `scale` lists the rubric's recommendations best first; the best is always green and the worst red
+export function recommendationColor(label, scale = DEFAULT_RECOMMENDATION_SCALE) {
+  const rank = scale.indexOf(label);
+  if (rank === -1) return '#6C63FF';
+  const position = scale.length > 1 ? rank / (scale.length - 1) : 0;
+  return RECOMMENDATION_PALETTE[Math.round(position * (RECOMMENDATION_PALETTE.length - 1))];
+}
+
+function criterionColor(score) {
+  return score >= 7.5 ? '#00C9A7' : score >= 5 ? '#FFC75F' : '#FF6B6B';
+}
+
+const VERDICT_ICONS = { improved: '📈', unchanged: '➖', declined: '📉' };
+
+const EXPORT_FORMATS = [
+  { value: 'pdf', label: '📄 PDF', download: downloadPDF },
+  { value: 'md', label: '📝 Markdown', download: downloadMarkdown },
+  { value: 'json', label: '🧩 JSON', download: downloadJSON },
+];
+
+export default function FinalReport({
+  sessionId,
+  report,
+  reportError = '',
+  onRetryReport,
+  questions = [],
+  questionSources = [],
+  answers = [],
+  evaluations = [],
+  answerModes = [],
+  codeAnswers = {},
+  diagrams = {},
+  clarifications = {},
+  delivery = {},
+  deliverySummary = null,
+  practice = null,
+  roundScores = null,
+  onPractice,
+  onRestart,
+  onBack,
+  backLabel = '← Back to History',
+}) {
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exporting, setExporting] = useState('');
+  const [exportError, setExportError] = useState('');
+  const [retrying, setRetrying] = useState(false);
+  const [retryError, setRetryError] = useState('');
+  const [recordings, setRecordings] = useState({});
+
+  // Answer audio lives only in this browser, so a report opened elsewhere has none to replay
+  useEffect(() => {
+    if (!sessionId || !isRecordingStorageSupported()) return undefined;
+    let cancelled = false;
+    loadRecordings(sessionId)
+      .then((found) => { if (!cancelled) setRecordings(found); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [sessionId]);
+
+  const handleDeleteRecordings = async () => {
+    if (!window.confirm('Delete every answer recording stored in this browser? This cannot be undone.')) return;
+    try {
+      await deleteAllRecordings();
+      setRecordings({});
+    } catch {
+      setExportError('Could not delete the recordings — clear this site\'s data in your browser instead.');
+    }
+  };
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    setRetryError('');
+    try {
+      await onRetryReport();
+    } catch (err) {
+      setRetryError(err.message);
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  // The transcript is saved even when report generation fails, so it can be retried
+  if (!report) {
+    return (
+      <div className="report-container">
+        <h1 className="report-title">🎯 Interview Report</h1>
+        <div className="report-section report-failed">
+          <h3>⚠️ Report generation failed</h3>
+          <p>
+            Your {answers.length} answers are saved. The report could not be generated
+            {reportError ? ` (${reportError})` : ''} — try again in a moment.
+          </p>
+        </div>
+        {retryError && <p className="error-text">{retryError}</p>}
+        <div className="report-actions">
+          <button className="btn btn-primary" onClick={handleRetry} disabled={retrying}>
+            {retrying ? '⏳ Generating report…' : '🔄 Retry Report'}
+          </button>
+          {onBack && (
+            <button className="btn btn-secondary" onClick={onBack} disabled={retrying}>
+              {backLabel}
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={onRestart} disabled={retrying}>
+            Start New Interview
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const exportBundle = () => buildExportBundle({
+    sessionId, report, questions, answers, evaluations, answerModes, codeAnswers, diagrams, clarifications,
+    delivery, deliverySummary, practice, questionSources, roundScores,
+  });
+
+  const handleExport = async (format) => {
+    setExportOpen(false);
+    setExportError('');
+    setExporting(format.value);
+    try {
+      await format.download(exportBundle());
+    } catch (err) {
+      setExportError(`Export failed: ${err.message}`);
+    } finally {
+      setExporting('');
+    }
+  };
+
+  const recommendationScale = report.rubric?.recommendations.map((r) => r.label);
+  const totalWeight = (report.criteria || []).reduce((sum, c) => sum + c.weight, 0);
 
   const scoreColor =
     report.overall_score >= 75 ? '#00C9A7' :
     report.overall_score >= 50 ? '#FFC75F' : '#FF6B6B';
 
-  const recColor = {
-    'Strongly Recommend': '#00C9A7',
-    'Recommend': '#6C63FF',
-    'Consider': '#FFC75F',
-    'Do Not Recommend': '#FF6B6B',
-  };
+  const typedAnswers = answerModes
+    .map((mode, i) => (mode === 'text' ? `Q${i + 1}` : null))
+    .filter(Boolean);
+
+  const scoreDelta = practice
+    ? Math.round(practice.overall_score - practice.previous_overall_score)
+    : 0;
+
+  const rounds = roundResults(report, roundScores);
+
+  // Answers with feedback or attachments; one whose scoring failed still shows its replay, code and whiteboard
+  const feedbackNumbers = answers
+    .map((_, i) => i + 1)
+    .filter((n) => evaluations[n - 1] || recordings[String(n)] || codeAnswers[String(n)]
+      || diagrams[String(n)] || clarifications[String(n)]?.length);
+
+  const roleFitColumns = [
+    { key: 'demonstrated', label: 'Demonstrated', color: '#00C9A7' },
+    { key: 'weak', label: 'Weak', color: '#FFC75F' },
+    { key: 'not_covered', label: 'Not Covered', color: '#FF6B6B' },
+  ];
 
   return (
     <div className="report-container">
@@ -37,11 +198,131 @@ export default function FinalReport({ report }) {
 
       <div
         className="recommendation-badge"
-        style={{ backgroundColor: recColor[report.hire_recommendation] || '#6C63FF' }}
+        style={{ backgroundColor: recommendationColor(report.hire_recommendation, recommendationScale) }}
       >
         {report.hire_recommendation}
       </div>
 
+      {report.criteria?.length > 0 && (
+        <div className="report-section">
+          <h3>📊 Score Breakdown</h3>
+          {report.rubric && (
+            <p className="criteria-note">
+              Scored with the <strong>{report.rubric.name}</strong> rubric. The overall score is the weighted
+              average of these criteria; {report.rubric.recommendations
+                .map((r) => `${r.label} from ${r.min_score}`)
+                .join(', ')}.
+            </p>
+          )}
+          <div className="criteria-list">
+            {report.criteria.map((criterion) => (
+              <div key={criterion.name} className="criterion-item">
+                <div className="criterion-header">
+                  <strong>{criterion.name}</strong>
+                  <span className="criterion-weight">{Math.round((100 * criterion.weight) / totalWeight)}% of score</span>
+                  {criterion.level && <span className="criterion-level">{criterion.level}</span>}
+                  <span className="criterion-score" style={{ color: criterionColor(criterion.score) }}>
+                    {criterion.score}/10
+                  </span>
+                </div>
+                <div className="criterion-bar">
+                  <div
+                    className="criterion-bar-fill"
+                    style={{ width: `${criterion.score * 10}%`, backgroundColor: criterionColor(criterion.score) }}
+                  />
+                </div>
+                <p>{criterion.justification}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {typedAnswers.length > 0 && (
+        <p className="mode-notice">
+          ⌨️ {typedAnswers.length === answerModes.length
+            ? 'All answers were typed'
+            : `Typed answers: ${typedAnswers.join(', ')}`} — delivery was not assessed for these.
+        </p>
+      )}
+
+      {report.resume_summary && (
+        <div className="report-section">
+          <h3>📋 Resume Summary</h3>
+          <p>{report.resume_summary}</p>
+        </div>
+      )}
+
+      {rounds.length > 0 && (
+        <div className="report-section">
+          <h3>🧭 Interview Rounds</h3>
+          <p>The overall recommendation above weighs all {rounds.length} rounds together.</p>
+          <div className="round-results">
+            {rounds.map((round) => (
+              <div key={round.name} className="round-result">
+                <div className="round-result-header">
+                  <strong>{round.name}</strong>
+                  {round.score !== undefined && <span className="round-result-score">{round.score}/100</span>}
+                </div>
+                {round.recommendation && (
+                  <span
+                    className="round-result-badge"
+                    style={{ color: recommendationColor(round.recommendation, recommendationScale) }}
+                  >
+                    {round.recommendation}
+                  </span>
+                )}
+                {round.summary && <p>{round.summary}</p>}
+                <span className="round-result-meta">
+                  {round.questions} question{round.questions === 1 ? '' : 's'}
+                  {round.average !== null && ` · avg answer ${round.average}/10`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {practice && (
+        <div className="report-section progress-section">
+          <h3>📈 Progress Since Last Attempt</h3>
+          <p className="progress-overall">
+            Overall {practice.previous_overall_score} → {practice.overall_score}
+            <span className={`progress-delta ${scoreDelta > 0 ? 'up' : scoreDelta < 0 ? 'down' : ''}`}>
+              {scoreDelta > 0 ? '+' : ''}{scoreDelta}
+            </span>
+          </p>
+          {report.improvement?.summary && <p>{report.improvement.summary}</p>}
+
+          {practice.questions.length > 0 && (
+            <ul className="progress-list">
+              {practice.questions.map((q, i) => (
+                <li key={i}>
+                  <span className="question-badge">Q{i + 1}</span>
+                  <span className="progress-topic">{q.question}</span>
+                  <span className="progress-scores">
+                    {q.previous_average ?? '–'} → {q.average ?? '–'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {report.improvement?.topics?.length > 0 && (
+            <ul className="progress-list">
+              {report.improvement.topics.map((topic) => (
+                <li key={topic.topic} className={`verdict-${topic.verdict}`}>
+                  <span>{VERDICT_ICONS[topic.verdict] || '➖'}</span>
+                  <span className="progress-topic">
+                    <strong>{topic.topic}</strong> — {topic.note}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       <div className="report-section">
         <h3>📝 Summary</h3>
         <p>{report.summary}</p>
@@ -58,14 +339,133 @@ export default function FinalReport({ report }) {
         </div>
       </div>
 
+      {report.role_fit && (
+        <div className="report-section">
+          <h3>🎯 Role Fit</h3>
+          <div className="role-fit-grid">
+            {roleFitColumns.map((col) => (
+              <div key={col.key} className="role-fit-column" style={{ '--role-fit-color': col.color }}>
+                <h4 style={{ color: col.color }}>{col.label}</h4>
+                {report.role_fit[col.key]?.length ? (
+                  <ul>
+                    {report.role_fit[col.key].map((req) => <li key={req}>{req}</li>)}
+                  </ul>
+                ) : (
+                  <p>None</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {deliverySummary && (
+        <CommunicationReport summary={deliverySummary} delivery={delivery} questions={questions} />
+      )}
+
       <div className="report-section roadmap-section">
         <h3>🗺️ Improvement Roadmap</h3>
         <p>{report.improvement_roadmap}</p>
       </div>
 
-      <button className="btn btn-primary" onClick={() => window.location.reload()}>
-        🔄 Start New Interview
-      </button>
+      {feedbackNumbers.length > 0 && (
+        <div className="answer-feedback-list">
+          <h3>🧾 Per-Question Feedback</h3>
+          {Object.keys(recordings).length > 0 && (
+            <p className="replay-note">
+              🎧 Your spoken answers are saved in this browser for replay. They are only uploaded if you turn
+              on server transcription, and the server does not keep them.
+              <button className="replay-delete" onClick={handleDeleteRecordings}>🗑️ Delete my recordings</button>
+            </p>
+          )}
+          {feedbackNumbers.map((n) => {
+            const i = n - 1;
+            const evaluation = evaluations[i];
+            const codeAnswer = codeAnswers[String(n)];
+            const diagram = diagrams[String(n)];
+            const asked = clarifications[String(n)] || [];
+            const recording = recordings[String(n)];
+            return (
+              <div key={i} className="answer-feedback-item">
+                <p className="answer-feedback-question">
+                  <span className="question-badge">Q{i + 1}</span>
+                  {questionSources[i] === 'bank' && <span className="bank-tag" title="From the question bank">📚 Bank</span>}
+                  {' '}{questions[i]}
+                </p>
+                {recording && (
+                  <details className="answer-attachment">
+                    <summary>🎧 Replay your answer</summary>
+                    <AnswerReplay recording={recording} answer={answers[i] || ''} />
+                  </details>
+                )}
+                {asked.length > 0 && (
+                  <details className="answer-attachment">
+                    <summary>💬 Clarifications ({asked.length})</summary>
+                    <ul className="clarification-list">
+                      {asked.map((c, j) => (
+                        <li key={j}>
+                          <p><strong>You:</strong> {c.question}</p>
+                          <p><strong>Interviewer:</strong> {c.answer}</p>
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+                {codeAnswer && (
+                  <details className="answer-attachment">
+                    <summary>💻 Code ({codeAnswer.language})</summary>
+                    <pre className="code-answer-source">{codeAnswer.code}</pre>
+                    <CodeResults functionName={codeAnswer.function_name} results={codeAnswer.results} />
+                  </details>
+                )}
+                {diagram && (
+                  <details className="answer-attachment" open>
+                    <summary>🧩 Whiteboard</summary>
+                    <Whiteboard value={diagram} readOnly />
+                  </details>
+                )}
+                {evaluation && <EvaluationCard evaluation={evaluation} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {onPractice && answers.length > 0 && (
+        <PracticeAgain questions={questions} answers={answers} onPractice={onPractice} />
+      )}
+
+      {exportError && <p className="error-text">{exportError}</p>}
+
+      <div className="report-actions">
+        <div className="export-menu">
+          <button
+            className="btn btn-secondary"
+            onClick={() => setExportOpen((open) => !open)}
+            disabled={Boolean(exporting)}
+            aria-expanded={exportOpen}
+          >
+            {exporting ? '⏳ Exporting…' : '⬇️ Export Report'}
+          </button>
+          {exportOpen && (
+            <div className="export-options" role="menu">
+              {EXPORT_FORMATS.map((format) => (
+                <button key={format.value} role="menuitem" onClick={() => handleExport(format)}>
+                  {format.label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        {onBack && (
+          <button className="btn btn-secondary" onClick={onBack}>
+            {backLabel}
+          </button>
+        )}
+        <button className="btn btn-primary" onClick={onRestart}>
+          🔄 Start New Interview
+        </button>
+      </div>
     </div>
   );
 }
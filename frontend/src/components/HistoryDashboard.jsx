@@ -0,0 +1,218 @@
+import { useState, useEffect } from 'react';
+import { listSessions } from '../api';
+import { recommendationColor } from './FinalReport';
+
+const CRITERIA = [
+  { key: 'technical_score', label: 'Technical', color: '#6C63FF' },
+  { key: 'clarity_score', label: 'Clarity', color: '#00C9A7' },
+  { key: 'structure_score', label: 'Structure', color: '#FF6B6B' },
+  { key: 'relevance_score', label: 'Relevance', color: '#FFC75F' },
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 24;
+
+export function formatDate(seconds) {
+  return new Date(seconds * 1000).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+// Weak areas come back as free text ("Scaling, incident handling"); split them into comparable phrases
+function splitAreas(text) {
+  return (text || '')
+    .split(/[,;\n]|\band\b/)
+    .map((area) => area.trim().replace(/\.$/, ''))
+    .filter((area) => area.length > 2);
+}
+
+function recurringWeakAreas(sessions) {
+  const areas = new Map();
+  sessions.forEach((session, i) => {
+    splitAreas(session.weak_areas).forEach((area) => {
+      const key = area.toLowerCase();
+      const entry = areas.get(key) || { label: area, count: 0, inLatest: false };
+      entry.count += 1;
+      if (i === 0) entry.inLatest = true;
+      areas.set(key, entry);
+    });
+  });
+  return [...areas.values()]
+    .filter((area) => area.count > 1)
+    .sort((a, b) => b.count - a.count);
+}
+
+function TrendChart({ points, series, max }) {
+  const x = (i) => points.length === 1
+    ? CHART_WIDTH / 2
+    : CHART_PADDING + (i * (CHART_WIDTH - CHART_PADDING * 2)) / (points.length - 1);
+  const y = (value) => CHART_HEIGHT - CHART_PADDING - (value / max) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+  return (
+    <div className="trend-chart">
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" role="img">
+        {[0, 0.5, 1].map((fraction) => (
+          <line
+            key={fraction}
+            className="trend-gridline"
+            x1={CHART_PADDING}
+            x2={CHART_WIDTH - CHART_PADDING}
+            y1={y(max * fraction)}
+            y2={y(max * fraction)}
+          />
+        ))}
+        {series.map((s) => {
+          const values = points
+            .map((point, i) => [i, s.value(point)])
+            .filter(([, value]) => value != null);
+          return (
+            <g key={s.label}>
+              <polyline
+                className="trend-line"
+                style={{ stroke: s.color }}
+                points={values.map(([i, value]) => `${x(i)},${y(value)}`).join(' ')}
+              />
+              {values.map(([i, value]) => (
+                <circle key={i} cx={x(i)} cy={y(value)} r={4} style={{ fill: s.color }}>
+                  <title>{`${s.label}: ${value} — ${formatDate(points[i].created_at)}`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+      {series.length > 1 && (
+        <div className="trend-legend">
+          {series.map((s) => (
+            <span key={s.label}>
+              <i style={{ background: s.color }} />
+              {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function HistoryDashboard({ onOpenReport, onClose }) {
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    listSessions()
+      .then((data) => { if (!cancelled) setSessions(data.sessions); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, []);
+
+  if (error) {
+    return (
+      <div className="history-container">
+        <p className="error-text">{error}</p>
+        <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+      </div>
+    );
+  }
+
+  if (!sessions) {
+    return (
+      <div className="restore-state">
+        <span className="spinner" />
+        <span>Loading your interview history…</span>
+      </div>
+    );
+  }
+
+  // Oldest first, so the charts read left to right
+  const timeline = [...sessions].reverse();
+  const recurring = recurringWeakAreas(sessions);
+
+  return (
+    <div className="history-container">
+      <h1 className="report-title">📈 Interview History</h1>
+
+      {sessions.length === 0 ? (
+        <div className="report-section history-empty">
+          <p>No finished interviews yet. Complete one and it will show up here.</p>
+        </div>
+      ) : (
+        <>
+          <div className="report-section">
+            <h3>🏁 Overall Score</h3>
+            <TrendChart
+              points={timeline}
+              max={100}
+              series={[{ label: 'Overall', color: '#6C63FF', value: (s) => s.overall_score }]}
+            />
+          </div>
+
+          {timeline.some((s) => s.score_averages) && (
+            <div className="report-section">
+              <h3>📊 Average Answer Scores</h3>
+              <TrendChart
+                points={timeline}
+                max={10}
+                series={CRITERIA.map((c) => ({
+                  label: c.label,
+                  color: c.color,
+                  value: (s) => s.score_averages?.[c.key] ?? null,
+                }))}
+              />
+            </div>
+          )}
+
+          {recurring.length > 0 && (
+            <div className="report-section">
+              <h3>🔁 Recurring Weak Areas</h3>
+              <div className="chip-list">
+                {recurring.map((area) => (
+                  <span
+                    key={area.label}
+                    className={`chip weak-area-chip ${area.inLatest ? '' : 'resolved'}`}
+                    title={area.inLatest ? 'Still flagged in your latest interview' : 'Not flagged in your latest interview'}
+                  >
+                    {area.inLatest ? '⚠️' : '✅'} {area.label} ×{area.count}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="history-list">
+            {sessions.map((session) => (
+              <button
+                key={session.session_id}
+                className="history-item"
+                onClick={() => onOpenReport(session.session_id)}
+              >
+                <div className="history-item-main">
+                  <span className="history-item-title">
+                    {session.parent_session_id && <span className="practice-tag">Practice</span>}
+                    {session.resume_name}
+                  </span>
+                  <span className="history-item-meta">
+                    {formatDate(session.created_at)} · {session.difficulty} · {session.question_count} questions
+                  </span>
+                </div>
+                <span
+                  className="history-item-rec"
+                  style={{ color: recommendationColor(session.hire_recommendation, session.recommendation_scale) }}
+                >
+                  {session.hire_recommendation}
+                </span>
+                <span className="history-item-score">{session.overall_score}</span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+    </div>
+  );
+}
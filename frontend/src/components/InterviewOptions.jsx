@@ -0,0 +1,365 @@
+import { useEffect, useState } from 'react';
+import VoiceSettings from './VoiceSettings';
+import TurnSettings from './TurnSettings';
+import { INTERVIEW_LANGUAGES } from '../speechSettings';
+import { listQuestionBanks, listRubrics } from '../api';
+
+export const DEFAULT_INTERVIEW_OPTIONS = {
+  numQuestions: 6,
+  difficulty: 'mid',
+  focusAreas: [],
+  hideScores: false,
+  jobDescription: '',
+  jobDescriptionFile: null,
+  answerMode: 'voice',
+  loop: '',
+  coding: false,
+  language: 'en',
+  tone: 'neutral',
+  questionBankId: '',
+  bankQuestions: 2,
+  rubricId: 'default',
+};
+
+const MIN_QUESTIONS = 3;
+const MAX_QUESTIONS = 15;
+
+const DIFFICULTIES = [
+  { value: 'junior', label: 'Junior' },
+  { value: 'mid', label: 'Mid' },
+  { value: 'senior', label: 'Senior' },
+  { value: 'staff', label: 'Staff' },
+];
+
+const ANSWER_MODES = [
+  { value: 'voice', label: '🎙️ Speak' },
+  { value: 'text', label: '⌨️ Type' },
+];
+
+// Mirrors INTERVIEW_LOOPS in backend/services/interview_loops.py
+const LOOPS = [
+  { value: '', label: 'Single Round', description: 'One interviewer, as many questions as you choose.' },
+  {
+    value: 'standard',
+    label: 'Standard Loop',
+    questions: 7,
+    description: 'Recruiter screen → technical deep dive → behavioural. 7 questions, timed rounds.',
+  },
+  {
+    value: 'onsite',
+    label: 'On-site Loop',
+    questions: 9,
+    description: 'Recruiter screen → technical → system design → behavioural. 9 questions, timed rounds.',
+  },
+];
+
+// Mirrors INTERVIEWER_TONES in backend/services/groq_service.py
+const TONES = [
+  { value: 'friendly', label: '😊 Friendly' },
+  { value: 'neutral', label: '😐 Neutral' },
+  { value: 'bar_raiser', label: '🧐 Bar Raiser' },
+];
+
+const FOCUS_PRESETS = ['System Design', 'Behavioural', 'Problem Solving', 'Project Deep Dive'];
+
+// With `invitation`, a recruiter is choosing the settings for someone else: the
+// candidate's own browser preferences and the hide-scores toggle don't apply.
+export default function InterviewOptions({ options, onChange, disabled = false, invitation = false }) {
+  const [customFocus, setCustomFocus] = useState('');
+  const [banks, setBanks] = useState([]);
+  const [rubrics, setRubrics] = useState([]);
+
+  // The bank picker only shows up once someone has created a bank
+  useEffect(() => {
+    let cancelled = false;
+    listQuestionBanks()
+      .then((data) => { if (!cancelled) setBanks(data.banks); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  // Likewise the rubric picker, once there is more than the built-in rubric
+  useEffect(() => {
+    let cancelled = false;
+    listRubrics()
+      .then((data) => { if (!cancelled) setRubrics(data.rubrics); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  const update = (patch) => onChange({ ...options, ...patch });
+
+  const toggleFocus = (area) => {
+    update({
+      focusAreas: options.focusAreas.includes(area)
+        ? options.focusAreas.filter((a) => a !== area)
+        : [...options.focusAreas, area],
+    });
+  };
+
+  const addCustomFocus = () => {
+    const area = customFocus.trim();
+    if (area && !options.focusAreas.includes(area)) {
+      update({ focusAreas: [...options.focusAreas, area] });
+    }
+    setCustomFocus('');
+  };
+
+  // Custom skills stay visible as chips alongside the presets
+  const customAreas = options.focusAreas.filter((a) => !FOCUS_PRESETS.includes(a));
+
+  const totalQuestions = LOOPS.find((l) => l.value === options.loop)?.questions || options.numQuestions;
+  const bank = banks.find((b) => b.id === options.questionBankId);
+  const maxBankQuestions = bank ? Math.min(bank.question_count, totalQuestions) : 1;
+  const bankQuestions = Math.min(options.bankQuestions, maxBankQuestions);
+  const rubric = rubrics.find((r) => r.id === options.rubricId);
+  const rubricWeight = rubric ? rubric.criteria.reduce((sum, c) => sum + c.weight, 0) : 0;
+
+  return (
+    <fieldset className="interview-options" disabled={disabled}>
+      <div className="option-group">
+        <span className="option-label">Interview Format</span>
+        <div className="segmented">
+          {LOOPS.map((l) => (
+            <button
+              key={l.value}
+              type="button"
+              className={`segment ${options.loop === l.value ? 'selected' : ''}`}
+              onClick={() => update({ loop: l.value })}
+            >
+              {l.label}
+            </button>
+          ))}
+        </div>
+        <p className="option-hint">{LOOPS.find((l) => l.value === options.loop)?.description}</p>
+      </div>
+
+      {!options.loop && (
+        <div className="option-group">
+          <span className="option-label">Questions</span>
+          <div className="option-row">
+            <input
+              type="range"
+              min={MIN_QUESTIONS}
+              max={MAX_QUESTIONS}
+              value={options.numQuestions}
+              onChange={(e) => update({ numQuestions: Number(e.target.value) })}
+              className="option-range"
+            />
+            <span className="option-value">{options.numQuestions}</span>
+          </div>
+        </div>
+      )}
+
+      <div className="option-group">
+        <span className="option-label">Difficulty</span>
+        <div className="segmented">
+          {DIFFICULTIES.map((d) => (
+            <button
+              key={d.value}
+              type="button"
+              className={`segment ${options.difficulty === d.value ? 'selected' : ''}`}
+              onClick={() => update({ difficulty: d.value })}
+            >
+              {d.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="option-group">
+        <span className="option-label">Answer By</span>
+        <div className="segmented">
+          {ANSWER_MODES.map((m) => (
+            <button
+              key={m.value}
+              type="button"
+              className={`segment ${options.answerMode === m.value ? 'selected' : ''}`}
+              onClick={() => update({ answerMode: m.value })}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        {options.answerMode === 'voice' && !invitation && <TurnSettings disabled={disabled} />}
+      </div>
+
+      <div className="option-group">
+        <span className="option-label">Interviewer</span>
+        <div className="segmented">
+          {TONES.map((t) => (
+            <button
+              key={t.value}
+              type="button"
+              className={`segment ${options.tone === t.value ? 'selected' : ''}`}
+              onClick={() => update({ tone: t.value })}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+        <div className="option-row">
+          <span className="option-hint">Language</span>
+          <select
+            className="option-select"
+            value={options.language}
+            onChange={(e) => update({ language: e.target.value })}
+          >
+            {INTERVIEW_LANGUAGES.map((l) => (
+              <option key={l.value} value={l.value}>{l.label}</option>
+            ))}
+          </select>
+        </div>
+        {!invitation && <VoiceSettings language={options.language} disabled={disabled} />}
+      </div>
+
+      {banks.length > 0 && (
+        <div className="option-group">
+          <span className="option-label">Question Bank</span>
+          <select
+            className="option-select"
+            value={options.questionBankId}
+            onChange={(e) => update({ questionBankId: e.target.value })}
+          >
+            <option value="">None — every question is generated</option>
+            {banks.map((b) => (
+              <option key={b.id} value={b.id}>{b.name} ({b.question_count} questions)</option>
+            ))}
+          </select>
+          {bank && (
+            <>
+              <div className="option-row">
+                <span className="option-hint">From the bank</span>
+                <input
+                  type="range"
+                  min={1}
+                  max={maxBankQuestions}
+                  value={bankQuestions}
+                  onChange={(e) => update({ bankQuestions: Number(e.target.value) })}
+                  className="option-range"
+                />
+                <span className="option-value">{bankQuestions}</span>
+              </div>
+              <p className="option-hint">
+                {bankQuestions} of the {totalQuestions} questions come from the bank, spread through the interview;
+                the rest are generated and follow up on the answers.
+              </p>
+            </>
+          )}
+        </div>
+      )}
+
+      {rubrics.length > 1 && (
+        <div className="option-group">
+          <span className="option-label">Scoring Rubric</span>
+          <select
+            className="option-select"
+            value={options.rubricId}
+            onChange={(e) => update({ rubricId: e.target.value })}
+          >
+            {rubrics.map((r) => (
+              <option key={r.id} value={r.id}>{r.name}</option>
+            ))}
+          </select>
+          {rubric && (
+            <p className="option-hint">
+              {rubric.criteria
+                .map((c) => `${c.name} ${Math.round((100 * c.weight) / rubricWeight)}%`)
+                .join(' · ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="option-group">
+        <span className="option-label">Focus Areas</span>
+        <div className="chip-list">
+          {[...FOCUS_PRESETS, ...customAreas].map((area) => (
+            <button
+              key={area}
+              type="button"
+              className={`chip ${options.focusAreas.includes(area) ? 'selected' : ''}`}
+              onClick={() => toggleFocus(area)}
+            >
+              {area}
+            </button>
+          ))}
+        </div>
+        <div className="chip-input">
+          <input
+            type="text"
+            value={customFocus}
+            placeholder={invitation ? 'Add a skill to probe, e.g. Kafka' : 'Add a skill from your resume, e.g. Kafka'}
+            onChange={(e) => setCustomFocus(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                addCustomFocus();
+              }
+            }}
+          />
+          <button type="button" className="chip" onClick={addCustomFocus} disabled={!customFocus.trim()}>
+            + Add
+          </button>
+        </div>
+      </div>
+
+      <div className="option-group">
+        <span className="option-label">{invitation ? 'Job Description (optional)' : 'Target Role (optional)'}</span>
+        <textarea
+          className="option-textarea"
+          rows={4}
+          value={options.jobDescription}
+          placeholder={invitation
+            ? 'Paste the job description so questions match the opening'
+            : 'Paste the job description to practise against a specific opening'}
+          onChange={(e) => update({ jobDescription: e.target.value })}
+        />
+        <div className="option-row">
+          <label className="chip">
+            📄 {options.jobDescriptionFile ? 'Replace JD file' : 'Upload JD (PDF/DOCX/TXT)'}
+            <input
+              type="file"
+              accept=".pdf,.docx,.doc,.txt,.md"
+              className="file-input"
+              onChange={(e) => update({ jobDescriptionFile: e.target.files[0] || null })}
+            />
+          </label>
+          {options.jobDescriptionFile && (
+            <span className="option-file">
+              {options.jobDescriptionFile.name}
+              <button
+                type="button"
+                className="option-file-remove"
+                aria-label="Remove job description file"
+                onClick={() => update({ jobDescriptionFile: null })}
+              >
+                ✕
+              </button>
+            </span>
+          )}
+        </div>
+      </div>
+
+      <label className="toggle-option">
+        <input
+          type="checkbox"
+          checked={options.coding}
+          onChange={(e) => update({ coding: e.target.checked })}
+        />
+        <span>Include a live coding exercise (Python or JavaScript)</span>
+      </label>
+
+      {!invitation && (
+        <label className="toggle-option">
+          <input
+            type="checkbox"
+            checked={options.hideScores}
+            onChange={(e) => update({ hideScores: e.target.checked })}
+          />
+          <span>Hide scores until the interview ends</span>
+        </label>
+      )}
+    </fieldset>
+  );
+}
@@ -1,20 +1,97 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { submitAnswer } from '../api';
+import {
+  submitAnswerStream,
+  askClarification,
+  transcribeAudio,
+  SessionExpiredError,
+  TranscriptionUnavailableError,
+} from '../api';
+import { isAudioRecordingSupported, startAudioRecording, releaseMicrophone } from '../audioRecorder';
+import EvaluationCard from './EvaluationCard';
+import CodeEditor from './CodeEditor';
+import Whiteboard, { EMPTY_DIAGRAM } from './Whiteboard';
+import VoiceSettings from './VoiceSettings';
+import TurnSettings from './TurnSettings';
+import { updateSavedSession } from '../storage';
+import { createDeliveryTracker } from '../deliveryMetrics';
+import { isRecordingStorageSupported, saveRecording } from '../recordingStore';
+import { interviewLanguage, loadVoiceSettings, loadTurnSettings, pickVoice } from '../speechSettings';
 
-const TOTAL_QUESTIONS = 6;
-const MAX_RECORD_SECONDS = 120;
-const SILENCE_TIMEOUT_MS = 8000; // auto-submit after 8s of silence
+const CODING_SECONDS = 15 * 60;
+
+// Index just past the last complete sentence (a terminator followed by whitespace)
+function lastSentenceEnd(text) {
+  const matches = [...text.matchAll(/[.!?](?=\s)/g)];
+  return matches.length ? matches[matches.length - 1].index + 1 : 0;
+}
+
+// Index of the round a 1-based question number falls in (mirrors round_index on the server)
+function roundIndexFor(rounds, number) {
+  let asked = 0;
+  const index = rounds.findIndex((r) => (asked += r.questions) >= number);
+  return index === -1 ? rounds.length - 1 : index;
+}
+
+function formatClock(seconds) {
+  const s = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+export default function InterviewSession({
+  sessionId,
+  firstQuestion,
+  totalQuestions,
+  initialAnswerMode = 'voice',
+  initialRounds = null,
+  initialCoding = null,
+  initialClarifications = [],
+  language = 'en',
+  initialHistory = { questions: [], answers: [] },
+  onComplete,
+  onSessionExpired,
+}) {
+  // A resumed session starts after the questions already answered
+  const startingNumber = initialHistory.answers.length + 1;
+  const { locale, phrases, commands } = interviewLanguage(language);
 
-export default function InterviewSession({ sessionId, firstQuestion, onComplete }) {
   const [currentQuestion, setCurrentQuestion] = useState(firstQuestion);
-  const [questionNumber, setQuestionNumber] = useState(1);
+  const [questionNumber, setQuestionNumber] = useState(startingNumber);
   const [transcript, setTranscript] = useState('');
   const [isRecording, setIsRecording] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
-  const [status, setStatus] = useState('speaking'); // speaking | recording | processing | idle
+  const [status, setStatus] = useState('speaking'); // speaking | thinking | recording | typing | transcribing | processing | idle
+  const [isPaused, setIsPaused] = useState(false);
+  const [pushToTalk, setPushToTalk] = useState(false);
+  const [thinkingLeft, setThinkingLeft] = useState(0);
   const [error, setError] = useState('');
-  const [timer, setTimer] = useState(MAX_RECORD_SECONDS);
-  const [speechSupported, setSpeechSupported] = useState(true);
+  // The answer whose submission failed, kept so it can be sent again unchanged
+  const [failedAnswer, setFailedAnswer] = useState(null);
+  const [timer, setTimer] = useState(
+    () => (initialCoding ? CODING_SECONDS : loadTurnSettings().maxRecordSeconds)
+  );
+  const [speechSupported] = useState(
+    () => Boolean(window.SpeechRecognition || window.webkitSpeechRecognition)
+  );
+  // Typed answers are the fallback when the browser has no Web Speech API
+  const [answerMode, setAnswerMode] = useState(speechSupported ? initialAnswerMode : 'text');
+  const [lastEvaluation, setLastEvaluation] = useState(null);
+  // Multi-round loops: a round can end early on time, which shrinks the total
+  const [rounds, setRounds] = useState(initialRounds);
+  const [total, setTotal] = useState(totalQuestions);
+  const [roundBanner, setRoundBanner] = useState(null);
+  const [now, setNow] = useState(() => Date.now() / 1000);
+  // Live coding questions: the spec (starter code + examples) and the candidate's code
+  const [coding, setCoding] = useState(initialCoding);
+  const [codeLanguage, setCodeLanguage] = useState('python');
+  const [code, setCode] = useState(initialCoding?.starter_code.python || '');
+  // Optional whiteboard sketch submitted with the answer
+  const [showWhiteboard, setShowWhiteboard] = useState(false);
+  const [diagram, setDiagram] = useState(EMPTY_DIAGRAM);
+  const [showSettings, setShowSettings] = useState(false);
+  // Clarifying questions asked about the current question, and the interviewer's replies
+  const [clarifications, setClarifications] = useState(initialClarifications);
+  const [clarifyOpen, setClarifyOpen] = useState(false);
+  const [clarifyText, setClarifyText] = useState('');
 
   // ─── Refs for mutable state (avoids stale closures) ───
   const recognitionRef = useRef(null);
@@ -23,18 +100,38 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
   const transcriptRef = useRef('');
   const isSubmittingRef = useRef(false);
   const shouldListenRef = useRef(false);
+  const answerModeRef = useRef(answerMode);
+  const audioRecordingRef = useRef(null);
+  const listenIdRef = useRef(0);
+  // Turn-taking settings are re-read at the start of every answer
+  const turnSettingsRef = useRef(loadTurnSettings());
+  const pausedRef = useRef(false);
+  const resumeListeningRef = useRef(null);
+  const thinkingIntervalRef = useRef(null);
+  // Pace, pauses and filler words for the spoken answer in progress
+  const deliveryRef = useRef(null);
+  // Set when opening the clarify box paused a running recording, so closing it can resume
+  const resumeAfterClarifyRef = useRef(false);
+  // Each spoken answer is recorded for server transcription and for replay in the report;
+  // cleared for the rest of the session if the mic is unavailable
+  const audioCaptureRef = useRef(isAudioRecordingSupported());
+  // Answers only go to /transcribe when the user opts in (TurnSettings); cleared for the rest
+  // of the session if the server's STT turns out to be unavailable
+  const serverSttRef = useRef(isAudioRecordingSupported());
+  // Recognized phrases with their position in the recording, for the synced replay
+  const segmentsRef = useRef([]);
 
   // These refs always hold the LATEST values so any callback can read them
   const currentQuestionRef = useRef(firstQuestion);
-  const previousQuestionsRef = useRef([]);
-  const previousAnswersRef = useRef([]);
-  const questionNumberRef = useRef(1);
-
-  // ─── Check browser support ───
-  useEffect(() => {
-    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SR) setSpeechSupported(false);
-  }, []);
+  const previousQuestionsRef = useRef(initialHistory.questions);
+  const previousAnswersRef = useRef(initialHistory.answers);
+  const questionNumberRef = useRef(startingNumber);
+  const codingRef = useRef(initialCoding);
+  const codeRef = useRef(code);
+  const codeLanguageRef = useRef(codeLanguage);
+  const whiteboardOpenRef = useRef(false);
+  const diagramRef = useRef(EMPTY_DIAGRAM);
+  const roundIndexRef = useRef(initialRounds ? roundIndexFor(initialRounds, startingNumber) : null);
 
   // ─── Cancel TTS on page refresh/close ───
   useEffect(() => {
@@ -45,6 +142,13 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
     return () => window.removeEventListener('beforeunload', handleUnload);
   }, []);
 
+  // ─── Tick the round clock ───
+  useEffect(() => {
+    if (!rounds) return undefined;
+    const interval = setInterval(() => setNow(Date.now() / 1000), 1000);
+    return () => clearInterval(interval);
+  }, [rounds]);
+
   // ─── Speak text via TTS ───
   const speakQuestion = useCallback((text) => {
     return new Promise((resolve) => {
@@ -52,22 +156,14 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
       window.speechSynthesis.cancel();
 
       const utterance = new SpeechSynthesisUtterance(text);
-      utterance.rate = 0.95;
+      // Read on every utterance so changes in the settings panel apply to the next question
+      const { voiceName, rate } = loadVoiceSettings();
+      utterance.rate = rate;
       utterance.pitch = 1;
-      utterance.lang = 'en-US';
-
-      const voices = window.speechSynthesis.getVoices();
-      // Prefer the most natural-sounding English voices (ordered by quality)
-      const preferred = voices.find(v => v.name.includes('Microsoft Aria Online'))   // Windows Neural
-        || voices.find(v => v.name.includes('Microsoft Jenny Online'))               // Windows Neural
-        || voices.find(v => v.name.includes('Microsoft Guy Online'))                 // Windows Neural
-        || voices.find(v => /Microsoft.*Online/i.test(v.name) && v.lang.startsWith('en'))  // Any Windows Neural
-        || voices.find(v => v.name.includes('Google US English'))                    // Chrome
-        || voices.find(v => v.name.includes('Google UK English Female'))             // Chrome
-        || voices.find(v => v.lang.startsWith('en') && v.name.includes('Google'))
-        || voices.find(v => v.lang.startsWith('en-US') && !v.localService)           // Any cloud voice
-        || voices.find(v => v.lang.startsWith('en'));
-      if (preferred) utterance.voice = preferred;
+      utterance.lang = locale;
+
+      const voice = pickVoice(window.speechSynthesis.getVoices(), locale, voiceName);
+      if (voice) utterance.voice = voice;
 
       let resolved = false;
       const safeResolve = () => {
@@ -108,11 +204,18 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
         }
       }, 250);
     });
-  }, []);
+  }, [locale]);
 
   // ─── Cleanup all recording resources ───
   const cleanupRecording = useCallback(() => {
     shouldListenRef.current = false;
+    pausedRef.current = false;
+    deliveryRef.current?.pause();
+    resumeListeningRef.current = null;
+    if (thinkingIntervalRef.current) {
+      clearInterval(thinkingIntervalRef.current);
+      thinkingIntervalRef.current = null;
+    }
     if (recognitionRef.current) {
       try { recognitionRef.current.abort(); } catch (_) { /* ignore */ }
       recognitionRef.current = null;
@@ -125,47 +228,146 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
       clearTimeout(silenceTimeoutRef.current);
       silenceTimeoutRef.current = null;
     }
+    if (audioRecordingRef.current) {
+      audioRecordingRef.current.stop();  // discard — doSubmit takes the recording it needs first
+      audioRecordingRef.current = null;
+    }
     setIsRecording(false);
+    setIsPaused(false);
   }, []);
 
-  // ─── Submit answer to backend ───
-  const doSubmit = useCallback(async () => {
-    if (isSubmittingRef.current) return;
+  // ─── Send a recorded answer to the server for transcription ───
+  const transcribeRecording = useCallback(async (audio) => {
+    try {
+      const data = await transcribeAudio(sessionId, questionNumberRef.current, audio, language);
+      return data.transcript.trim();
+    } catch (err) {
+      if (err instanceof TranscriptionUnavailableError) {
+        serverSttRef.current = false;  // stop sending the remaining answers
+      }
+      return '';  // fall back to the browser preview
+    }
+  }, [sessionId, language]);
 
-    const answer = transcriptRef.current.trim();
-    if (!answer) {
-      // No speech detected — restart listening after a short delay
-      setError('No speech detected. Listening again…');
-      cleanupRecording();
+  // ─── Capture the answer: stop recording, transcribe, and keep the audio for replay ───
+  // Returns null (and restarts the answer) when nothing was captured
+  async function captureAnswer() {
+    // Take the answer's audio before cleanup discards it
+    const recording = audioRecordingRef.current;
+    audioRecordingRef.current = null;
+    cleanupRecording();
+
+    // The browser transcript is only a live preview — the server's transcript is what gets evaluated
+    let answer = transcriptRef.current.trim();
+    const audio = recording ? await recording.stop() : null;
+    if (audio?.size && serverSttRef.current && turnSettingsRef.current.serverTranscription) {
+      setStatus('transcribing');
+      const serverTranscript = await transcribeRecording(audio);
+      if (serverTranscript) {
+        answer = serverTranscript;
+        transcriptRef.current = serverTranscript;
+        setTranscript(serverTranscript);
+      }
+    }
+
+    const delivery = answerModeRef.current === 'voice' ? deliveryRef.current?.finish(answer) : null;
+    const submittedCode = codingRef.current ? codeRef.current : null;
+    const submittedDiagram = diagramRef.current.nodes.length ? diagramRef.current : null;
+    if (!answer && !submittedCode?.trim() && !submittedDiagram) {
+      // Nothing captured — restart the answer after a short delay
+      isSubmittingRef.current = false;
+      setError(answerModeRef.current === 'text'
+        ? 'No answer typed. Starting the timer again…'
+        : 'No speech detected. Listening again…');
       setTimeout(() => {
         setError('');
-        startListeningFn();
+        startAnswerFn({ think: false });
       }, 2000);
-      return;
+      return null;
+    }
+
+    // Keep the audio in this browser for the report's replay; a failed save only loses the replay
+    if (audio?.size && answerModeRef.current === 'voice' && isRecordingStorageSupported()) {
+      saveRecording({
+        sessionId,
+        questionNumber: questionNumberRef.current,
+        audio,
+        duration: recording.elapsed(),
+        segments: segmentsRef.current,
+      }).catch(() => {});
     }
+    return { answer, delivery, submittedCode, submittedDiagram };
+  }
 
+  // ─── Submit answer to backend ───
+  const doSubmit = useCallback(async (retry = null) => {
+    if (isSubmittingRef.current) return;
     isSubmittingRef.current = true;
-    cleanupRecording();
-    setStatus('processing');
     setError('');
+    setRoundBanner(null);
+    setFailedAnswer(null);
+
+    // A retry resends the answer captured the first time; the server kept nothing from that attempt
+    const captured = retry || await captureAnswer();
+    if (!captured) return;
+    const { answer, delivery, submittedCode, submittedDiagram } = captured;
+    setStatus('processing');
 
     // Read latest values from refs
     const q = currentQuestionRef.current;
     const prevQ = [...previousQuestionsRef.current];
     const prevA = [...previousAnswersRef.current];
 
+    // Speak the next question sentence by sentence while it streams in
+    let streamed = '';
+    let spokenUpTo = 0;
+    let speech = Promise.resolve();
+    const speakCompleted = (flush) => {
+      const end = flush ? streamed.length : lastSentenceEnd(streamed);
+      if (end <= spokenUpTo) return;
+      const sentence = streamed.slice(spokenUpTo, end).trim();
+      spokenUpTo = end;
+      if (sentence) speech = speech.then(() => speakQuestion(sentence));
+    };
+
     try {
-      const data = await submitAnswer({
+      const data = await submitAnswerStream({
         session_id: sessionId,
         current_question: q,
         current_answer: answer,
         previous_questions: prevQ,
         previous_answers: prevA,
+        answer_mode: answerModeRef.current,
+        ...(submittedCode !== null && { code: submittedCode, code_language: codeLanguageRef.current }),
+        ...(submittedDiagram && { diagram: submittedDiagram }),
+        ...(delivery && { delivery }),
+      }, {
+        onToken: (text) => {
+          streamed += text;
+          setCurrentQuestion(streamed);
+          speakCompleted(false);
+        },
+        // The question is complete: speak its last sentence now rather than after scoring
+        onQuestion: (data) => {
+          setCurrentQuestion(data.next_question);
+          speakCompleted(true);
+        },
+        onRound: (state) => {
+          setRounds(state.rounds);
+          setTotal(state.total_questions);
+          if (state.round_index === roundIndexRef.current) return;
+          // Announce the new round before its first question is spoken
+          roundIndexRef.current = state.round_index;
+          const next = state.rounds[state.round_index];
+          setRoundBanner(next);
+          speech = speech.then(() => speakQuestion(phrases.nextRound(next.name)));
+        },
       });
 
-      if (data.final_report) {
-        await speakQuestion("Great job! Your interview is complete. Here are your results.");
-        onComplete(data.final_report);
+      // An invited candidate's report is withheld, so `scores_hidden` marks the end instead
+      if (data.final_report || data.report_error || data.scores_hidden) {
+        await speakQuestion(data.report_error ? phrases.reportFailed : phrases.complete);
+        onComplete(data);
         isSubmittingRef.current = false;
         return;
       }
@@ -181,26 +383,76 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
 
       setCurrentQuestion(nextQ);
       setQuestionNumber(newQNum);
+      setLastEvaluation(data.evaluation);
+      setClarifications([]);
+      codingRef.current = data.coding || null;
+      setCoding(codingRef.current);
+      updateCode(codingRef.current ? codingRef.current.starter_code[codeLanguageRef.current] : '');
+      updateDiagram(EMPTY_DIAGRAM);
+      toggleWhiteboard(false);
+      updateSavedSession({
+        questionNumber: newQNum,
+        currentQuestion: nextQ,
+        previousQuestions: previousQuestionsRef.current,
+        previousAnswers: previousAnswersRef.current,
+      });
       setTranscript('');
       transcriptRef.current = '';
       isSubmittingRef.current = false;
 
-      // Speak the next question, then start listening
-      setStatus('speaking');
-      await speakQuestion(nextQ);
-      startListeningFn();
+      // Speak whatever is left of the question, then start listening
+      speakCompleted(true);
+      await speech;
+      startAnswerFn();
     } catch (err) {
+      if (err instanceof SessionExpiredError) {
+        onSessionExpired?.(err.message);
+        return;
+      }
+      // Drop any half-streamed question and offer to send the same answer again
+      window.speechSynthesis?.cancel();
+      setCurrentQuestion(currentQuestionRef.current);
       setError(err.message || 'Something went wrong. Please try again.');
+      setFailedAnswer(captured);
       setStatus('idle');
       isSubmittingRef.current = false;
     }
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [sessionId, onComplete, cleanupRecording, speakQuestion]);
+  }, [sessionId, onComplete, onSessionExpired, cleanupRecording, transcribeRecording, speakQuestion, phrases]);
 
   // ─── Keep a ref to doSubmit so callbacks can call the latest version ───
   const doSubmitRef = useRef(doSubmit);
   useEffect(() => { doSubmitRef.current = doSubmit; }, [doSubmit]);
 
+  // ─── Code editor for coding questions ───
+  function updateCode(value) {
+    codeRef.current = value;
+    setCode(value);
+  }
+
+  const changeCodeLanguage = (language) => {
+    // Swap in the other starter code unless the candidate has already written something
+    const untouched = !codeRef.current.trim()
+      || codeRef.current === codingRef.current?.starter_code[codeLanguageRef.current];
+    codeLanguageRef.current = language;
+    setCodeLanguage(language);
+    if (untouched) updateCode(codingRef.current.starter_code[language]);
+  };
+
+  // ─── Whiteboard ───
+  function updateDiagram(value) {
+    diagramRef.current = value;
+    setDiagram(value);
+  }
+
+  function toggleWhiteboard(open) {
+    whiteboardOpenRef.current = open;
+    setShowWhiteboard(open);
+  }
+
+  // Coding questions get longer to answer
+  const answerSeconds = () => (codingRef.current ? CODING_SECONDS : turnSettingsRef.current.maxRecordSeconds);
+
   // ─── Wait until TTS is truly finished ───
   function waitForSpeechEnd() {
     return new Promise((resolve) => {
@@ -215,11 +467,92 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
     });
   }
 
+  // ─── Answer countdown, shared by spoken and typed answers (frozen while paused) ───
+  function startCountdown() {
+    timerIntervalRef.current = setInterval(() => {
+      if (pausedRef.current) return;
+      setTimer((prev) => {
+        if (prev <= 1) {
+          // Time's up — submit
+          if (!isSubmittingRef.current) {
+            doSubmitRef.current?.();
+          }
+          return 0;
+        }
+        return prev - 1;
+      });
+    }, 1000);
+  }
+
+  // ─── Start answering in the current mode ───
+  // `preserve` keeps the transcript and remaining time (used when switching modes mid-answer);
+  // `think` runs the thinking-time countdown first for a fresh spoken answer
+  async function startAnswerFn({ preserve = false, think = !preserve } = {}) {
+    turnSettingsRef.current = loadTurnSettings();
+    if (answerModeRef.current === 'text') {
+      startTypingFn({ preserve });
+    } else if (think && turnSettingsRef.current.thinkingSeconds > 0) {
+      startThinkingFn();
+    } else {
+      startListeningFn({ preserve });
+    }
+  }
+
+  // ─── Thinking time: a countdown after the question before the mic opens ───
+  async function startThinkingFn() {
+    if (window.speechSynthesis?.speaking || window.speechSynthesis?.pending) {
+      setStatus('speaking');
+      await waitForSpeechEnd();
+    }
+
+    cleanupRecording();
+    isSubmittingRef.current = false;
+    setTranscript('');
+    transcriptRef.current = '';
+    setError('');
+    setStatus('thinking');
+
+    let left = turnSettingsRef.current.thinkingSeconds;
+    setThinkingLeft(left);
+    thinkingIntervalRef.current = setInterval(() => {
+      left -= 1;
+      setThinkingLeft(left);
+      if (left <= 0) finishThinking();
+    }, 1000);
+  }
+
+  function finishThinking() {
+    clearInterval(thinkingIntervalRef.current);
+    thinkingIntervalRef.current = null;
+    startAnswerFn({ think: false });
+  }
+
+  // ─── Start a typed answer ───
+  async function startTypingFn({ preserve = false } = {}) {
+    // Let the interviewer finish the question first
+    if (window.speechSynthesis?.speaking || window.speechSynthesis?.pending) {
+      setStatus('speaking');
+      await waitForSpeechEnd();
+    }
+
+    cleanupRecording();
+
+    if (!preserve) {
+      setTranscript('');
+      transcriptRef.current = '';
+      setTimer(answerSeconds());
+    }
+    setError('');
+    isSubmittingRef.current = false;
+    setStatus('typing');
+    startCountdown();
+  }
+
   // ─── Start speech recognition ───
-  async function startListeningFn() {
+  async function startListeningFn({ preserve = false } = {}) {
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
     if (!SpeechRecognition) {
-      setError('Speech recognition not supported. Please use Chrome.');
+      setError('Speech recognition not supported. Please type your answer.');
       return;
     }
 
@@ -233,23 +566,41 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
     cleanupRecording();
 
     // Reset state for the new recording
-    setTranscript('');
-    transcriptRef.current = '';
+    if (!preserve) {
+      setTranscript('');
+      transcriptRef.current = '';
+      setTimer(answerSeconds());
+    }
     setError('');
-    setTimer(MAX_RECORD_SECONDS);
     isSubmittingRef.current = false;
     shouldListenRef.current = true;
+    // Push-to-talk answers start paused until Space or the talk button is held
+    const holdToTalk = turnSettingsRef.current.mode === 'push';
+    pausedRef.current = holdToTalk;
+    setIsPaused(holdToTalk);
+    setPushToTalk(holdToTalk);
+    // A resumed answer keeps its delivery stats; a fresh one starts timing now
+    if (!preserve || !deliveryRef.current) deliveryRef.current = createDeliveryTracker();
+    if (holdToTalk) deliveryRef.current.pause();
+    else deliveryRef.current.resume();
 
-    const recognition = new SpeechRecognition();
-    recognition.continuous = true;
-    recognition.interimResults = true;
-    recognition.lang = 'en-US';
-
-    let finalTranscript = '';
+    // Speech is appended to anything already typed when switching from text mode,
+    // and speech after a pause is appended to what was said before it
+    let finalTranscript = preserve && transcriptRef.current.trim()
+      ? transcriptRef.current.trim() + ' '
+      : '';
+    // The first thing said can be a request to repeat or clarify rather than the answer
+    let checkForCommand = !finalTranscript && Boolean(commands);
+    // When the phrase being recognized started, in seconds into the recording
+    let segmentStart = null;
+    if (!preserve) segmentsRef.current = [];
 
-    // ── Silence timer: auto-submit after SILENCE_TIMEOUT_MS of no speech ──
+    // ── Silence timer: auto-submit after the configured pause (auto mode only) ──
     const resetSilenceTimer = () => {
       if (silenceTimeoutRef.current) clearTimeout(silenceTimeoutRef.current);
+      // Coding and sketching mix talking with typing or drawing, so a pause never ends them
+      if (codingRef.current || whiteboardOpenRef.current) return;
+      if (turnSettingsRef.current.mode !== 'auto' || pausedRef.current) return;
       silenceTimeoutRef.current = setTimeout(() => {
         // Don't auto-submit while the AI is still speaking
         if (window.speechSynthesis?.speaking) {
@@ -259,67 +610,122 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
         if (!isSubmittingRef.current && shouldListenRef.current) {
           doSubmitRef.current?.();
         }
-      }, SILENCE_TIMEOUT_MS);
+      }, turnSettingsRef.current.silenceSeconds * 1000);
     };
 
-    recognition.onresult = (event) => {
+    const onResult = (event) => {
+      deliveryRef.current?.speech();
       let interim = '';
       for (let i = event.resultIndex; i < event.results.length; i++) {
         const result = event.results[i];
         if (result.isFinal) {
           finalTranscript += result[0].transcript + ' ';
+          const at = audioRecordingRef.current?.elapsed();
+          if (at !== undefined) {
+            segmentsRef.current.push({ text: result[0].transcript.trim(), start: segmentStart ?? at, end: at });
+          }
+          segmentStart = null;
         } else {
           interim += result[0].transcript;
+          if (segmentStart === null) segmentStart = audioRecordingRef.current?.elapsed() ?? null;
         }
       }
       const full = finalTranscript + interim;
       transcriptRef.current = full;
       setTranscript(full);
       resetSilenceTimer();
+
+      const spoken = finalTranscript.trim();
+      if (checkForCommand && spoken) {
+        checkForCommand = false;
+        if (commands.repeat.test(spoken)) {
+          repeatQuestion({ keepAnswer: false });
+        } else if (commands.clarify.test(spoken)) {
+          askClarificationFn(spoken, { keepAnswer: false });
+        }
+      }
     };
 
-    recognition.onerror = (event) => {
+    const onError = (event) => {
       if (event.error !== 'aborted' && event.error !== 'no-speech') {
         setError(`Speech error: ${event.error}`);
       }
     };
 
-    recognition.onend = () => {
-      // Chrome can stop recognition unexpectedly — restart if we should still be listening
-      if (shouldListenRef.current && !isSubmittingRef.current) {
-        try {
-          const fresh = new (window.SpeechRecognition || window.webkitSpeechRecognition)();
-          fresh.continuous = true;
-          fresh.interimResults = true;
-          fresh.lang = 'en-US';
-          fresh.onresult = recognition.onresult;
-          fresh.onerror = recognition.onerror;
-          fresh.onend = recognition.onend;
-          recognitionRef.current = fresh;
-          fresh.start();
-        } catch (_) { /* ignore restart errors */ }
-      }
+    // Only one recognizer can run at a time; a resume right after a pause waits for the old one to end
+    let recognizerActive = false;
+    const listen = () => {
+      const recognition = new SpeechRecognition();
+      recognition.continuous = true;
+      recognition.interimResults = true;
+      recognition.lang = locale;
+      recognition.onresult = onResult;
+      recognition.onerror = onError;
+      recognition.onend = () => {
+        recognizerActive = false;
+        // Chrome can stop recognition unexpectedly — restart if we should still be listening
+        if (recognitionRef.current === recognition && shouldListenRef.current
+            && !isSubmittingRef.current && !pausedRef.current) {
+          try { listen(); } catch (_) { /* ignore restart errors */ }
+        }
+      };
+      recognitionRef.current = recognition;
+      recognition.start();
+      recognizerActive = true;
+    };
+
+    if (!holdToTalk) listen();
+    resumeListeningRef.current = () => {
+      if (!recognizerActive) listen();
+      resetSilenceTimer();
     };
 
-    recognitionRef.current = recognition;
-    recognition.start();
+    // Record the audio for transcription and replay, unless part of this answer was typed
+    const listenId = ++listenIdRef.current;
+    if (audioCaptureRef.current && !preserve) {
+      startAudioRecording()
+        .then((recording) => {
+          if (shouldListenRef.current && listenIdRef.current === listenId) {
+            if (pausedRef.current) recording.pause();
+            audioRecordingRef.current = recording;
+          } else {
+            recording.stop();
+          }
+        })
+        .catch(() => {
+          audioCaptureRef.current = false;
+          serverSttRef.current = false;
+        });
+    }
+
     setIsRecording(true);
     setStatus('recording');
     resetSilenceTimer();
+    startCountdown();
+  }
 
-    // Countdown timer
-    timerIntervalRef.current = setInterval(() => {
-      setTimer((prev) => {
-        if (prev <= 1) {
-          // Time's up — submit
-          if (!isSubmittingRef.current) {
-            doSubmitRef.current?.();
-          }
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
+  // ─── Pause and resume a spoken answer (push-to-talk is the same thing, held) ───
+  function pauseListening() {
+    if (pausedRef.current || !shouldListenRef.current || isSubmittingRef.current) return;
+    pausedRef.current = true;
+    setIsPaused(true);
+    if (silenceTimeoutRef.current) {
+      clearTimeout(silenceTimeoutRef.current);
+      silenceTimeoutRef.current = null;
+    }
+    // stop() rather than abort() so the words already heard are finalised
+    try { recognitionRef.current?.stop(); } catch (_) { /* ignore */ }
+    audioRecordingRef.current?.pause();
+    deliveryRef.current?.pause();
+  }
+
+  function resumeListening() {
+    if (!pausedRef.current || !shouldListenRef.current || isSubmittingRef.current) return;
+    pausedRef.current = false;
+    setIsPaused(false);
+    audioRecordingRef.current?.resume();
+    deliveryRef.current?.resume();
+    try { resumeListeningRef.current?.(); } catch (_) { /* ignore */ }
   }
 
   // ─── Speak the first question on mount, then start listening ───
@@ -327,7 +733,11 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
     let cancelled = false;
 
     const init = async () => {
-      if (!window.speechSynthesis) return;
+      if (!window.speechSynthesis) {
+        // No TTS to wait for — the question is on screen, so start answering
+        startAnswerFn();
+        return;
+      }
 
       // 1. Wait for voices to load (some browsers load them async)
       let voices = window.speechSynthesis.getVoices();
@@ -366,7 +776,7 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
       setStatus('speaking');
       await speakQuestion(firstQuestion);
       if (cancelled) return;
-      startListeningFn();
+      startAnswerFn();
     };
     init();
 
@@ -374,6 +784,34 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
       cancelled = true;
       window.speechSynthesis?.cancel();
       cleanupRecording();
+      releaseMicrophone();
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // ─── Push-to-talk: hold Space to speak ───
+  useEffect(() => {
+    const isTalkKey = (e) => {
+      if (e.code !== 'Space' || turnSettingsRef.current.mode !== 'push' || !shouldListenRef.current) return false;
+      // Space still types a space in the code editor and the other fields
+      const target = e.target;
+      return !(target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    };
+    const handleKeyDown = (e) => {
+      if (!isTalkKey(e)) return;
+      e.preventDefault();
+      if (!e.repeat) resumeListening();
+    };
+    const handleKeyUp = (e) => {
+      if (!isTalkKey(e)) return;
+      e.preventDefault();
+      pauseListening();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
     };
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
@@ -385,51 +823,155 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
     }
   };
 
-  if (!speechSupported) {
-    return (
-      <div className="interview-container">
-        <div className="error-banner">
-          ⚠️ Your browser does not support the Web Speech API.
-          <br />Please use Google Chrome for the best experience.
-        </div>
-      </div>
-    );
+  // ─── Switch between speaking and typing, keeping the answer so far ───
+  const switchAnswerMode = (mode) => {
+    if (mode === answerModeRef.current || isSubmittingRef.current) return;
+    answerModeRef.current = mode;
+    setAnswerMode(mode);
+    if (status === 'thinking') {
+      finishThinking();
+    } else if (status === 'recording' || status === 'typing') {
+      startAnswerFn({ preserve: true });
+    }
+  };
+
+  // ─── Asides that don't use up the question: repeat it, or ask a clarifying question ───
+  // A typed or partly spoken answer is kept; a spoken request replaces the transcript
+  function resumeAfterAside(keepAnswer) {
+    setTimeout(() => startAnswerFn(keepAnswer ? { preserve: true } : { think: false }), 0);
   }
 
+  async function repeatQuestion({ keepAnswer = Boolean(transcriptRef.current.trim()) } = {}) {
+    if (isSubmittingRef.current) return;
+    isSubmittingRef.current = true;
+    cleanupRecording();
+    setStatus('speaking');
+    if (!keepAnswer) {
+      transcriptRef.current = '';
+      setTranscript('');
+    }
+    await speakQuestion(currentQuestionRef.current);
+    resumeAfterAside(keepAnswer);
+  }
+
+  async function askClarificationFn(text, { keepAnswer = Boolean(transcriptRef.current.trim()) } = {}) {
+    if (isSubmittingRef.current || !text.trim()) return;
+    isSubmittingRef.current = true;
+    cleanupRecording();
+    setClarifyOpen(false);
+    setClarifyText('');
+    if (!keepAnswer) {
+      transcriptRef.current = '';
+      setTranscript('');
+    }
+    setError('');
+    setStatus('clarifying');
+    try {
+      const data = await askClarification(sessionId, questionNumberRef.current, text.trim());
+      setClarifications(data.clarifications);
+      await speakQuestion(data.answer);
+    } catch (err) {
+      if (err instanceof SessionExpiredError) {
+        onSessionExpired?.(err.message);
+        return;
+      }
+      setError(err.message);
+    }
+    resumeAfterAside(keepAnswer);
+  }
+
+  const openClarify = () => {
+    resumeAfterClarifyRef.current = status === 'recording' && !pausedRef.current;
+    if (resumeAfterClarifyRef.current) pauseListening();
+    setClarifyOpen(true);
+  };
+
+  const closeClarify = () => {
+    setClarifyOpen(false);
+    setClarifyText('');
+    if (resumeAfterClarifyRef.current) resumeListening();
+    resumeAfterClarifyRef.current = false;
+  };
+
+  const handleAnswerKeyDown = (e) => {
+    // Ctrl+Enter / Cmd+Enter submits a typed answer
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleDoneClick();
+    }
+  };
+
+  const isAnswering = status === 'recording' || status === 'typing';
+  const currentRound = rounds ? rounds[roundIndexFor(rounds, questionNumber)] : null;
+  const roundTimeLeft = currentRound?.started_at
+    ? currentRound.started_at + currentRound.time_limit - now
+    : null;
+
   return (
     <div className="interview-container">
       {/* Circular Agent Avatar */}
       <div className="agent-section">
-        <div className={`agent-avatar ${status}`}>
+        <div className={`agent-avatar ${status} ${isPaused ? 'paused' : ''}`}>
           <div className="agent-ring" />
           <div className="agent-icon">
             {status === 'speaking' && '🗣️'}
-            {status === 'recording' && '👂'}
-            {status === 'processing' && '⚙️'}
+            {status === 'thinking' && '💭'}
+            {status === 'recording' && (isPaused ? '⏸️' : '👂')}
+            {status === 'typing' && '⌨️'}
+            {(status === 'transcribing' || status === 'processing' || status === 'clarifying') && '⚙️'}
             {status === 'idle' && '🤖'}
           </div>
         </div>
         <div className="agent-status-label">
           {status === 'speaking' && 'AI Agent Speaking...'}
-          {status === 'recording' && 'Listening...'}
+          {status === 'thinking' && `Thinking Time — ${thinkingLeft}s`}
+          {status === 'recording' && (isPaused ? (pushToTalk ? 'Hold Space to Talk' : 'Paused') : 'Listening...')}
+          {status === 'typing' && 'Type Your Answer'}
+          {status === 'transcribing' && 'Transcribing Your Answer...'}
           {status === 'processing' && 'Generating Next Question...'}
+          {status === 'clarifying' && 'Asking the Interviewer...'}
           {status === 'idle' && 'Ready'}
         </div>
-        {status === 'recording' && (
+        {isAnswering && (
           <div className="timer-pill">
-            <span className="rec-dot" />
+            {!isPaused && <span className="rec-dot" />}
             <span>⏱️ {timer}s</span>
           </div>
         )}
       </div>
 
+      {/* Round transition */}
+      {roundBanner && (
+        <div className="round-banner">
+          <span className="round-banner-label">Next Round</span>
+          <strong>{roundBanner.name}</strong>
+          <span>with {roundBanner.persona}</span>
+        </div>
+      )}
+
+      {/* Current round and its clock */}
+      {currentRound && (
+        <div className="round-pill">
+          <span>
+            Round {rounds.indexOf(currentRound) + 1}/{rounds.length} · {currentRound.name}
+          </span>
+          {roundTimeLeft !== null && (
+            <span className={roundTimeLeft <= 0 ? 'round-overtime' : ''}>
+              {roundTimeLeft > 0
+                ? `⏳ ${formatClock(roundTimeLeft)} left`
+                : '⏳ Time up — round ends after this answer'}
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Progress Bar */}
       <div className="question-progress">
-        <span className="question-badge">Question {questionNumber}/{TOTAL_QUESTIONS}</span>
+        <span className="question-badge">Question {questionNumber}/{total}</span>
         <div className="progress-bar-track">
           <div
             className="progress-bar-fill"
-            style={{ width: `${(questionNumber / TOTAL_QUESTIONS) * 100}%` }}
+            style={{ width: `${(questionNumber / total) * 100}%` }}
           />
         </div>
       </div>
@@ -439,23 +981,171 @@ export default function InterviewSession({ sessionId, firstQuestion, onComplete
         <p className="question-text">{currentQuestion}</p>
       </div>
 
-      {/* Transcript */}
-      <div className={`transcript-box ${isRecording ? 'recording' : ''}`}>
-        <div className="transcript-header">
-          {isRecording && <span className="rec-dot" />}
-          <span>{isRecording ? 'Your Answer' : 'Transcript'}</span>
+      {clarifications.length > 0 && (
+        <ul className="clarification-list">
+          {clarifications.map((c, i) => (
+            <li key={i}>
+              <p><strong>You:</strong> {c.question}</p>
+              <p><strong>Interviewer:</strong> {c.answer}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {coding && (
+        <CodeEditor
+          sessionId={sessionId}
+          questionNumber={questionNumber}
+          coding={coding}
+          language={codeLanguage}
+          code={code}
+          onLanguageChange={changeCodeLanguage}
+          onCodeChange={updateCode}
+          disabled={!isAnswering}
+        />
+      )}
+
+      {showWhiteboard && (
+        <Whiteboard value={diagram} onChange={updateDiagram} disabled={!isAnswering} />
+      )}
+
+      {/* Transcript (or the answer editor in text mode) */}
+      {answerMode === 'text' ? (
+        <div className={`transcript-box ${status === 'typing' ? 'recording' : ''}`}>
+          <div className="transcript-header">
+            <span>{coding ? 'Your Explanation' : 'Your Answer'}</span>
+          </div>
+          <textarea
+            className="answer-editor"
+            value={transcript}
+            disabled={status !== 'typing'}
+            placeholder={status === 'typing' ? 'Type your answer…' : 'Waiting for the question…'}
+            onChange={(e) => {
+              transcriptRef.current = e.target.value;
+              setTranscript(e.target.value);
+            }}
+            onKeyDown={handleAnswerKeyDown}
+            autoFocus
+          />
         </div>
-        <p className="transcript-text">
-          {transcript || (isRecording ? 'Start speaking...' : 'Waiting for your response...')}
+      ) : (
+        <div className={`transcript-box ${isRecording ? 'recording' : ''}`}>
+          <div className="transcript-header">
+            {isRecording && !isPaused && <span className="rec-dot" />}
+            <span>
+              {isRecording
+                ? (serverSttRef.current && turnSettingsRef.current.serverTranscription ? 'Live Preview' : 'Your Answer')
+                : 'Transcript'}
+            </span>
+          </div>
+          <p className="transcript-text">
+            {transcript || (isRecording ? 'Start speaking...' : 'Waiting for your response...')}
+          </p>
+        </div>
+      )}
+
+      {!speechSupported && (
+        <p className="mode-notice">
+          Voice answers need the Web Speech API (Chrome or Edge). You can type your answers instead.
         </p>
-      </div>
+      )}
+
+      {/* Feedback on the previous answer (omitted when scores are hidden) */}
+      {lastEvaluation && status !== 'processing' && (
+        <EvaluationCard evaluation={lastEvaluation} />
+      )}
 
       {/* Action Button */}
+      {status === 'thinking' && (
+        <button className="btn btn-secondary" onClick={finishThinking}>
+          🎙️ Start Answering Now
+        </button>
+      )}
+      {status === 'recording' && pushToTalk && (
+        <button
+          className={`btn btn-talk ${isPaused ? 'btn-secondary' : 'btn-record'}`}
+          onPointerDown={resumeListening}
+          onPointerUp={pauseListening}
+          onPointerLeave={pauseListening}
+          onPointerCancel={pauseListening}
+        >
+          {isPaused ? '🎙️ Hold to Talk' : '🔴 Release to Pause'} <span className="shortcut-hint">Space</span>
+        </button>
+      )}
+      {status === 'recording' && !pushToTalk && (
+        <button className="mode-switch" onClick={isPaused ? resumeListening : pauseListening}>
+          {isPaused ? '▶️ Resume recording' : '⏸️ Pause recording'}
+        </button>
+      )}
+      {status === 'idle' && failedAnswer && (
+        <button className="btn btn-primary" onClick={() => doSubmit(failedAnswer)}>
+          🔄 Retry Submitting Answer
+        </button>
+      )}
       {status === 'recording' && (
         <button className="btn btn-stop" onClick={handleDoneClick}>
-          ⏹️ Done Speaking
+          {coding ? '⏹️ Submit Code & Explanation' : '⏹️ Done Speaking'}
+        </button>
+      )}
+      {status === 'typing' && (
+        <button
+          className="btn btn-success"
+          onClick={handleDoneClick}
+          disabled={!transcript.trim() && !(coding && code.trim())}
+        >
+          ✅ {coding ? 'Submit Code & Explanation' : 'Submit Answer'} <span className="shortcut-hint">Ctrl+Enter</span>
+        </button>
+      )}
+      {isAnswering && !clarifyOpen && (
+        <div className="aside-actions">
+          <button className="mode-switch" onClick={() => repeatQuestion()}>🔁 Repeat the question</button>
+          <button className="mode-switch" onClick={openClarify}>❓ Ask a clarifying question</button>
+        </div>
+      )}
+      {clarifyOpen && (
+        <form
+          className="clarify-form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            askClarificationFn(clarifyText);
+          }}
+        >
+          <input
+            type="text"
+            value={clarifyText}
+            maxLength={500}
+            placeholder='e.g. "Do you mean the read path or the write path?"'
+            onChange={(e) => setClarifyText(e.target.value)}
+            autoFocus
+          />
+          <button type="submit" className="chip" disabled={!clarifyText.trim()}>Ask</button>
+          <button type="button" className="chip" onClick={closeClarify}>Cancel</button>
+        </form>
+      )}
+      {speechSupported && status !== 'processing' && status !== 'transcribing' && (
+        <button
+          className="mode-switch"
+          onClick={() => switchAnswerMode(answerMode === 'text' ? 'voice' : 'text')}
+        >
+          {answerMode === 'text' ? '🎙️ Answer by voice instead' : '⌨️ Type instead'}
         </button>
       )}
+      {!coding && status !== 'processing' && status !== 'transcribing' && (
+        <button className="mode-switch" onClick={() => toggleWhiteboard(!showWhiteboard)}>
+          {showWhiteboard
+            ? '🧩 Hide whiteboard'
+            : currentRound?.type === 'system_design' ? '🧩 Sketch your design' : '🧩 Sketch a diagram'}
+        </button>
+      )}
+      <button className="mode-switch" onClick={() => setShowSettings(!showSettings)}>
+        {showSettings ? '⚙️ Hide settings' : '⚙️ Voice & answer settings'}
+      </button>
+      {showSettings && (
+        <div className="voice-settings-panel">
+          <VoiceSettings language={language} />
+          {answerMode === 'voice' && <TurnSettings />}
+        </div>
+      )}
 
       {error && <p className="error-text">{error}</p>}
     </div>
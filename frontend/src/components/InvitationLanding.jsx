@@ -0,0 +1,132 @@
+import { useEffect, useState } from 'react';
+import { getInvitation, startInvitation } from '../api';
+import { INTERVIEW_LANGUAGES } from '../speechSettings';
+import { formatDate } from './HistoryDashboard';
+
+// What a candidate sees on opening a recruiter's link: the interview they were set, then straight in
+export default function InvitationLanding({ token, onStart, onDismiss }) {
+  const [invitation, setInvitation] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [file, setFile] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getInvitation(token)
+      .then((data) => { if (!cancelled) setInvitation(data); })
+      .catch((err) => { if (!cancelled) setLoadError(err.message); });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const handleStart = async () => {
+    setStarting(true);
+    setError('');
+    try {
+      onStart(await startInvitation(token, file));
+    } catch (err) {
+      setError(err.message);
+      setStarting(false);
+    }
+  };
+
+  if (loadError) {
+    return (
+      <div className="history-container">
+        <div className="report-section report-failed">
+          <h3>⚠️ This invitation can't be opened</h3>
+          <p>{loadError}</p>
+        </div>
+        <button className="btn btn-secondary" onClick={onDismiss}>Practise on your own instead</button>
+      </div>
+    );
+  }
+
+  if (!invitation) {
+    return (
+      <div className="restore-state">
+        <span className="spinner" />
+        <span>Opening your invitation…</span>
+      </div>
+    );
+  }
+
+  const language = INTERVIEW_LANGUAGES.find((l) => l.value === invitation.language);
+
+  return (
+    <div className="upload-container">
+      <div className="upload-card">
+        <h1 className="hero-title">
+          {invitation.candidate_name ? `Hi ${invitation.candidate_name}` : 'Your Interview'}
+        </h1>
+        <p className="hero-subtitle">
+          You've been invited to an AI-led interview for <strong>{invitation.role}</strong>.
+        </p>
+
+        <div className="feature-pills">
+          <span className="pill">
+            <span className="pill-icon">🧾</span>
+            <span>{invitation.total_questions} questions</span>
+          </span>
+          <span className="pill">
+            <span className="pill-icon">{invitation.answer_mode === 'voice' ? '🎙️' : '⌨️'}</span>
+            <span>{invitation.answer_mode === 'voice' ? 'Spoken answers' : 'Typed answers'}</span>
+          </span>
+          {invitation.coding && (
+            <span className="pill">
+              <span className="pill-icon">💻</span>
+              <span>Live coding</span>
+            </span>
+          )}
+          {language && (
+            <span className="pill">
+              <span className="pill-icon">🌐</span>
+              <span>{language.label}</span>
+            </span>
+          )}
+        </div>
+
+        {!invitation.has_resume && (
+          <div className="option-row">
+            <label className="chip">
+              📄 {file ? 'Replace resume' : 'Upload your resume'}
+              <input
+                type="file"
+                accept=".pdf,.docx,.doc,.txt,.md"
+                className="file-input"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                disabled={starting}
+              />
+            </label>
+            {file && <span className="option-file">{file.name}</span>}
+          </div>
+        )}
+
+        <p className="option-hint">
+          Your answers and report go to the recruiter who invited you; scores aren't shown during the interview.
+          The link starts one interview only and expires on {formatDate(invitation.expires_at)}.
+        </p>
+
+        {error && <p className="error-text">{error}</p>}
+
+        <button
+          className="btn btn-primary btn-glow"
+          onClick={handleStart}
+          disabled={starting || (!invitation.has_resume && !file)}
+        >
+          {starting ? (
+            <span className="loading-state">
+              <span className="spinner-sm"></span>
+              <span>Preparing Interview</span>
+            </span>
+          ) : (
+            <>
+              <span>🎤</span>
+              <span>Start Interview</span>
+            </>
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+
+export default function PracticeAgain({ questions, answers, onPractice }) {
+  const [selected, setSelected] = useState([]);
+  const [starting, setStarting] = useState('');
+  const [error, setError] = useState('');
+
+  const toggle = (number) => {
+    setSelected((prev) => (
+      prev.includes(number) ? prev.filter((n) => n !== number) : [...prev, number].sort((a, b) => a - b)
+    ));
+  };
+
+  const start = async (mode) => {
+    setStarting(mode);
+    setError('');
+    try {
+      await onPractice({ mode, questionNumbers: mode === 'questions' ? selected : [] });
+    } catch (err) {
+      setError(err.message || 'Could not start a practice session.');
+      setStarting('');
+    }
+  };
+
+  return (
+    <div className="report-section practice-section">
+      <h3>🔁 Practice Again</h3>
+      <p>Start a new session from the same resume — on the weak areas above, or re-answering chosen questions.</p>
+
+      <button
+        className="btn btn-secondary"
+        onClick={() => start('weak_areas')}
+        disabled={Boolean(starting)}
+      >
+        {starting === 'weak_areas' ? '⏳ Preparing…' : '🎯 Practise Weak Areas'}
+      </button>
+
+      <div className="practice-question-list">
+        {answers.map((_, i) => (
+          <label key={i} className="check-row">
+            <input
+              type="checkbox"
+              checked={selected.includes(i + 1)}
+              onChange={() => toggle(i + 1)}
+              disabled={Boolean(starting)}
+            />
+            <span className="question-badge">Q{i + 1}</span>
+            <span>{questions[i]}</span>
+          </label>
+        ))}
+      </div>
+
+      <button
+        className="btn btn-secondary"
+        onClick={() => start('questions')}
+        disabled={Boolean(starting) || selected.length === 0}
+      >
+        {starting === 'questions'
+          ? '⏳ Preparing…'
+          : `🔁 Re-ask ${selected.length || ''} Selected Question${selected.length === 1 ? '' : 's'}`}
+      </button>
+
+      {error && <p className="error-text">{error}</p>}
+    </div>
+  );
+}
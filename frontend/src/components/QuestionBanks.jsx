@@ -0,0 +1,362 @@
+import { useCallback, useEffect, useState } from 'react';
+import { RecruiterKeyForm } from './RecruiterDashboard';
+import { formatDate } from './HistoryDashboard';
+import {
+  deleteQuestionBank,
+  exportQuestionBank,
+  getQuestionBank,
+  importQuestionBank,
+  listQuestionBanks,
+  RecruiterKeyError,
+  saveQuestionBank,
+} from '../api';
+import { downloadBlob } from '../reportExport';
+import { loadRecruiterKey } from '../storage';
+
+const DIFFICULTIES = ['junior', 'mid', 'senior', 'staff'];
+
+const EMPTY_QUESTION = { question: '', tags: '', difficulty: '', reference_answer: '' };
+
+function slug(name) {
+  return name.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'question-bank';
+}
+
+// The editor keeps tags as the text the recruiter typed; the API wants a list
+function toDraft(bank) {
+  return {
+    name: bank.name,
+    description: bank.description,
+    questions: bank.questions.map((q) => ({
+      question: q.question,
+      tags: q.tags.join(', '),
+      difficulty: q.difficulty || '',
+      reference_answer: q.reference_answer,
+    })),
+  };
+}
+
+function fromDraft(draft) {
+  return {
+    name: draft.name.trim(),
+    description: draft.description.trim(),
+    questions: draft.questions
+      .filter((q) => q.question.trim())
+      .map((q) => ({
+        question: q.question.trim(),
+        tags: q.tags.split(/[;,]/).map((t) => t.trim()).filter(Boolean),
+        difficulty: q.difficulty || null,
+        reference_answer: q.reference_answer.trim(),
+      })),
+  };
+}
+
+function BankEditor({ bankId, initial, saving, error, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initial);
+
+  const updateQuestion = (index, field, value) => {
+    setDraft((d) => ({
+      ...d,
+      questions: d.questions.map((q, i) => (i === index ? { ...q, [field]: value } : q)),
+    }));
+  };
+
+  const removeQuestion = (index) => {
+    setDraft((d) => ({ ...d, questions: d.questions.filter((_, i) => i !== index) }));
+  };
+
+  const addQuestion = () => {
+    setDraft((d) => ({ ...d, questions: [...d.questions, { ...EMPTY_QUESTION }] }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(fromDraft(draft));
+  };
+
+  const canSave = draft.name.trim() && draft.questions.some((q) => q.question.trim());
+
+  return (
+    <form className="report-section bank-editor" onSubmit={handleSubmit}>
+      <h3>{bankId ? '✏️ Edit Question Bank' : '📚 New Question Bank'}</h3>
+      <div className="option-group">
+        <span className="option-label">Name</span>
+        <input
+          className="option-input"
+          value={draft.name}
+          maxLength={100}
+          placeholder="e.g. Backend fundamentals"
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          disabled={saving}
+          required
+        />
+      </div>
+      <div className="option-group">
+        <span className="option-label">Description (optional)</span>
+        <input
+          className="option-input"
+          value={draft.description}
+          maxLength={500}
+          onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+          disabled={saving}
+        />
+      </div>
+
+      {draft.questions.map((q, i) => (
+        <div key={i} className="bank-question">
+          <div className="bank-question-header">
+            <span className="question-badge">Q{i + 1}</span>
+            <button
+              type="button"
+              className="option-file-remove"
+              aria-label={`Remove question ${i + 1}`}
+              onClick={() => removeQuestion(i)}
+              disabled={saving}
+            >
+              ✕
+            </button>
+          </div>
+          <textarea
+            className="option-textarea"
+            rows={2}
+            value={q.question}
+            maxLength={2000}
+            placeholder="The question, as the interviewer should ask it"
+            onChange={(e) => updateQuestion(i, 'question', e.target.value)}
+            disabled={saving}
+          />
+          <div className="bank-question-row">
+            <input
+              className="option-input"
+              value={q.tags}
+              placeholder="Tags, comma separated (matched against focus areas)"
+              onChange={(e) => updateQuestion(i, 'tags', e.target.value)}
+              disabled={saving}
+            />
+            <select
+              className="option-select"
+              value={q.difficulty}
+              onChange={(e) => updateQuestion(i, 'difficulty', e.target.value)}
+              disabled={saving}
+            >
+              <option value="">Any level</option>
+              {DIFFICULTIES.map((d) => (
+                <option key={d} value={d}>{d}</option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            className="option-textarea"
+            rows={3}
+            value={q.reference_answer}
+            maxLength={5000}
+            placeholder="Reference answer (optional): what a strong answer covers. Used when scoring, never shown to the candidate."
+            onChange={(e) => updateQuestion(i, 'reference_answer', e.target.value)}
+            disabled={saving}
+          />
+        </div>
+      ))}
+
+      <button type="button" className="chip" onClick={addQuestion} disabled={saving}>
+        + Add question
+      </button>
+
+      {error && <p className="error-text">{error}</p>}
+      <div className="bank-editor-actions">
+        <button className="btn btn-primary" type="submit" disabled={saving || !canSave}>
+          {saving ? '⏳ Saving…' : '💾 Save Bank'}
+        </button>
+        <button className="btn btn-secondary" type="button" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Recruiters curate their own questions here; interviews mix them in alongside generated ones
+export default function QuestionBanks({ onClose }) {
+  const [recruiterKey, setRecruiterKey] = useState(loadRecruiterKey);
+  const [needsKey, setNeedsKey] = useState(false);
+  const [banks, setBanks] = useState(null);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const refresh = useCallback(() => (
+    listQuestionBanks()
+      .then((data) => setBanks(data.banks))
+      .catch((err) => setError(err.message))
+  ), []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const handleError = (err) => {
+    if (err instanceof RecruiterKeyError) setNeedsKey(true);
+    setError(err.message);
+  };
+
+  const handleUnlock = (key) => {
+    setRecruiterKey(key);
+    setNeedsKey(false);
+    setError('');
+  };
+
+  const handleEdit = async (bankId) => {
+    setBusy(true);
+    setError('');
+    try {
+      const bank = await getQuestionBank(recruiterKey, bankId);
+      setEditing({ bankId, draft: toDraft(bank) });
+    } catch (err) {
+      handleError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async (bank) => {
+    setSaving(true);
+    setError('');
+    try {
+      await saveQuestionBank(recruiterKey, bank, editing.bankId);
+      setEditing(null);
+      refresh();
+    } catch (err) {
+      handleError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    try {
+      await importQuestionBank(recruiterKey, file);
+      refresh();
+    } catch (err) {
+      handleError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async (bank, format) => {
+    setError('');
+    try {
+      downloadBlob(await exportQuestionBank(recruiterKey, bank.id, format), `${slug(bank.name)}.${format}`);
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  const handleDelete = async (bank) => {
+    if (!window.confirm(`Delete "${bank.name}"? Interviews already under way keep the questions they drew.`)) return;
+    setError('');
+    try {
+      await deleteQuestionBank(recruiterKey, bank.id);
+      refresh();
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  if (needsKey) {
+    return (
+      <div className="history-container">
+        <h1 className="report-title">📚 Question Banks</h1>
+        <RecruiterKeyForm rejected={Boolean(error && recruiterKey)} onUnlock={handleUnlock} />
+        <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+      </div>
+    );
+  }
+
+  if (editing) {
+    return (
+      <div className="history-container">
+        <h1 className="report-title">📚 Question Banks</h1>
+        <BankEditor
+          bankId={editing.bankId}
+          initial={editing.draft}
+          saving={saving}
+          error={error}
+          onSave={handleSave}
+          onCancel={() => { setEditing(null); setError(''); }}
+        />
+      </div>
+    );
+  }
+
+  if (!banks) {
+    return error ? (
+      <div className="history-container">
+        <p className="error-text">{error}</p>
+        <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+      </div>
+    ) : (
+      <div className="restore-state">
+        <span className="spinner" />
+        <span>Loading question banks…</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="history-container">
+      <h1 className="report-title">📚 Question Banks</h1>
+      <p className="option-hint">
+        Interviews can draw some of their questions from a bank instead of generating them. Import a .json or
+        .csv file (columns: question, tags separated by semicolons, difficulty, reference_answer) or build one here.
+      </p>
+
+      <div className="option-row">
+        <button
+          className="chip"
+          onClick={() => setEditing({ bankId: null, draft: { name: '', description: '', questions: [{ ...EMPTY_QUESTION }] } })}
+          disabled={busy}
+        >
+          + New bank
+        </button>
+        <label className="chip">
+          {busy ? '⏳ Working…' : '📥 Import .json / .csv'}
+          <input type="file" accept=".json,.csv" className="file-input" onChange={handleImport} disabled={busy} />
+        </label>
+      </div>
+
+      {error && <p className="error-text">{error}</p>}
+
+      {banks.length === 0 ? (
+        <div className="report-section history-empty">
+          <p>No question banks yet. Import one or create it from scratch.</p>
+        </div>
+      ) : (
+        <div className="history-list">
+          {banks.map((bank) => (
+            <div key={bank.id} className="invitation-item">
+              <div className="history-item-main">
+                <span className="history-item-title">{bank.name}</span>
+                <span className="history-item-meta">
+                  {bank.question_count} question{bank.question_count === 1 ? '' : 's'} · updated {formatDate(bank.updated_at)}
+                  {bank.tags.length > 0 && ` · ${bank.tags.slice(0, 6).join(', ')}${bank.tags.length > 6 ? '…' : ''}`}
+                </span>
+                {bank.description && <span className="history-item-meta">{bank.description}</span>}
+              </div>
+              <div className="invitation-actions">
+                <button className="chip" onClick={() => handleEdit(bank.id)} disabled={busy}>✏️ Edit</button>
+                <button className="chip" onClick={() => handleExport(bank, 'json')}>JSON</button>
+                <button className="chip" onClick={() => handleExport(bank, 'csv')}>CSV</button>
+                <button className="chip" onClick={() => handleDelete(bank)}>Delete</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+    </div>
+  );
+}
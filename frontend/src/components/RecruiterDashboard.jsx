@@ -0,0 +1,328 @@
+import { useCallback, useEffect, useState } from 'react';
+import InterviewOptions, { DEFAULT_INTERVIEW_OPTIONS } from './InterviewOptions';
+import { recommendationColor } from './FinalReport';
+import { formatDate } from './HistoryDashboard';
+import { createInvitation, listInvitations, revokeInvitation, RecruiterKeyError } from '../api';
+import { loadRecruiterKey, saveRecruiterKey } from '../storage';
+
+const EXPIRY_OPTIONS = [
+  { value: 24, label: '1 day' },
+  { value: 72, label: '3 days' },
+  { value: 168, label: '1 week' },
+  { value: 336, label: '2 weeks' },
+];
+
+const STATUS_LABELS = {
+  pending: '✉️ Not started',
+  in_progress: '⏳ In progress',
+  completed: '✅ Completed',
+  expired: '⌛ Expired',
+  abandoned: '🚫 Abandoned',
+};
+
+function inviteLink(token) {
+  return `${window.location.origin}/?invite=${encodeURIComponent(token)}`;
+}
+
+function InvitationForm({ recruiterKey, onCreated, onKeyRejected }) {
+  const [role, setRole] = useState('');
+  const [candidateName, setCandidateName] = useState('');
+  const [resume, setResume] = useState(null);
+  const [expiresInHours, setExpiresInHours] = useState(72);
+  const [options, setOptions] = useState({ ...DEFAULT_INTERVIEW_OPTIONS });
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError('');
+    try {
+      const invitation = await createInvitation(recruiterKey, {
+        role: role.trim(),
+        candidateName: candidateName.trim(),
+        resume,
+        expiresInHours,
+        options,
+      });
+      setRole('');
+      setCandidateName('');
+      setResume(null);
+      onCreated(invitation);
+    } catch (err) {
+      if (err instanceof RecruiterKeyError) onKeyRejected();
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <form className="report-section invitation-form" onSubmit={handleSubmit}>
+      <h3>✉️ New Invitation</h3>
+      <div className="option-group">
+        <span className="option-label">Role</span>
+        <input
+          className="option-input"
+          value={role}
+          placeholder="e.g. Senior Backend Engineer"
+          onChange={(e) => setRole(e.target.value)}
+          disabled={creating}
+          required
+        />
+      </div>
+      <div className="option-group">
+        <span className="option-label">Candidate (optional)</span>
+        <input
+          className="option-input"
+          value={candidateName}
+          placeholder="Name shown on the dashboard and greeting"
+          onChange={(e) => setCandidateName(e.target.value)}
+          disabled={creating}
+        />
+        <div className="option-row">
+          <label className="chip">
+            📄 {resume ? 'Replace resume' : 'Attach their resume'}
+            <input
+              type="file"
+              accept=".pdf,.docx,.doc,.txt,.md"
+              className="file-input"
+              onChange={(e) => setResume(e.target.files[0] || null)}
+              disabled={creating}
+            />
+          </label>
+          {resume ? (
+            <span className="option-file">
+              {resume.name}
+              <button
+                type="button"
+                className="option-file-remove"
+                aria-label="Remove resume"
+                onClick={() => setResume(null)}
+              >
+                ✕
+              </button>
+            </span>
+          ) : (
+            <span className="option-hint">Without one, the candidate uploads theirs when they open the link.</span>
+          )}
+        </div>
+      </div>
+
+      <InterviewOptions options={options} onChange={setOptions} disabled={creating} invitation />
+
+      <div className="option-group">
+        <span className="option-label">Link Expires After</span>
+        <div className="segmented">
+          {EXPIRY_OPTIONS.map((o) => (
+            <button
+              key={o.value}
+              type="button"
+              className={`segment ${expiresInHours === o.value ? 'selected' : ''}`}
+              onClick={() => setExpiresInHours(o.value)}
+              disabled={creating}
+            >
+              {o.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="error-text">{error}</p>}
+      <button className="btn btn-primary" type="submit" disabled={creating || !role.trim()}>
+        {creating ? '⏳ Creating link…' : '🔗 Create Invitation Link'}
+      </button>
+    </form>
+  );
+}
+
+// Asks for the backend's RECRUITER_KEY; shared by the recruiter pages
+export function RecruiterKeyForm({ rejected, onUnlock }) {
+  const [keyInput, setKeyInput] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveRecruiterKey(keyInput.trim());
+    onUnlock(keyInput.trim());
+    setKeyInput('');
+  };
+
+  return (
+    <form className="report-section recruiter-key-form" onSubmit={handleSubmit}>
+      <h3>🔑 Recruiter Key</h3>
+      <p>This server keeps the recruiter area behind a key. Ask whoever runs it for the key.</p>
+      <input
+        className="option-input"
+        type="password"
+        value={keyInput}
+        onChange={(e) => setKeyInput(e.target.value)}
+        autoFocus
+      />
+      {rejected && <p className="error-text">That key was not accepted.</p>}
+      <button className="btn btn-primary" type="submit" disabled={!keyInput.trim()}>Unlock</button>
+    </form>
+  );
+}
+
+// Recruiters send single-use interview links and review the candidates who took them
+export default function RecruiterDashboard({ onOpenReport, onClose }) {
+  const [recruiterKey, setRecruiterKey] = useState(loadRecruiterKey);
+  const [needsKey, setNeedsKey] = useState(false);
+  const [invitations, setInvitations] = useState(null);
+  const [error, setError] = useState('');
+  const [created, setCreated] = useState(null);
+  const [copied, setCopied] = useState('');
+
+  const refresh = useCallback(() => (
+    listInvitations(recruiterKey)
+      .then((data) => {
+        setInvitations(data.invitations);
+        setNeedsKey(false);
+        setError('');
+      })
+      .catch((err) => {
+        if (err instanceof RecruiterKeyError) setNeedsKey(true);
+        setError(err.message);
+      })
+  ), [recruiterKey]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const handleCreated = (invitation) => {
+    setCreated(invitation);
+    setInvitations((list) => [invitation, ...(list || [])]);
+  };
+
+  const handleCopy = (token) => {
+    navigator.clipboard?.writeText(inviteLink(token))
+      .then(() => setCopied(token))
+      .catch(() => {});
+  };
+
+  const handleRevoke = async (invitation) => {
+    const who = invitation.candidate_name || 'this candidate';
+    if (invitation.status === 'pending' && !window.confirm(`Revoke the invitation for ${who}? The link will stop working.`)) {
+      return;
+    }
+    try {
+      await revokeInvitation(recruiterKey, invitation.token);
+      if (created?.token === invitation.token) setCreated(null);
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (needsKey) {
+    return (
+      <div className="history-container">
+        <h1 className="report-title">🧑‍💼 Recruiter Dashboard</h1>
+        <RecruiterKeyForm rejected={Boolean(error && recruiterKey)} onUnlock={setRecruiterKey} />
+        <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+      </div>
+    );
+  }
+
+  if (!invitations) {
+    return error ? (
+      <div className="history-container">
+        <p className="error-text">{error}</p>
+        <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+      </div>
+    ) : (
+      <div className="restore-state">
+        <span className="spinner" />
+        <span>Loading invitations…</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="history-container">
+      <h1 className="report-title">🧑‍💼 Recruiter Dashboard</h1>
+
+      <InvitationForm
+        recruiterKey={recruiterKey}
+        onCreated={handleCreated}
+        onKeyRejected={() => setNeedsKey(true)}
+      />
+
+      {created && (
+        <div className="report-section invitation-created">
+          <h3>🔗 Link for {created.candidate_name || created.role}</h3>
+          <p>
+            Send this to the candidate. It works once and expires on {formatDate(created.expires_at)}.
+          </p>
+          <div className="chip-input">
+            <input readOnly value={inviteLink(created.token)} onFocus={(e) => e.target.select()} />
+            <button type="button" className="chip" onClick={() => handleCopy(created.token)}>
+              {copied === created.token ? '✅ Copied' : '📋 Copy'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="error-text">{error}</p>}
+
+      {invitations.length === 0 ? (
+        <div className="report-section history-empty">
+          <p>No invitations yet. Create one above and send the link to a candidate.</p>
+        </div>
+      ) : (
+        <div className="history-list">
+          {invitations.map((invitation) => (
+            <div key={invitation.token} className="invitation-item">
+              <div className="history-item-main">
+                <span className="history-item-title">
+                  {invitation.candidate_name || 'Unnamed candidate'} · {invitation.role}
+                </span>
+                <span className="history-item-meta">
+                  Sent {formatDate(invitation.created_at)} · {invitation.difficulty} ·{' '}
+                  {invitation.status === 'in_progress'
+                    ? `${invitation.question_count}/${invitation.total_questions} answered`
+                    : `${invitation.total_questions} questions`}
+                  {invitation.status === 'pending' && ` · expires ${formatDate(invitation.expires_at)}`}
+                </span>
+                <span className={`invitation-status status-${invitation.status}`}>
+                  {STATUS_LABELS[invitation.status]}
+                </span>
+              </div>
+              {invitation.result && (
+                <>
+                  <span
+                    className="history-item-rec"
+                    style={{
+                      color: recommendationColor(invitation.result.hire_recommendation, invitation.result.recommendation_scale),
+                    }}
+                  >
+                    {invitation.result.hire_recommendation}
+                  </span>
+                  <span className="history-item-score">{invitation.result.overall_score}</span>
+                </>
+              )}
+              <div className="invitation-actions">
+                {invitation.status === 'completed' && (
+                  <button className="chip" onClick={() => onOpenReport(invitation.session_id)}>
+                    📄 View report
+                  </button>
+                )}
+                {invitation.status === 'pending' && (
+                  <button className="chip" onClick={() => handleCopy(invitation.token)}>
+                    {copied === invitation.token ? '✅ Copied' : '📋 Copy link'}
+                  </button>
+                )}
+                {invitation.status !== 'in_progress' && invitation.status !== 'completed' && (
+                  <button className="chip" onClick={() => handleRevoke(invitation)}>
+                    {invitation.status === 'pending' ? 'Revoke' : 'Remove'}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+    </div>
+  );
+}
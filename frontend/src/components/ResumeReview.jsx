@@ -0,0 +1,98 @@
+import { useState } from 'react';
+
+export default function ResumeReview({ resume, topics, onChange, disabled = false }) {
+  const [customSkill, setCustomSkill] = useState('');
+
+  const toggle = (kind, item) => {
+    onChange({
+      ...topics,
+      [kind]: topics[kind].includes(item)
+        ? topics[kind].filter((t) => t !== item)
+        : [...topics[kind], item],
+    });
+  };
+
+  const addCustomSkill = () => {
+    const skill = customSkill.trim();
+    if (skill && !topics.skills.some((s) => s.toLowerCase() === skill.toLowerCase())) {
+      onChange({ ...topics, skills: [...topics.skills, skill] });
+    }
+    setCustomSkill('');
+  };
+
+  // Skills the user added themselves stay visible next to the extracted ones
+  const customSkills = topics.skills.filter((s) => !resume.skills.includes(s));
+  const projectNames = resume.projects.map((p) => p.name);
+  const { name, email } = resume.contact;
+
+  return (
+    <fieldset className="interview-options resume-review" disabled={disabled}>
+      <div className="option-group">
+        <span className="option-label">We Found</span>
+        <p className="review-summary">
+          {name || 'Your resume'}
+          {email && ` · ${email}`}
+          {' · '}{resume.experience.length} roles · {resume.projects.length} projects
+          {resume.education.length > 0 && ' · education'}
+        </p>
+      </div>
+
+      <div className="option-group">
+        <span className="option-label">Skills to Ask About</span>
+        {resume.skills.length === 0 && customSkills.length === 0 && (
+          <p className="review-empty">No skills section found — add the ones you want to be asked about.</p>
+        )}
+        <div className="chip-list">
+          {[...resume.skills, ...customSkills].map((skill) => (
+            <button
+              key={skill}
+              type="button"
+              className={`chip ${topics.skills.includes(skill) ? 'selected' : ''}`}
+              onClick={() => toggle('skills', skill)}
+            >
+              {skill}
+            </button>
+          ))}
+        </div>
+        <div className="chip-input">
+          <input
+            type="text"
+            value={customSkill}
+            placeholder="Missing or misspelt? Add it here"
+            onChange={(e) => setCustomSkill(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                addCustomSkill();
+              }
+            }}
+          />
+          <button type="button" className="chip" onClick={addCustomSkill} disabled={!customSkill.trim()}>
+            + Add
+          </button>
+        </div>
+      </div>
+
+      {projectNames.length > 0 && (
+        <div className="option-group">
+          <span className="option-label">Projects to Ask About</span>
+          <div className="review-projects">
+            {resume.projects.map((project) => (
+              <label key={project.name} className="check-row">
+                <input
+                  type="checkbox"
+                  checked={topics.projects.includes(project.name)}
+                  onChange={() => toggle('projects', project.name)}
+                />
+                <span>
+                  <strong>{project.name}</strong>
+                  {project.details[0] && <span className="review-project-detail"> — {project.details[0]}</span>}
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+    </fieldset>
+  );
+}
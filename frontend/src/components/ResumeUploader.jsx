@@ -1,21 +1,29 @@
 import { useState, useRef, useCallback } from 'react';
+import InterviewOptions, { DEFAULT_INTERVIEW_OPTIONS } from './InterviewOptions';
+import ResumeReview from './ResumeReview';
 
-export default function ResumeUploader({ onUploadSuccess }) {
+const RESUME_EXTENSIONS = ['pdf', 'docx', 'doc', 'txt', 'md'];
+
+export default function ResumeUploader({ onUploadSuccess, initialError = '' }) {
   const [file, setFile] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+  const [error, setError] = useState(initialError);
   const [parsed, setParsed] = useState(false);
   const [dragActive, setDragActive] = useState(false);
+  const [options, setOptions] = useState(DEFAULT_INTERVIEW_OPTIONS);
+  const [review, setReview] = useState(null);
+  const [topics, setTopics] = useState({ skills: [], projects: [] });
   const fileRef = useRef(null);
 
   const validateFile = (selected) => {
     const ext = selected.name.split('.').pop().toLowerCase();
-    if (!['pdf', 'docx', 'doc'].includes(ext)) {
-      setError('Please upload a PDF or DOCX file.');
+    if (!RESUME_EXTENSIONS.includes(ext)) {
+      setError('Please upload a PDF, DOCX, TXT or Markdown file.');
       setFile(null);
       return false;
     }
     setFile(selected);
+    setReview(null);
     setError('');
     return true;
   };
@@ -44,6 +52,27 @@ export default function ResumeUploader({ onUploadSuccess }) {
     }
   }, []);
 
+  // Step 1: extract skills and projects so the user can correct them before any question is generated
+  const handleAnalyze = async () => {
+    if (!file) {
+      setError('Please select a file first.');
+      return;
+    }
+    setLoading(true);
+    setError('');
+
+    try {
+      const { parseResume } = await import('../api');
+      const { resume } = await parseResume(file);
+      setReview(resume);
+      setTopics({ skills: resume.skills, projects: resume.projects.map((p) => p.name) });
+    } catch (err) {
+      setError(err.message || 'Could not read the resume. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleUpload = async () => {
     if (!file) {
       setError('Please select a file first.');
@@ -54,7 +83,7 @@ export default function ResumeUploader({ onUploadSuccess }) {
 
     try {
       const { uploadResume } = await import('../api');
-      const data = await uploadResume(file);
+      const data = await uploadResume(file, { ...options, reviewedTopics: topics });
       setParsed(true);
       setLoading(false);
       fileRef.current = data;
@@ -134,7 +163,7 @@ export default function ResumeUploader({ onUploadSuccess }) {
         >
           <input
             type="file"
-            accept=".pdf,.docx,.doc"
+            accept=".pdf,.docx,.doc,.txt,.md"
             onChange={handleFileChange}
             id="resume-file"
             className="file-input"
@@ -154,33 +183,61 @@ export default function ResumeUploader({ onUploadSuccess }) {
                 </svg>
               </div>
               <p className="drop-text">Drag & drop your resume here</p>
-              <p className="drop-hint">or click to browse &middot; PDF, DOCX supported</p>
+              <p className="drop-hint">or click to browse &middot; PDF, DOCX, TXT, MD supported</p>
             </div>
           )}
         </div>
 
+        {/* Extracted topics the user can correct */}
+        {review && !parsed && (
+          <ResumeReview resume={review} topics={topics} onChange={setTopics} disabled={loading} />
+        )}
+
+        {/* Interview Options */}
+        {!parsed && (
+          <InterviewOptions options={options} onChange={setOptions} disabled={loading} />
+        )}
+
         {/* Error */}
         {error && <p className="error-text">{error}</p>}
 
         {/* Action Buttons */}
-        {!parsed ? (
+        {!review ? (
           <button
             className="btn btn-primary btn-glow"
-            onClick={handleUpload}
+            onClick={handleAnalyze}
             disabled={!file || loading}
           >
             {loading ? (
               <span className="loading-state">
                 <span className="spinner-sm"></span>
-                <span>Analyzing Resume</span>
+                <span>Reading Resume</span>
               </span>
             ) : (
               <>
-                <span>🚀</span>
+                <span>🔍</span>
                 <span>Upload & Analyze</span>
               </>
             )}
           </button>
+        ) : !parsed ? (
+          <button
+            className="btn btn-primary btn-glow"
+            onClick={handleUpload}
+            disabled={loading}
+          >
+            {loading ? (
+              <span className="loading-state">
+                <span className="spinner-sm"></span>
+                <span>Preparing Interview</span>
+              </span>
+            ) : (
+              <>
+                <span>🚀</span>
+                <span>Confirm & Prepare Interview</span>
+              </>
+            )}
+          </button>
         ) : (
           <button className="btn btn-success btn-glow" onClick={handleStart}>
             <span>🎤</span>
@@ -0,0 +1,406 @@
+import { useCallback, useEffect, useState } from 'react';
+import { RecruiterKeyForm } from './RecruiterDashboard';
+import { recommendationColor } from './FinalReport';
+import { deleteRubric, listRubrics, RecruiterKeyError, saveRubric } from '../api';
+import { loadRecruiterKey } from '../storage';
+
+const EMPTY_LEVEL = { label: '', description: '' };
+
+const EMPTY_CRITERION = { name: '', description: '', weight: 25, levels: [] };
+
+const NEW_RUBRIC = {
+  name: '',
+  description: '',
+  criteria: [{ ...EMPTY_CRITERION }],
+  recommendations: [
+    { label: 'Hire', min_score: 70 },
+    { label: 'No Hire', min_score: 0 },
+  ],
+};
+
+function toDraft(rubric) {
+  return {
+    name: rubric.name,
+    description: rubric.description,
+    criteria: rubric.criteria.map((c) => ({ ...c, levels: c.levels.map((l) => ({ ...l })) })),
+    recommendations: rubric.recommendations.map((r) => ({ ...r })),
+  };
+}
+
+function RubricEditor({ rubricId, initial, saving, error, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initial);
+
+  const totalWeight = draft.criteria.reduce((sum, c) => sum + (Number(c.weight) || 0), 0);
+
+  const updateCriterion = (index, patch) => {
+    setDraft((d) => ({
+      ...d,
+      criteria: d.criteria.map((c, i) => (i === index ? { ...c, ...patch } : c)),
+    }));
+  };
+
+  const updateLevel = (criterionIndex, levelIndex, patch) => {
+    const criterion = draft.criteria[criterionIndex];
+    updateCriterion(criterionIndex, {
+      levels: criterion.levels.map((l, i) => (i === levelIndex ? { ...l, ...patch } : l)),
+    });
+  };
+
+  const updateRecommendation = (index, patch) => {
+    setDraft((d) => ({
+      ...d,
+      recommendations: d.recommendations.map((r, i) => (i === index ? { ...r, ...patch } : r)),
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(draft);
+  };
+
+  return (
+    <form className="report-section bank-editor" onSubmit={handleSubmit}>
+      <h3>{rubricId ? '✏️ Edit Rubric' : '⚖️ New Rubric'}</h3>
+      <div className="option-group">
+        <span className="option-label">Name</span>
+        <input
+          className="option-input"
+          value={draft.name}
+          maxLength={100}
+          placeholder="e.g. Senior backend loop"
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          disabled={saving}
+          required
+        />
+      </div>
+      <div className="option-group">
+        <span className="option-label">Description (optional)</span>
+        <input
+          className="option-input"
+          value={draft.description}
+          maxLength={500}
+          onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+          disabled={saving}
+        />
+      </div>
+
+      <span className="option-label">Criteria</span>
+      {draft.criteria.map((criterion, i) => (
+        <div key={i} className="bank-question">
+          <div className="bank-question-header">
+            <span className="question-badge">
+              {totalWeight ? Math.round((100 * (Number(criterion.weight) || 0)) / totalWeight) : 0}%
+            </span>
+            <button
+              type="button"
+              className="option-file-remove"
+              aria-label={`Remove criterion ${i + 1}`}
+              onClick={() => setDraft((d) => ({ ...d, criteria: d.criteria.filter((_, j) => j !== i) }))}
+              disabled={saving || draft.criteria.length === 1}
+            >
+              ✕
+            </button>
+          </div>
+          <div className="bank-question-row">
+            <input
+              className="option-input"
+              value={criterion.name}
+              maxLength={60}
+              placeholder="Criterion, e.g. System design"
+              onChange={(e) => updateCriterion(i, { name: e.target.value })}
+              disabled={saving}
+            />
+            <label className="rubric-weight">
+              Weight
+              <input
+                className="option-input"
+                type="number"
+                min={1}
+                max={100}
+                value={criterion.weight}
+                onChange={(e) => updateCriterion(i, { weight: Number(e.target.value) })}
+                disabled={saving}
+              />
+            </label>
+          </div>
+          <textarea
+            className="option-textarea"
+            rows={2}
+            value={criterion.description}
+            maxLength={300}
+            placeholder="What this criterion judges"
+            onChange={(e) => updateCriterion(i, { description: e.target.value })}
+            disabled={saving}
+          />
+          <span className="option-hint">Levels, best first (optional)</span>
+          {criterion.levels.map((level, j) => (
+            <div key={j} className="bank-question-row">
+              <input
+                className="option-input rubric-level-label"
+                value={level.label}
+                maxLength={40}
+                placeholder="Level"
+                onChange={(e) => updateLevel(i, j, { label: e.target.value })}
+                disabled={saving}
+              />
+              <input
+                className="option-input"
+                value={level.description}
+                maxLength={300}
+                placeholder="What an answer at this level looks like"
+                onChange={(e) => updateLevel(i, j, { description: e.target.value })}
+                disabled={saving}
+              />
+              <button
+                type="button"
+                className="option-file-remove"
+                aria-label="Remove level"
+                onClick={() => updateCriterion(i, { levels: criterion.levels.filter((_, k) => k !== j) })}
+                disabled={saving}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          {criterion.levels.length < 6 && (
+            <button
+              type="button"
+              className="chip"
+              onClick={() => updateCriterion(i, { levels: [...criterion.levels, { ...EMPTY_LEVEL }] })}
+              disabled={saving}
+            >
+              + Add level
+            </button>
+          )}
+        </div>
+      ))}
+      {draft.criteria.length < 10 && (
+        <button
+          type="button"
+          className="chip"
+          onClick={() => setDraft((d) => ({ ...d, criteria: [...d.criteria, { ...EMPTY_CRITERION }] }))}
+          disabled={saving}
+        >
+          + Add criterion
+        </button>
+      )}
+
+      <span className="option-label">Recommendations</span>
+      <p className="option-hint">
+        Each recommendation applies from its minimum overall score (0-100) up to the next one; the lowest starts at 0.
+      </p>
+      {draft.recommendations.map((r, i) => (
+        <div key={i} className="bank-question-row">
+          <input
+            className="option-input"
+            value={r.label}
+            maxLength={40}
+            placeholder="e.g. Strong Hire"
+            onChange={(e) => updateRecommendation(i, { label: e.target.value })}
+            disabled={saving}
+          />
+          <label className="rubric-weight">
+            From
+            <input
+              className="option-input"
+              type="number"
+              min={0}
+              max={100}
+              value={r.min_score}
+              onChange={(e) => updateRecommendation(i, { min_score: Number(e.target.value) })}
+              disabled={saving}
+            />
+          </label>
+          <button
+            type="button"
+            className="option-file-remove"
+            aria-label="Remove recommendation"
+            onClick={() => setDraft((d) => ({ ...d, recommendations: d.recommendations.filter((_, j) => j !== i) }))}
+            disabled={saving || draft.recommendations.length <= 2}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      {draft.recommendations.length < 6 && (
+        <button
+          type="button"
+          className="chip"
+          onClick={() => setDraft((d) => ({ ...d, recommendations: [...d.recommendations, { label: '', min_score: 0 }] }))}
+          disabled={saving}
+        >
+          + Add recommendation
+        </button>
+      )}
+
+      {error && <p className="error-text">{error}</p>}
+      <div className="bank-editor-actions">
+        <button className="btn btn-primary" type="submit" disabled={saving || !draft.name.trim()}>
+          {saving ? '⏳ Saving…' : '💾 Save Rubric'}
+        </button>
+        <button className="btn btn-secondary" type="button" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Rubrics decide how final reports are scored: weighted criteria and the score each recommendation needs
+export default function Rubrics({ onClose }) {
+  const [recruiterKey, setRecruiterKey] = useState(loadRecruiterKey);
+  const [needsKey, setNeedsKey] = useState(false);
+  const [rubrics, setRubrics] = useState(null);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const refresh = useCallback(() => (
+    listRubrics()
+      .then((data) => setRubrics(data.rubrics))
+      .catch((err) => setError(err.message))
+  ), []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const handleError = (err) => {
+    if (err instanceof RecruiterKeyError) setNeedsKey(true);
+    setError(err.message);
+  };
+
+  const handleUnlock = (key) => {
+    setRecruiterKey(key);
+    setNeedsKey(false);
+    setError('');
+  };
+
+  const handleSave = async (rubric) => {
+    setSaving(true);
+    setError('');
+    try {
+      await saveRubric(recruiterKey, rubric, editing.rubricId);
+      setEditing(null);
+      refresh();
+    } catch (err) {
+      handleError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rubric) => {
+    if (!window.confirm(`Delete "${rubric.name}"? Interviews already under way keep scoring with it.`)) return;
+    setError('');
+    try {
+      await deleteRubric(recruiterKey, rubric.id);
+      refresh();
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  if (needsKey) {
+    return (
+      <div className="history-container">
+        <h1 className="report-title">⚖️ Scoring Rubrics</h1>
+        <RecruiterKeyForm rejected={Boolean(error && recruiterKey)} onUnlock={handleUnlock} />
+        <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+      </div>
+    );
+  }
+
+  if (editing) {
+    return (
+      <div className="history-container">
+        <h1 className="report-title">⚖️ Scoring Rubrics</h1>
+        <RubricEditor
+          rubricId={editing.rubricId}
+          initial={editing.draft}
+          saving={saving}
+          error={error}
+          onSave={handleSave}
+          onCancel={() => { setEditing(null); setError(''); }}
+        />
+      </div>
+    );
+  }
+
+  if (!rubrics) {
+    return error ? (
+      <div className="history-container">
+        <p className="error-text">{error}</p>
+        <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+      </div>
+    ) : (
+      <div className="restore-state">
+        <span className="spinner" />
+        <span>Loading rubrics…</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="history-container">
+      <h1 className="report-title">⚖️ Scoring Rubrics</h1>
+      <p className="option-hint">
+        The final report scores each criterion out of 10 and combines them by weight into the overall score, which
+        picks the recommendation. Choose a rubric in the interview options; the built-in one can be duplicated but
+        not edited.
+      </p>
+
+      <div className="option-row">
+        <button className="chip" onClick={() => setEditing({ rubricId: null, draft: toDraft(NEW_RUBRIC) })}>
+          + New rubric
+        </button>
+      </div>
+
+      {error && <p className="error-text">{error}</p>}
+
+      <div className="history-list">
+        {rubrics.map((rubric) => {
+          const totalWeight = rubric.criteria.reduce((sum, c) => sum + c.weight, 0);
+          const scale = rubric.recommendations.map((r) => r.label);
+          return (
+            <div key={rubric.id} className="invitation-item">
+              <div className="history-item-main">
+                <span className="history-item-title">
+                  {rubric.name}
+                  {rubric.built_in && <span className="bank-tag">Built-in</span>}
+                </span>
+                <span className="history-item-meta">
+                  {rubric.criteria.map((c) => `${c.name} ${Math.round((100 * c.weight) / totalWeight)}%`).join(' · ')}
+                </span>
+                <span className="history-item-meta">
+                  {rubric.recommendations.map((r, i) => (
+                    <span key={r.label} style={{ color: recommendationColor(r.label, scale) }}>
+                      {i > 0 && ' · '}{r.label} ≥ {r.min_score}
+                    </span>
+                  ))}
+                </span>
+              </div>
+              <div className="invitation-actions">
+                {!rubric.built_in && (
+                  <button className="chip" onClick={() => setEditing({ rubricId: rubric.id, draft: toDraft(rubric) })}>
+                    ✏️ Edit
+                  </button>
+                )}
+                <button
+                  className="chip"
+                  onClick={() => setEditing({
+                    rubricId: null,
+                    draft: { ...toDraft(rubric), name: `${rubric.name} (copy)`.slice(0, 100) },
+                  })}
+                >
+                  Duplicate
+                </button>
+                {!rubric.built_in && <button className="chip" onClick={() => handleDelete(rubric)}>Delete</button>}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <button className="btn btn-secondary" onClick={onClose}>← Back</button>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { loadTurnSettings, saveTurnSettings } from '../speechSettings';
+
+const TURN_MODES = [
+  { value: 'auto', label: '🤖 Auto' },
+  { value: 'push', label: '✋ Push to Talk' },
+];
+
+function Slider({ label, min, max, step, value, display, onChange, disabled }) {
+  return (
+    <div className="option-row">
+      <span className="option-hint turn-settings-label">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="option-range"
+        disabled={disabled}
+      />
+      <span className="option-value">{display}</span>
+    </div>
+  );
+}
+
+// How spoken answers start and end. Saved for this browser; the interview picks up
+// changes at the start of the next answer.
+export default function TurnSettings({ disabled = false }) {
+  const [settings, setSettings] = useState(loadTurnSettings);
+
+  const update = (patch) => {
+    const next = { ...settings, ...patch };
+    setSettings(next);
+    saveTurnSettings(next);
+  };
+
+  return (
+    <div className="turn-settings">
+      <div className="segmented">
+        {TURN_MODES.map((m) => (
+          <button
+            key={m.value}
+            type="button"
+            className={`segment ${settings.mode === m.value ? 'selected' : ''}`}
+            onClick={() => update({ mode: m.value })}
+            disabled={disabled}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+      <p className="option-hint">
+        {settings.mode === 'auto'
+          ? 'Your answer is submitted after a pause. You can also pause the recording yourself.'
+          : 'Hold Space (or the talk button) while you speak, then press Done.'}
+      </p>
+      {settings.mode === 'auto' && (
+        <Slider
+          label="Submit after silence"
+          min={3}
+          max={30}
+          step={1}
+          value={settings.silenceSeconds}
+          display={`${settings.silenceSeconds}s`}
+          onChange={(silenceSeconds) => update({ silenceSeconds })}
+          disabled={disabled}
+        />
+      )}
+      <Slider
+        label="Thinking time"
+        min={0}
+        max={60}
+        step={5}
+        value={settings.thinkingSeconds}
+        display={settings.thinkingSeconds ? `${settings.thinkingSeconds}s` : 'Off'}
+        onChange={(thinkingSeconds) => update({ thinkingSeconds })}
+        disabled={disabled}
+      />
+      <Slider
+        label="Max answer length"
+        min={60}
+        max={300}
+        step={30}
+        value={settings.maxRecordSeconds}
+        display={`${settings.maxRecordSeconds / 60} min`}
+        onChange={(maxRecordSeconds) => update({ maxRecordSeconds })}
+        disabled={disabled}
+      />
+      <label className="toggle-option">
+        <input
+          type="checkbox"
+          checked={settings.serverTranscription}
+          onChange={(e) => update({ serverTranscription: e.target.checked })}
+          disabled={disabled}
+        />
+        <span>Transcribe answers on the server</span>
+      </label>
+      <p className="option-hint">
+        {settings.serverTranscription
+          ? "Each answer's audio is uploaded for transcription, which can be more accurate. The server does not keep it."
+          : 'Your browser transcribes your answers and the audio stays on this device.'}
+      </p>
+    </div>
+  );
+}
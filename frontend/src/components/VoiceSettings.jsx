@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react';
+import {
+  interviewLanguage,
+  loadVoiceSettings,
+  saveVoiceSettings,
+  voicesFor,
+  pickVoice,
+} from '../speechSettings';
+
+const MIN_RATE = 0.7;
+const MAX_RATE = 1.3;
+
+// The interviewer's voice and speaking rate for this browser. Changes are saved straight away,
+// so they also apply to the next question when adjusted mid-interview.
+export default function VoiceSettings({ language = 'en', disabled = false }) {
+  const [settings, setSettings] = useState(loadVoiceSettings);
+  const [voices, setVoices] = useState(() => window.speechSynthesis?.getVoices() || []);
+  const { locale, phrases } = interviewLanguage(language);
+
+  // Some browsers load their voices asynchronously
+  useEffect(() => {
+    if (!window.speechSynthesis) return undefined;
+    const onVoices = () => setVoices(window.speechSynthesis.getVoices());
+    window.speechSynthesis.addEventListener('voiceschanged', onVoices);
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', onVoices);
+  }, []);
+
+  if (!window.speechSynthesis) {
+    return <p className="option-hint">This browser can't speak questions aloud, so voice settings are unavailable.</p>;
+  }
+
+  const update = (patch) => {
+    const next = { ...settings, ...patch };
+    setSettings(next);
+    saveVoiceSettings(next);
+  };
+
+  const available = voicesFor(voices, locale);
+  const current = pickVoice(voices, locale, settings.voiceName);
+
+  const preview = () => {
+    window.speechSynthesis.cancel();
+    const utterance = new SpeechSynthesisUtterance(phrases.preview);
+    utterance.lang = locale;
+    utterance.rate = settings.rate;
+    if (current) utterance.voice = current;
+    window.speechSynthesis.speak(utterance);
+  };
+
+  return (
+    <div className="voice-settings">
+      <div className="option-row">
+        <select
+          className="option-select"
+          value={current?.name || ''}
+          onChange={(e) => update({ voiceName: e.target.value })}
+          disabled={disabled || !available.length}
+        >
+          {!available.length && <option value="">No {interviewLanguage(language).label} voice installed</option>}
+          {available.map((v) => (
+            <option key={v.name} value={v.name}>{v.name}</option>
+          ))}
+        </select>
+        <button type="button" className="chip" onClick={preview} disabled={disabled}>
+          ▶ Preview
+        </button>
+      </div>
+      <div className="option-row">
+        <span className="option-hint">Speed</span>
+        <input
+          type="range"
+          min={MIN_RATE}
+          max={MAX_RATE}
+          step={0.05}
+          value={settings.rate}
+          onChange={(e) => update({ rate: Number(e.target.value) })}
+          className="option-range"
+          disabled={disabled}
+        />
+        <span className="option-value">{settings.rate.toFixed(2)}×</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+import { useRef, useState } from 'react';
+
+export const EMPTY_DIAGRAM = { nodes: [], edges: [] };
+
+const WIDTH = 640;
+const HEIGHT = 360;
+const NODE_HEIGHT = 40;
+const PADDING = 24;
+// Mirrors the Diagram limits in backend/models/schemas.py
+const MAX_NODES = 40;
+const MAX_EDGES = 80;
+
+const TOOLS = [
+  { value: 'select', label: '↖ Move' },
+  { value: 'box', label: '▭ Box' },
+  { value: 'arrow', label: '→ Arrow' },
+];
+
+function nodeWidth(node) {
+  return Math.max(90, node.label.length * 7 + 24);
+}
+
+// Where the line from a node's centre towards (x, y) leaves its box, so arrowheads sit on the border
+function borderPoint(node, x, y) {
+  const dx = x - node.x;
+  const dy = y - node.y;
+  if (!dx && !dy) return { x: node.x, y: node.y };
+  const scale = Math.min(
+    dx ? nodeWidth(node) / 2 / Math.abs(dx) : Infinity,
+    dy ? NODE_HEIGHT / 2 / Math.abs(dy) : Infinity,
+  );
+  return { x: node.x + dx * scale, y: node.y + dy * scale };
+}
+
+// Smallest view box that shows the whole sketch (used when displaying a saved diagram)
+function fitViewBox(diagram) {
+  if (!diagram.nodes.length) return `0 0 ${WIDTH} ${HEIGHT}`;
+  const left = Math.min(...diagram.nodes.map((n) => n.x - nodeWidth(n) / 2)) - PADDING;
+  const right = Math.max(...diagram.nodes.map((n) => n.x + nodeWidth(n) / 2)) + PADDING;
+  const top = Math.min(...diagram.nodes.map((n) => n.y)) - NODE_HEIGHT / 2 - PADDING;
+  const bottom = Math.max(...diagram.nodes.map((n) => n.y)) + NODE_HEIGHT / 2 + PADDING;
+  return `${left} ${top} ${right - left} ${bottom - top}`;
+}
+
+let nextId = 0;
+const newId = (prefix) => `${prefix}${Date.now().toString(36)}${(nextId++).toString(36)}`;
+
+// A small boxes-and-arrows whiteboard. The diagram ({nodes, edges}) is controlled by the parent;
+// with `readOnly` it just draws a saved sketch.
+export default function Whiteboard({ value = EMPTY_DIAGRAM, onChange, readOnly = false, disabled = false }) {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [tool, setTool] = useState('box');
+  const [selected, setSelected] = useState(null); // { kind: 'node' | 'edge', id }
+  const [arrowFrom, setArrowFrom] = useState(null);
+
+  const nodesById = Object.fromEntries(value.nodes.map((n) => [n.id, n]));
+  const selectedItem = selected
+    && (selected.kind === 'node' ? nodesById[selected.id] : value.edges.find((e) => e.id === selected.id));
+
+  const toCanvas = (e) => {
+    const point = svgRef.current.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return { x: Math.round(x), y: Math.round(y) };
+  };
+
+  const update = (patch) => onChange({ ...value, ...patch });
+
+  const handleCanvasDown = (e) => {
+    if (disabled || e.target !== svgRef.current) return;
+    setArrowFrom(null);
+    if (tool !== 'box' || value.nodes.length >= MAX_NODES) {
+      setSelected(null);
+      return;
+    }
+    const node = { id: newId('n'), label: `Component ${value.nodes.length + 1}`, ...toCanvas(e) };
+    update({ nodes: [...value.nodes, node] });
+    setSelected({ kind: 'node', id: node.id });
+  };
+
+  const handleNodeDown = (e, node) => {
+    if (disabled) return;
+    e.stopPropagation();
+    if (tool === 'arrow') {
+      if (!arrowFrom) {
+        setArrowFrom(node.id);
+      } else if (arrowFrom !== node.id && value.edges.length < MAX_EDGES) {
+        const edge = { id: newId('e'), source: arrowFrom, target: node.id, label: '' };
+        update({ edges: [...value.edges, edge] });
+        setSelected({ kind: 'edge', id: edge.id });
+        setArrowFrom(null);
+      }
+      return;
+    }
+    setSelected({ kind: 'node', id: node.id });
+    const start = toCanvas(e);
+    dragRef.current = { id: node.id, offsetX: start.x - node.x, offsetY: start.y - node.y };
+    svgRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const { x, y } = toCanvas(e);
+    update({
+      nodes: value.nodes.map((n) => (
+        n.id === drag.id ? { ...n, x: x - drag.offsetX, y: y - drag.offsetY } : n
+      )),
+    });
+  };
+
+  const handlePointerUp = () => { dragRef.current = null; };
+
+  const renameSelected = (label) => {
+    if (selected.kind === 'node') {
+      update({ nodes: value.nodes.map((n) => (n.id === selected.id ? { ...n, label } : n)) });
+    } else {
+      update({ edges: value.edges.map((ed) => (ed.id === selected.id ? { ...ed, label } : ed)) });
+    }
+  };
+
+  const deleteSelected = () => {
+    if (selected.kind === 'node') {
+      update({
+        nodes: value.nodes.filter((n) => n.id !== selected.id),
+        edges: value.edges.filter((ed) => ed.source !== selected.id && ed.target !== selected.id),
+      });
+    } else {
+      update({ edges: value.edges.filter((ed) => ed.id !== selected.id) });
+    }
+    setSelected(null);
+  };
+
+  return (
+    <div className={`whiteboard ${readOnly ? 'read-only' : ''}`}>
+      {!readOnly && (
+        <div className="whiteboard-toolbar">
+          <div className="segmented">
+            {TOOLS.map((t) => (
+              <button
+                key={t.value}
+                type="button"
+                className={`segment ${tool === t.value ? 'selected' : ''}`}
+                onClick={() => { setTool(t.value); setArrowFrom(null); }}
+                disabled={disabled}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            className="chip"
+            onClick={() => { onChange(EMPTY_DIAGRAM); setSelected(null); }}
+            disabled={disabled || !value.nodes.length}
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
+      <svg
+        ref={svgRef}
+        className="whiteboard-canvas"
+        viewBox={readOnly ? fitViewBox(value) : `0 0 ${WIDTH} ${HEIGHT}`}
+        onPointerDown={readOnly ? undefined : handleCanvasDown}
+        onPointerMove={readOnly ? undefined : handlePointerMove}
+        onPointerUp={readOnly ? undefined : handlePointerUp}
+      >
+        <defs>
+          <marker id="whiteboard-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" className="whiteboard-arrowhead" />
+          </marker>
+        </defs>
+
+        {value.edges.map((edge) => {
+          const source = nodesById[edge.source];
+          const target = nodesById[edge.target];
+          if (!source || !target) return null;
+          const start = borderPoint(source, target.x, target.y);
+          const end = borderPoint(target, source.x, source.y);
+          return (
+            <g
+              key={edge.id}
+              className={`whiteboard-edge ${selected?.id === edge.id ? 'selected' : ''}`}
+              onPointerDown={readOnly ? undefined : (e) => {
+                e.stopPropagation();
+                setSelected({ kind: 'edge', id: edge.id });
+              }}
+            >
+              <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} markerEnd="url(#whiteboard-arrow)" />
+              {/* Wide invisible stroke so thin arrows are easy to click */}
+              <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} className="whiteboard-edge-hit" />
+              {edge.label && (
+                <text x={(start.x + end.x) / 2} y={(start.y + end.y) / 2 - 6} textAnchor="middle">
+                  {edge.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {value.nodes.map((node) => (
+          <g
+            key={node.id}
+            className={`whiteboard-node ${selected?.id === node.id ? 'selected' : ''} ${arrowFrom === node.id ? 'arrow-source' : ''}`}
+            onPointerDown={readOnly ? undefined : (e) => handleNodeDown(e, node)}
+          >
+            <rect
+              x={node.x - nodeWidth(node) / 2}
+              y={node.y - NODE_HEIGHT / 2}
+              width={nodeWidth(node)}
+              height={NODE_HEIGHT}
+              rx="6"
+            />
+            <text x={node.x} y={node.y + 4} textAnchor="middle">{node.label}</text>
+          </g>
+        ))}
+      </svg>
+
+      {!readOnly && (
+        <div className="whiteboard-footer">
+          {selectedItem ? (
+            <>
+              <input
+                type="text"
+                className="whiteboard-label-input"
+                value={selectedItem.label}
+                maxLength={80}
+                placeholder={selected.kind === 'node' ? 'Component name' : 'Arrow label, e.g. "writes"'}
+                onChange={(e) => renameSelected(e.target.value)}
+                disabled={disabled}
+              />
+              <button type="button" className="chip" onClick={deleteSelected} disabled={disabled}>
+                Delete
+              </button>
+            </>
+          ) : (
+            <span className="whiteboard-hint">
+              {tool === 'box' && 'Click the canvas to add a component, then name it here.'}
+              {tool === 'arrow' && (arrowFrom ? 'Now click the component it points to.' : 'Click the component an arrow starts from.')}
+              {tool === 'select' && 'Drag components to rearrange; click one to rename or delete it.'}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+// Delivery analytics for spoken answers: pace, filler words, pauses and speaking time.
+// Timing comes from the speech recognizer's result events, which fire continuously while
+// the candidate talks, so a gap between two events is a pause.
+
+const LONG_PAUSE_MS = 3000;
+
+// Matched as whole words. "like" is only counted when it isn't doing a real job
+// ("looks like", "I like it"), which keeps the count honest if not exact.
+const FILLER_PATTERNS = {
+    um: /\bum+\b/g,
+    uh: /\b(uh+|erm+|er)\b/g,
+    like: /(?<!\b(i|you|we|they|would|i'd|don't|didn't|look|looks|looked|feel|feels|felt|seem|seems|seemed|sounds|something|anything|just) )\blike\b(?! to\b)/g,
+    basically: /\bbasically\b/g,
+    actually: /\bactually\b/g,
+    literally: /\bliterally\b/g,
+    'you know': /\byou know\b(?! (what|how|that|why|the|a)\b)/g,
+    'sort of': /\bsort of\b/g,
+    'kind of': /\bkind of\b/g,
+    'i mean': /\bi mean\b/g,
+};
+
+export function countFillers(text) {
+    const lower = text.toLowerCase();
+    const counts = {};
+    Object.entries(FILLER_PATTERNS).forEach(([word, pattern]) => {
+        const found = lower.match(pattern)?.length || 0;
+        if (found) counts[word] = found;
+    });
+    return counts;
+}
+
+function countWords(text) {
+    return text.trim() ? text.trim().split(/\s+/).length : 0;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Tracks one spoken answer. Time spent paused (or away on a repeat/clarify aside) is left out.
+export function createDeliveryTracker(now = () => performance.now()) {
+    let activeSince = now();
+    let paused = false;
+    let beforeFirstWordMs = 0;
+    let firstWordMs = null;
+    let lastSpeechAt = null;
+    let speakingMs = 0;
+    let longPauses = 0;
+    let longestPauseMs = 0;
+
+    return {
+        // Called for every recognizer result, interim or final
+        speech() {
+            if (paused) return;
+            const at = now();
+            if (firstWordMs === null) {
+                firstWordMs = beforeFirstWordMs + (at - activeSince);
+            } else {
+                const gap = at - lastSpeechAt;
+                // A long pause is silence, so it counts against neither speaking time nor pace
+                if (gap >= LONG_PAUSE_MS) longPauses += 1;
+                else speakingMs += gap;
+                longestPauseMs = Math.max(longestPauseMs, gap);
+            }
+            lastSpeechAt = at;
+        },
+        pause() {
+            if (paused) return;
+            paused = true;
+            if (firstWordMs === null) beforeFirstWordMs += now() - activeSince;
+        },
+        resume() {
+            if (!paused) return;
+            paused = false;
+            activeSince = now();
+            // The gap across a pause isn't counted; speech picks up from here
+            if (lastSpeechAt !== null) lastSpeechAt = activeSince;
+        },
+        // Metrics for the final answer text, or null if nothing was heard
+        finish(text) {
+            if (firstWordMs === null) return null;
+            const fillerWords = countFillers(text);
+            const wordCount = countWords(text);
+            const speakingSeconds = speakingMs / 1000;
+            return {
+                word_count: wordCount,
+                speaking_seconds: round1(speakingSeconds),
+                // Too little continuous speech to time a pace reliably
+                words_per_minute: speakingSeconds >= 5 ? Math.round(wordCount / (speakingSeconds / 60)) : null,
+                filler_words: fillerWords,
+                filler_count: Object.values(fillerWords).reduce((sum, n) => sum + n, 0),
+                long_pauses: longPauses,
+                longest_pause_seconds: round1(longestPauseMs / 1000),
+                time_to_first_word_seconds: round1(firstWordMs / 1000),
+            };
+        },
+    };
+}
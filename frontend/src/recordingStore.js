@@ -0,0 +1,65 @@
+// Keeps each spoken answer's audio in this browser (IndexedDB) so the report can replay it.
+// Nothing here is sent to the server. Only with server transcription turned on in the answer
+// settings does InterviewSession upload each answer to /transcribe (which does not keep it).
+const DB_NAME = 'interviewai';
+const STORE = 'recordings';
+
+export function isRecordingStorageSupported() {
+    return Boolean(window.indexedDB);
+}
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('sessionId', 'sessionId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch((err) => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+}
+
+// Runs `work(store)` in one transaction and resolves with its request's result once committed
+async function withStore(mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = work(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// `segments` are the recognizer's phrases with their [start, end] seconds in the audio
+export function saveRecording({ sessionId, questionNumber, audio, duration, segments = [] }) {
+    return withStore('readwrite', (store) => store.put({
+        id: `${sessionId}:${questionNumber}`,
+        sessionId,
+        questionNumber,
+        audio,
+        duration,
+        segments,
+        createdAt: Date.now(),
+    }));
+}
+
+// This interview's recordings keyed by question number (as a string, like code answers)
+export async function loadRecordings(sessionId) {
+    const records = await withStore('readonly', (store) => store.index('sessionId').getAll(sessionId));
+    return Object.fromEntries((records || []).map((r) => [String(r.questionNumber), r]));
+}
+
+// "Delete my recordings": every answer recorded in this browser, from every interview
+export function deleteAllRecordings() {
+    return withStore('readwrite', (store) => store.clear());
+}
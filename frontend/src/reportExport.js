@@ -0,0 +1,398 @@
+// Builds downloadable copies of a finished interview: a raw JSON bundle,
+// a Markdown document and a formatted PDF.
+
+const EVALUATION_SCORES = [
+    ['Technical', 'technical_score'],
+    ['Clarity', 'clarity_score'],
+    ['Structure', 'structure_score'],
+    ['Relevance', 'relevance_score'],
+];
+
+// Per-round verdicts from the report, matched to the answer averages for each round
+export function roundResults(report, roundScores) {
+    return (roundScores || []).map((round, i) => ({
+        ...round,
+        ...(report.rounds?.find((r) => r.name === round.name) || report.rounds?.[i]),
+        name: round.name,
+    }));
+}
+
+// "78/100 · Recommend", or '' before the report has judged the round
+function roundVerdict(round) {
+    return [round.score !== undefined ? `${round.score}/100` : null, round.recommendation].filter(Boolean).join(' · ');
+}
+
+// "3 questions · avg answer 7.2/10"
+function describeRound(round) {
+    return `${round.questions} question${round.questions === 1 ? '' : 's'}`
+        + (round.average !== null ? ` · avg answer ${round.average}/10` : '');
+}
+
+export function buildExportBundle({
+    sessionId, report, questions = [], answers = [], evaluations = [], answerModes = [], codeAnswers = {},
+    diagrams = {}, clarifications = {}, delivery = {}, deliverySummary = null, practice = null, questionSources = [],
+    roundScores = null,
+}) {
+    return {
+        session_id: sessionId,
+        exported_at: new Date().toISOString(),
+        report,
+        practice,
+        round_scores: roundScores,
+        delivery_summary: deliverySummary,
+        transcript: answers.map((answer, i) => ({
+            number: i + 1,
+            question: questions[i],
+            // 'bank' for questions from a question bank, 'generated' for the interviewer's own
+            source: questionSources[i] || 'generated',
+            clarifications: clarifications[String(i + 1)] || [],
+            answer,
+            answer_mode: answerModes[i] || 'voice',
+            evaluation: evaluations[i] || null,
+            code: codeAnswers[String(i + 1)] || null,
+            diagram: diagrams[String(i + 1)] || null,
+            delivery: delivery[String(i + 1)] || null,
+        })),
+    };
+}
+
+// Text form of a whiteboard sketch: the components, then one line per arrow
+function describeDiagram(diagram) {
+    const labels = Object.fromEntries(diagram.nodes.map((n) => [n.id, n.label || '(unlabelled)']));
+    return [
+        `Components: ${Object.values(labels).join(', ')}`,
+        ...diagram.edges
+            .filter((e) => labels[e.source] && labels[e.target])
+            .map((e) => `${labels[e.source]} -> ${labels[e.target]}${e.label ? ` (${e.label})` : ''}`),
+    ];
+}
+
+// One line on how a spoken answer (or the whole interview) was delivered
+function describeDelivery(m) {
+    const fillers = Object.entries(m.filler_words)
+        .map(([word, count]) => `${word} x${count}`)
+        .join(', ');
+    return [
+        m.words_per_minute ? `${m.words_per_minute} wpm` : null,
+        `${m.filler_count} filler words${fillers ? ` (${fillers})` : ''}`,
+        `${m.long_pauses} long pauses`,
+        m.time_to_first_word_seconds != null ? `first word after ${m.time_to_first_word_seconds}s` : null,
+        `${m.speaking_seconds}s speaking`,
+    ].filter(Boolean).join(' · ');
+}
+
+function formatScores(evaluation) {
+    return EVALUATION_SCORES
+        .map(([label, key]) => `${label} ${evaluation[key]}/10`)
+        .join(' · ');
+}
+
+export function toMarkdown(bundle) {
+    const { report } = bundle;
+    const lines = [
+        '# Interview Report',
+        '',
+        `*Exported ${new Date(bundle.exported_at).toLocaleString()}*`,
+        '',
+        `**Overall score:** ${report.overall_score}/100  `,
+        `**Recommendation:** ${report.hire_recommendation}`,
+        '',
+    ];
+
+    if (report.criteria?.length) {
+        lines.push('## Score Breakdown', '');
+        if (report.rubric) lines.push(`*Scored with the ${report.rubric.name} rubric.*`, '');
+        report.criteria.forEach((c) => {
+            lines.push(`**${c.name}** (weight ${c.weight}): ${c.score}/10${c.level ? ` · ${c.level}` : ''}  `, c.justification, '');
+        });
+    }
+
+    const rounds = roundResults(report, bundle.round_scores);
+    if (rounds.length) {
+        lines.push('## Rounds', '');
+        rounds.forEach((round) => {
+            const verdict = roundVerdict(round);
+            lines.push(`**${round.name}**${verdict ? `: ${verdict}` : ''}  `, `*${describeRound(round)}*`, '');
+            if (round.summary) lines.push(round.summary, '');
+        });
+    }
+
+    if (report.resume_summary) {
+        lines.push('## Resume Summary', '', report.resume_summary, '');
+    }
+    lines.push(
+        '## Summary', '', report.summary, '',
+        '## Strong Areas', '', report.strong_areas, '',
+        '## Areas to Improve', '', report.weak_areas, '',
+        '## Improvement Roadmap', '', report.improvement_roadmap, '',
+    );
+
+    if (report.role_fit) {
+        lines.push('## Role Fit', '');
+        [['Demonstrated', 'demonstrated'], ['Weak', 'weak'], ['Not covered', 'not_covered']].forEach(([label, key]) => {
+            const items = report.role_fit[key] || [];
+            lines.push(`**${label}:** ${items.length ? items.join(', ') : 'None'}  `);
+        });
+        lines.push('');
+    }
+
+    if (bundle.practice) {
+        lines.push(
+            '## Progress Since Last Attempt', '',
+            `**Overall:** ${bundle.practice.previous_overall_score} → ${bundle.practice.overall_score}`, '',
+        );
+        if (report.improvement) {
+            lines.push(report.improvement.summary, '');
+            report.improvement.topics.forEach((topic) => {
+                lines.push(`- **${topic.topic}** (${topic.verdict}): ${topic.note}`);
+            });
+            lines.push('');
+        }
+    }
+
+    if (bundle.delivery_summary) {
+        const summary = bundle.delivery_summary;
+        lines.push('## Communication', '', describeDelivery({
+            ...summary,
+            time_to_first_word_seconds: summary.average_time_to_first_word_seconds,
+        }), '');
+    }
+
+    lines.push('## Transcript', '');
+    bundle.transcript.forEach((entry) => {
+        lines.push(`### Q${entry.number}. ${entry.question}`, '');
+        if (entry.source === 'bank') lines.push('*(from the question bank)*', '');
+        entry.clarifications.forEach((c) => {
+            lines.push(`*Candidate asked:* ${c.question}  `, `*Interviewer:* ${c.answer}`, '');
+        });
+        lines.push(`> ${entry.answer.replace(/\n/g, '\n> ')}`, '');
+        if (entry.answer_mode === 'text') lines.push('*(typed answer)*', '');
+        if (entry.delivery) lines.push(`*Delivery: ${describeDelivery(entry.delivery)}*`, '');
+        if (entry.code) {
+            lines.push(
+                `**Code (${entry.code.language}):** ${entry.code.results.passed}/${entry.code.results.total} tests passed`,
+                '',
+                '```' + entry.code.language,
+                entry.code.code,
+                '```',
+                '',
+            );
+        }
+        if (entry.diagram) {
+            const [components, ...arrows] = describeDiagram(entry.diagram);
+            lines.push(`**Whiteboard:** ${components}`, '', ...arrows.map((a) => `- ${a}`), '');
+        }
+        if (entry.evaluation) {
+            lines.push(
+                `**Scores:** ${formatScores(entry.evaluation)}`, '',
+                `- **Strengths:** ${entry.evaluation.strengths}`,
+                `- **Weaknesses:** ${entry.evaluation.weaknesses}`,
+                `- **Tip:** ${entry.evaluation.improvement_tip}`,
+                '',
+            );
+        }
+    });
+
+    return lines.join('\n');
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFilename(bundle, ext) {
+    const date = bundle.exported_at.slice(0, 10);
+    return `interview-report-${date}.${ext}`;
+}
+
+export function downloadJSON(bundle) {
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, exportFilename(bundle, 'json'));
+}
+
+export function downloadMarkdown(bundle) {
+    const blob = new Blob([toMarkdown(bundle)], { type: 'text/markdown' });
+    downloadBlob(blob, exportFilename(bundle, 'md'));
+}
+
+// Characters outside WinAnsi, the only encoding jsPDF's built-in fonts can draw
+const NON_WIN_ANSI = /[^\x00-\x7F\xA0-\xFF\u0152\u0153\u0160\u0161\u0178\u017D\u017E\u0192\u02C6\u02DC\u2013\u2014\u2018-\u201A\u201C-\u201E\u2020-\u2022\u2026\u2030\u2039\u203A\u20AC\u2122]/;
+
+// Canvas pixels per PDF point, so rasterised lines stay sharp when printed
+const CANVAS_SCALE = 4;
+const CANVAS_FONTS = {
+    helvetica: 'Helvetica, Arial, "Noto Sans", "Noto Sans Devanagari", "Nirmala UI", sans-serif',
+    courier: '"Courier New", "Noto Sans Mono", monospace',
+};
+
+// Lines in other scripts (Hindi, emoji, ...) are drawn by the browser onto a canvas and placed
+// as images: it shapes Devanagari conjuncts and vowel signs with the same fonts the app uses,
+// which an embedded font in jsPDF could not do.
+function canvasText() {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const cssFont = (size, style, font) => `${style === 'normal' ? '' : style} ${size}px ${CANVAS_FONTS[font]}`;
+
+    // Word-wraps `text` to `width` points, keeping explicit line breaks
+    const split = (text, width, { size, style, font }) => {
+        context.font = cssFont(size, style, font);
+        return text.split('\n').flatMap((paragraph) => {
+            const lines = [];
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && context.measureText(candidate).width > width) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            return [...lines, line];
+        });
+    };
+
+    // A PNG of one line, with its baseline `ascent` points below the top
+    const render = (line, { size, style, font, color, lineHeight, ascent }) => {
+        context.font = cssFont(size, style, font);
+        const width = Math.max(1, Math.ceil(context.measureText(line).width));
+        canvas.width = width * CANVAS_SCALE;
+        canvas.height = Math.ceil(lineHeight * CANVAS_SCALE);
+        context.scale(CANVAS_SCALE, CANVAS_SCALE);  // resizing reset the context
+        context.font = cssFont(size, style, font);
+        context.fillStyle = `rgb(${color.join(',')})`;
+        context.fillText(line, 0, ascent);
+        return { image: canvas.toDataURL('image/png'), width };
+    };
+
+    return { split, render };
+}
+
+export async function downloadPDF(bundle) {
+    // Loaded on demand — jsPDF is only needed when someone actually exports
+    const { jsPDF } = await import('jspdf');
+    const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+    const margin = 48;
+    const width = doc.internal.pageSize.getWidth() - margin * 2;
+    const pageHeight = doc.internal.pageSize.getHeight();
+    let y = margin;
+    const canvas = canvasText();
+
+    const write = (text, { size = 10, style = 'normal', color = [40, 40, 40], gap = 6, font = 'helvetica' } = {}) => {
+        doc.setFont(font, style);
+        doc.setFontSize(size);
+        doc.setTextColor(...color);
+        const lineHeight = size * 1.35;
+        const options = { size, style, font, color, lineHeight, ascent: size };
+        text = String(text ?? '');
+        const lines = NON_WIN_ANSI.test(text) ? canvas.split(text, width, options) : doc.splitTextToSize(text, width);
+        lines.forEach((line) => {
+            if (y + lineHeight > pageHeight - margin) {
+                doc.addPage();
+                y = margin;
+            }
+            if (NON_WIN_ANSI.test(line)) {
+                const { image, width: lineWidth } = canvas.render(line, options);
+                doc.addImage(image, 'PNG', margin, y - options.ascent, lineWidth, lineHeight);
+            } else {
+                doc.text(line, margin, y);
+            }
+            y += lineHeight;
+        });
+        y += gap;
+    };
+    const heading = (text) => write(text, { size: 13, style: 'bold', color: [90, 80, 200], gap: 4 });
+
+    const { report } = bundle;
+    write('Interview Report', { size: 20, style: 'bold', gap: 2 });
+    write(`Exported ${new Date(bundle.exported_at).toLocaleString()}`, { size: 9, color: [120, 120, 120], gap: 12 });
+    write(`Overall score: ${report.overall_score}/100    Recommendation: ${report.hire_recommendation}`, {
+        size: 12, style: 'bold', gap: 12,
+    });
+
+    if (report.criteria?.length) {
+        heading('Score Breakdown');
+        if (report.rubric) write(`Scored with the ${report.rubric.name} rubric.`, { size: 9, color: [120, 120, 120], gap: 4 });
+        report.criteria.forEach((c) => {
+            write(`${c.name} (weight ${c.weight}): ${c.score}/10${c.level ? ` · ${c.level}` : ''}`, { style: 'bold', gap: 2 });
+            write(c.justification);
+        });
+    }
+
+    const rounds = roundResults(report, bundle.round_scores);
+    if (rounds.length) {
+        heading('Rounds');
+        rounds.forEach((round) => {
+            const verdict = roundVerdict(round);
+            write(`${round.name}${verdict ? `: ${verdict}` : ''}`, { style: 'bold', gap: 2 });
+            write(describeRound(round), { size: 9, color: [120, 120, 120], gap: round.summary ? 2 : 6 });
+            if (round.summary) write(round.summary);
+        });
+    }
+
+    if (report.resume_summary) {
+        heading('Resume Summary');
+        write(report.resume_summary);
+    }
+    heading('Summary');
+    write(report.summary);
+    heading('Strong Areas');
+    write(report.strong_areas);
+    heading('Areas to Improve');
+    write(report.weak_areas);
+    heading('Improvement Roadmap');
+    write(report.improvement_roadmap);
+
+    if (report.role_fit) {
+        heading('Role Fit');
+        [['Demonstrated', 'demonstrated'], ['Weak', 'weak'], ['Not covered', 'not_covered']].forEach(([label, key]) => {
+            const items = report.role_fit[key] || [];
+            write(`${label}: ${items.length ? items.join(', ') : 'None'}`, { gap: 2 });
+        });
+        y += 6;
+    }
+
+    if (bundle.delivery_summary) {
+        const summary = bundle.delivery_summary;
+        heading('Communication');
+        write(describeDelivery({ ...summary, time_to_first_word_seconds: summary.average_time_to_first_word_seconds }));
+    }
+
+    heading('Transcript');
+    bundle.transcript.forEach((entry) => {
+        write(`Q${entry.number}. ${entry.question}`, { style: 'bold', gap: 2 });
+        if (entry.source === 'bank') write('From the question bank', { size: 9, color: [120, 120, 120], gap: 2 });
+        entry.clarifications.forEach((c) => {
+            write(`Candidate asked: ${c.question}`, { size: 9, style: 'italic', gap: 1 });
+            write(`Interviewer: ${c.answer}`, { size: 9, style: 'italic', gap: 3 });
+        });
+        write(entry.answer_mode === 'text' ? `${entry.answer} (typed)` : entry.answer, { color: [70, 70, 70], gap: 4 });
+        if (entry.delivery) write(`Delivery: ${describeDelivery(entry.delivery)}`, { size: 9, color: [120, 120, 120], gap: 4 });
+        if (entry.code) {
+            const { results } = entry.code;
+            write(`Code (${entry.code.language}) — ${results.passed}/${results.total} tests passed`, { size: 9, style: 'bold', gap: 2 });
+            write(entry.code.code, { size: 8, font: 'courier', color: [60, 60, 60], gap: 4 });
+        }
+        if (entry.diagram) {
+            write('Whiteboard', { size: 9, style: 'bold', gap: 2 });
+            describeDiagram(entry.diagram).forEach((line) => write(line, { size: 9, gap: 1 }));
+            y += 3;
+        }
+        if (entry.evaluation) {
+            write(formatScores(entry.evaluation), { size: 9, style: 'bold', color: [90, 80, 200], gap: 2 });
+            write(`Strengths: ${entry.evaluation.strengths}`, { size: 9, gap: 1 });
+            write(`Weaknesses: ${entry.evaluation.weaknesses}`, { size: 9, gap: 1 });
+            write(`Tip: ${entry.evaluation.improvement_tip}`, { size: 9, gap: 1 });
+        }
+        y += 10;
+    });
+
+    doc.save(exportFilename(bundle, 'pdf'));
+}
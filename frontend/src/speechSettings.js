@@ -0,0 +1,145 @@
+// Interview languages, the interviewer's voice and how spoken answers are taken.
+// These only affect this browser, so they live in localStorage.
+const STORAGE_KEY = 'interviewai.voice';
+const TURN_STORAGE_KEY = 'interviewai.turns';
+
+export const DEFAULT_VOICE_SETTINGS = { voiceName: '', rate: 0.95 };
+
+// mode: 'auto' submits after `silenceSeconds` without speech; 'push' records only while
+// Space or the talk button is held. `thinkingSeconds` counts down before recording starts.
+// `serverTranscription` uploads each answer's audio to /transcribe; off, the browser's own
+// speech recognition is the transcript and the audio never leaves this browser.
+export const DEFAULT_TURN_SETTINGS = {
+    mode: 'auto',
+    silenceSeconds: 8,
+    thinkingSeconds: 0,
+    maxRecordSeconds: 120,
+    serverTranscription: false,
+};
+
+// Mirrors INTERVIEW_LANGUAGES in backend/services/groq_service.py. `locale` drives both
+// speech synthesis and recognition; `phrases` are the fixed lines the interviewer says.
+// `commands` match the start of a spoken answer that is really a request to repeat or
+// clarify the question (the buttons work in every language).
+export const INTERVIEW_LANGUAGES = [
+    {
+        value: 'en',
+        label: 'English',
+        locale: 'en-US',
+        phrases: {
+            preview: "Hi, I'll be your interviewer today. Let's get started.",
+            complete: 'Great job! Your interview is complete. Here are your results.',
+            reportFailed: 'Your interview is complete, but the report could not be generated yet.',
+            nextRound: (name) => `Next up: the ${name} round.`,
+        },
+        commands: {
+            repeat: /^(sorry,? )?((can|could|would) you )?(please )?(repeat|say) (that|it|the question)( again)?\b/i,
+            clarify: /^(sorry,? )?(do you mean|what do you mean|(can|could) you clarify|just to clarify|when you say)\b/i,
+        },
+    },
+    {
+        value: 'hi',
+        label: 'हिन्दी (Hindi)',
+        locale: 'hi-IN',
+        phrases: {
+            preview: 'नमस्ते, आज मैं आपका इंटरव्यू लूँगा। चलिए शुरू करते हैं।',
+            complete: 'बहुत बढ़िया! आपका इंटरव्यू पूरा हो गया है। ये रहे आपके नतीजे।',
+            reportFailed: 'आपका इंटरव्यू पूरा हो गया है, लेकिन रिपोर्ट अभी तैयार नहीं हो सकी।',
+            nextRound: (name) => `अब अगला राउंड: ${name}।`,
+        },
+    },
+    {
+        value: 'es',
+        label: 'Español (Spanish)',
+        locale: 'es-ES',
+        phrases: {
+            preview: 'Hola, hoy seré tu entrevistador. Empecemos.',
+            complete: '¡Buen trabajo! Tu entrevista ha terminado. Aquí tienes tus resultados.',
+            reportFailed: 'Tu entrevista ha terminado, pero todavía no se pudo generar el informe.',
+            nextRound: (name) => `A continuación: la ronda ${name}.`,
+        },
+    },
+    {
+        value: 'de',
+        label: 'Deutsch (German)',
+        locale: 'de-DE',
+        phrases: {
+            preview: 'Hallo, ich führe heute Ihr Interview. Fangen wir an.',
+            complete: 'Gut gemacht! Ihr Interview ist beendet. Hier sind Ihre Ergebnisse.',
+            reportFailed: 'Ihr Interview ist beendet, aber der Bericht konnte noch nicht erstellt werden.',
+            nextRound: (name) => `Als Nächstes: die Runde ${name}.`,
+        },
+    },
+    {
+        value: 'fr',
+        label: 'Français (French)',
+        locale: 'fr-FR',
+        phrases: {
+            preview: "Bonjour, je serai votre recruteur aujourd'hui. Commençons.",
+            complete: 'Bravo ! Votre entretien est terminé. Voici vos résultats.',
+            reportFailed: "Votre entretien est terminé, mais le rapport n'a pas encore pu être généré.",
+            nextRound: (name) => `Place maintenant à l'étape ${name}.`,
+        },
+    },
+];
+
+export function interviewLanguage(value) {
+    return INTERVIEW_LANGUAGES.find((l) => l.value === value) || INTERVIEW_LANGUAGES[0];
+}
+
+export function loadVoiceSettings() {
+    try {
+        return { ...DEFAULT_VOICE_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    } catch (_) {
+        return { ...DEFAULT_VOICE_SETTINGS };
+    }
+}
+
+export function saveVoiceSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (_) { /* storage full or disabled — settings just won't persist */ }
+}
+
+export function loadTurnSettings() {
+    try {
+        return { ...DEFAULT_TURN_SETTINGS, ...JSON.parse(localStorage.getItem(TURN_STORAGE_KEY)) };
+    } catch (_) {
+        return { ...DEFAULT_TURN_SETTINGS };
+    }
+}
+
+export function saveTurnSettings(settings) {
+    try {
+        localStorage.setItem(TURN_STORAGE_KEY, JSON.stringify(settings));
+    } catch (_) { /* storage full or disabled — settings just won't persist */ }
+}
+
+// Voices whose language matches the locale's ("en-US" matches "en-GB" and Android's "en_US")
+export function voicesFor(voices, locale) {
+    const language = locale.split('-')[0];
+    return voices.filter((v) => v.lang.toLowerCase().replace('_', '-').split('-')[0] === language);
+}
+
+// The saved voice if it speaks this language, otherwise the most natural-sounding one available
+export function pickVoice(voices, locale, preferredName = '') {
+    const matching = voicesFor(voices, locale);
+    const saved = matching.find((v) => v.name === preferredName);
+    if (saved) return saved;
+
+    if (locale.startsWith('en')) {
+        // Ordered by quality
+        const english = voices.find(v => v.name.includes('Microsoft Aria Online'))   // Windows Neural
+            || voices.find(v => v.name.includes('Microsoft Jenny Online'))            // Windows Neural
+            || voices.find(v => v.name.includes('Microsoft Guy Online'))              // Windows Neural
+            || voices.find(v => v.name.includes('Google US English'))                 // Chrome
+            || voices.find(v => v.name.includes('Google UK English Female'));         // Chrome
+        if (english) return english;
+    }
+    return matching.find(v => /Microsoft.*Online/i.test(v.name))                     // Any Windows Neural
+        || matching.find(v => v.name.includes('Google'))                            // Chrome
+        || matching.find(v => v.lang.replace('_', '-') === locale && !v.localService)  // Any cloud voice
+        || matching.find(v => v.lang.replace('_', '-') === locale)
+        || matching[0]
+        || null;
+}
@@ -0,0 +1,64 @@
+// Persists the active interview in localStorage so a reload or tab crash
+// can put the user back at the question they left.
+const STORAGE_KEY = 'interviewai.session';
+
+export function loadSavedSession() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+    } catch (_) {
+        return null;
+    }
+}
+
+export function saveSession(data) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (_) { /* storage full or disabled — resuming just won't work */ }
+}
+
+export function updateSavedSession(patch) {
+    const current = loadSavedSession();
+    if (current) saveSession({ ...current, ...patch });
+}
+
+export function clearSavedSession() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (_) { /* ignore */ }
+}
+
+// The recruiter dashboard's key (the backend's RECRUITER_KEY); it also unlocks invited candidates' reports
+const RECRUITER_STORAGE_KEY = 'interviewai.recruiterKey';
+
+export function loadRecruiterKey() {
+    try {
+        return localStorage.getItem(RECRUITER_STORAGE_KEY) || '';
+    } catch (_) {
+        return '';
+    }
+}
+
+export function saveRecruiterKey(key) {
+    try {
+        if (key) localStorage.setItem(RECRUITER_STORAGE_KEY, key);
+        else localStorage.removeItem(RECRUITER_STORAGE_KEY);
+    } catch (_) { /* ignore */ }
+}
+
+// A random id for this browser, sent with new interviews and history requests so the
+// history only lists interviews started here. getRandomValues also works over plain http.
+const OWNER_STORAGE_KEY = 'interviewai.ownerToken';
+
+export function loadOwnerToken() {
+    try {
+        let token = localStorage.getItem(OWNER_STORAGE_KEY);
+        if (!token) {
+            const bytes = crypto.getRandomValues(new Uint8Array(16));
+            token = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem(OWNER_STORAGE_KEY, token);
+        }
+        return token;
+    } catch (_) {
+        return '';
+    }
+}